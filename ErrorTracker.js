@@ -21,8 +21,79 @@
  *         })
  *     })
  * })
+ * @example <caption>Loading ErrorTracker as a module</caption>
+ * // CommonJS (or AMD, with define())
+ * var ErrorTracker = require('ErrorTracker')
+ *
+ * // ES modules
+ * import ErrorTracker, {createTracker} from 'ErrorTracker'
  */
-(function(undefined) {
+(function(root, build) {
+    // what every tracker on the page has in common: the page's APIs are
+    // wrapped only once, by the first tracker, and what the wrappers see is
+    // passed along to each tracker's `instruments` in turn. In Node.js,
+    // the `process` is listened to once, too, on behalf of all the
+    // `receivers`, and only crashed once
+    var shared = {
+        instrumented: false,
+        instruments:  [],
+        receivers:    [],
+        processHooks: false,
+        crashed:      false
+    }
+
+    /**
+     * @method ErrorTracker.createTracker
+     * @summary Create another tracker, independent of this one
+     * @desc Every tracker has its own configuration, tracked errors, queue
+     *       of errors to send, breadcrumbs, context and hooks, so that
+     *       parts of a page (micro-frontends, say, or widgets embedded in
+     *       other sites) can each report to their own `endpoint`. Each
+     *       tracker receives every error on the page, so give each one
+     *       `allowUrls` (see {@link ErrorTracker~filterError}) naming the
+     *       scripts it is responsible for; if they keep errors in storage,
+     *       give each one its own `storageKey` as well. The tracker that
+     *       ErrorTracker loads as (the `ErrorTracker` global, in a plain
+     *       `<script>`) is made the same way.
+     * @arg {object} [options] - Configuration settings for the new tracker
+     *      (see {@link ErrorTracker.configure})
+     * @returns {object} The new tracker, with all of ErrorTracker's methods
+     * @example <caption>Reporting to two endpoints from one page</caption>
+     * var checkout = ErrorTracker.createTracker({
+     *     endpoint:       '/checkout/api/js-errors',
+     *     allowUrls:      ['/checkout/js/'],
+     *     autoSendErrors: true
+     * })
+     * var search = ErrorTracker.createTracker({
+     *     endpoint:       '/search/api/js-errors',
+     *     allowUrls:      ['/search/js/'],
+     *     autoSendErrors: true
+     * })
+     */
+    var createTracker = function(options) {
+        var tracker = {}
+
+        build.call(tracker, shared)
+        tracker.createTracker = createTracker
+        if (options) tracker.configure(options)
+
+        return tracker
+    }
+    var ErrorTracker = createTracker()
+
+    // load as an AMD or CommonJS module where there's a loader for one, and
+    // as the ErrorTracker global otherwise (without relying on the script
+    // running outside of strict mode, or outside of an ES module)
+    if (typeof define == 'function' && define.amd) {
+        define(function() { return ErrorTracker })
+    }
+    else if (typeof module == 'object' && module.exports) {
+        module.exports = ErrorTracker
+    }
+    else {
+        root.ErrorTracker = ErrorTracker
+    }
+})(typeof self == 'object' ? self : this, function(shared, undefined) {
     /**
      * @constant ErrorTracker.PACKAGE
      * @summary Contain's the global variable name for programmatic reference
@@ -59,8 +130,48 @@
      *          endpoint (useful in case we decide to alter the layout later;
      *          endpoints could have to support older and newer versions
      *          side-by-side)
+     * @desc Each version's layout is described by a JSON Schema in the
+     *       `schema` directory, and `ErrorTrackerReport.js` can check reports
+     *       against them. Older versions can still be sent, with the
+     *       `reportVersion` configuration setting.
+     */
+    this.REPORT_VERSION = 2
+
+    /**
+     * @constant ErrorTracker.RUNTIME
+     * @summary Where ErrorTracker is running: `browser`, `worker` or `node`
+     * @desc Decided once, as ErrorTracker is loaded. Anywhere with a
+     *       `document` is a browser (including tests run against a simulated
+     *       DOM, even in Node.js). A Web Worker (dedicated, shared or
+     *       service) has no page of its own, so the errors tracked there are
+     *       forwarded to the page that watches it (see {@link
+     *       ErrorTracker.watchWorker}), or sent from the worker. Anywhere else
+     *       with Node's `process` is Node.js, where errors are caught from
+     *       the `process`, described along with the process and request they
+     *       happened in, and sent with Node's own `http` and `https` modules.
      */
-    this.REPORT_VERSION = 1
+    this.RUNTIME        = typeof window == 'object' && window &&
+                          window.document ? 'browser' :
+                          typeof WorkerGlobalScope == 'function' &&
+                          self instanceof WorkerGlobalScope ? 'worker' :
+                          typeof process == 'object' && process &&
+                          process.versions && process.versions.node ?
+                          'node' : 'browser'
+
+    // most of the differences between them come down to these
+    var NODE   = this.RUNTIME == 'node'
+    var WORKER = this.RUNTIME == 'worker'
+
+    // the page's window, the worker's global scope, or Node's global object
+    var GLOBAL = NODE ? global : WORKER ? self : window
+
+    // and which kind of worker it is makes a difference to how its errors
+    // get where they're going
+    var WORKER_TYPE = !WORKER ? undefined :
+        typeof ServiceWorkerGlobalScope == 'function' &&
+        self instanceof ServiceWorkerGlobalScope ? 'service' :
+        typeof SharedWorkerGlobalScope == 'function' &&
+        self instanceof SharedWorkerGlobalScope ? 'shared' : 'dedicated'
 
     /* we don't really need to declare dispatch beforehand because of JS's...
      * interesting scoping rules - but we do it here for clarity anyway (as
@@ -236,6 +347,7 @@
      *       damaged in a way that would cause them to error out.
      * @arg {string} name    - The public ErrorTracker method to call
      * @arg {Array}  arglist - The arguments to pass to the method
+     * @returns {*} Whatever the method returned, or `undefined` if it failed
      * @example <caption>Saving an error manually</caption>
      * try {
      *     throw Error('This will always happen')
@@ -245,204 +357,4563 @@
      * }
      */
     dispatch = newf(function(name, arglist) {
-        try { this[name].apply(this, arglist) }
+        try { return this[name].apply(this, arglist) }
         catch (e) {
             if (name == 'saveError') throw e
-            dispatch('saveError' [e])
+            dispatch('saveError', [e])
+        }
+    })
+
+    /**
+     * @method ErrorTracker~nodeModule
+     * @summary Load one of Node's own modules
+     * @desc Only ever called when running in Node.js. This goes through
+     *       `module.require`, rather than `require`, so that bundlers
+     *       building ErrorTracker for the browser don't go looking for Node's
+     *       modules.
+     * @arg {string} name - The name of the module, such as `http`
+     * @returns {object} The module
+     */
+    var nodeModule = function(name) {
+        return module.require(name)
+    }
+
+    /**
+     * @constant {object} ErrorTracker~TRANSPORTS
+     * @summary Built-in ways of sending reports to the server
+     * @desc The transports the `transport` configuration setting can name.
+     *       Each has a `send(payload, callback)` method, which sends the
+     *       payload built by {@link ErrorTracker~ajax} (`url`, `data`, its
+     *       JSON `body`, `headers`, and a `timeout` in milliseconds) and calls
+     *       `callback` with the server's response, or a `"failure"` with its
+     *       `reason`. Any object with that method can be configured instead.
+     *
+     *       - `xhr`: a `POST` with `XMLHttpRequest`
+     *       - `fetch`: a `POST` with `window.fetch`
+     *       - `beacon`: `navigator.sendBeacon` (or `fetch` with `keepalive`),
+     *         which survives the page unloading; whatever the browser accepts
+     *         is taken to have been received
+     *       - `image`: a `GET` for an image, with the report in the `report`
+     *         query parameter; keep `maxBatchSize` small with this one
+     *       - `http`: a `POST` with Node's `http` or `https` module, the
+     *         default in Node.js, where the `endpoint` has to be a full URL
+     */
+    var TRANSPORTS = (function() {
+        var serverError = function() {
+            return {state: 'failure', reason: 'server error'}
+        }
+        var timedOut    = function() {
+            return {state: 'failure', reason: 'timed out'}
+        }
+        var parse = function(text, callback) {
+            try {
+                callback(JSON.parse(text))
+            }
+            catch (e) {
+                callback({
+                    state:        'failure',
+                    reason:       'failed to parse response as JSON',
+                    originalText: text
+                })
+            }
+        }
+
+        return {
+            xhr: {
+                send: function(payload, callback) {
+                    var xhr = new XMLHttpRequest()
+
+                    xhr.open('POST', payload.url)
+                    // keep our own request out of the page's requests
+                    if (xhr.__ErrorTracker__) xhr.__ErrorTracker__.own = true
+                    each(payload.headers, function(value, header) {
+                        xhr.setRequestHeader(header, value)
+                    })
+                    xhr.onload = function() {
+                        if (xhr.readyState == 4 && xhr.status == 200) {
+                            parse(xhr.responseText, callback)
+                        }
+                        else {
+                            callback(serverError())
+                        }
+                    }
+                    xhr.onerror = function() {
+                        callback(serverError())
+                    }
+                    xhr.timeout   = payload.timeout || 0
+                    xhr.ontimeout = function() {
+                        callback(timedOut())
+                    }
+
+                    xhr.send(payload.body)
+                }
+            },
+
+            fetch: {
+                send: function(payload, callback) {
+                    var abort    = GLOBAL.AbortController && payload.timeout ?
+                                   new GLOBAL.AbortController() : undefined
+                    var answered = false
+                    var answer   = function(response) {
+                        // aborting a timed-out request rejects it, too
+                        clearTimeout(timer)
+                        if (answered) return
+                        answered = true
+                        callback(response)
+                    }
+                    var timer
+
+                    if (abort) {
+                        timer = setTimeout(function() {
+                            answer(timedOut())
+                            abort.abort()
+                        }, payload.timeout)
+                    }
+
+                    GLOBAL.fetch(payload.url, {
+                        method:      'POST',
+                        headers:     payload.headers,
+                        body:        payload.body,
+                        credentials: 'same-origin',
+                        signal:      abort ? abort.signal : undefined,
+                        __ErrorTracker__: true
+                    }).then(function(response) {
+                        if (response.status != 200) {
+                            answer(serverError())
+                            return
+                        }
+                        return response.text().then(function(text) {
+                            parse(text, answer)
+                        })
+                    })['catch'](function() {
+                        answer(serverError())
+                    })
+                }
+            },
+
+            beacon: {
+                send: function(payload, callback) {
+                    var navigator = GLOBAL.navigator
+                    var blob
+
+                    if (navigator.sendBeacon) {
+                        blob = new Blob([payload.body],
+                                        {type: 'application/json'})
+                        if (navigator.sendBeacon(payload.url, blob)) {
+                            return callback({state: 'success'})
+                        }
+                    }
+
+                    if (GLOBAL.fetch) {
+                        GLOBAL.fetch(payload.url, {
+                            method:    'POST',
+                            headers:   payload.headers,
+                            body:      payload.body,
+                            keepalive: true,
+                            __ErrorTracker__: true
+                        })['catch'](function() {})
+                        return callback({state: 'success'})
+                    }
+
+                    callback({
+                        state:  'failure',
+                        reason: 'the browser would not send the beacon'
+                    })
+                }
+            },
+
+            image: {
+                send: function(payload, callback) {
+                    var image = new Image()
+                    var separator = payload.url.indexOf('?') < 0 ? '?' : '&'
+
+                    image.onload = function() {
+                        callback({state: 'success'})
+                    }
+                    image.onerror = function() {
+                        callback(serverError())
+                    }
+
+                    image.src = payload.url + separator + 'report=' +
+                                encodeURIComponent(payload.body)
+                }
+            },
+
+            http: {
+                send: function(payload, callback) {
+                    var url     = new URL(payload.url)
+                    var client  = nodeModule(url.protocol == 'https:' ?
+                                             'https' : 'http')
+                    var headers  = {}
+                    var answered = false
+                    var answer   = function(response) {
+                        // a destroyed request reports an error, too
+                        if (answered) return
+                        answered = true
+                        callback(response)
+                    }
+                    var request
+
+                    each(payload.headers, function(value, header) {
+                        headers[header] = value
+                    })
+                    headers['Content-Length'] = Buffer.byteLength(payload.body)
+
+                    request = client.request(url, {
+                        method:  'POST',
+                        headers: headers
+                    }, function(response) {
+                        var text = ''
+
+                        response.setEncoding('utf8')
+                        response.on('data', function(chunk) { text += chunk })
+                        response.on('end', function() {
+                            if (response.statusCode == 200) {
+                                parse(text, answer)
+                            }
+                            else {
+                                answer(serverError())
+                            }
+                        })
+                    })
+                    request.on('error', function() {
+                        answer(serverError())
+                    })
+                    if (payload.timeout) {
+                        request.setTimeout(payload.timeout, function() {
+                            answer(timedOut())
+                            request.destroy()
+                        })
+                    }
+
+                    request.end(payload.body)
+                }
+            }
+        }
+    })()
+
+    /**
+     * @method ErrorTracker~transportBackend
+     * @summary Find the configured transport
+     * @desc Look up the transport named by the `transport` configuration
+     *       setting in {@link ErrorTracker~TRANSPORTS}, or return the setting
+     *       itself if it is a custom transport.
+     * @returns {object} The transport
+     */
+    var transportBackend = newf(function() {
+        var transport = c('transport')
+
+        if (typeof transport == 'string' || transport instanceof String) {
+            return TRANSPORTS[transport]
         }
+        return transport
     })
 
     /**
      * @method ErrorTracker~ajax
      * @summary Perform asynchronous calls back to a server
-     * @desc Perform a POST call in the background to a server endpoint. This
-     *       is a fairly basic implementation and does not do robust
-     *       error-checking, as it is only intended to provide the most basic
-     *       functionality required to submit reports to a server endpoint. If
-     *       you want more thorough AJAX support, see
-     *       {@link http://jquery.com/} or another full-featured library.
+     * @desc Send data in the background to a server endpoint as JSON, with
+     *       the configured transport (see {@link ErrorTracker~TRANSPORTS})
+     *       and the `transportHeaders` configuration setting. If you want more
+     *       thorough AJAX support, wrap another library in a custom transport.
+     *       A transport that throws is taken to have failed, rather than
+     *       tracked as an error that would only fail to send too.
      * @arg {object} data - The object that will be sent to the server
      * @arg {string} url - The server endpoint
      * @arg {function} callback - The function to be called when the endpoint
      *      returns a result
+     * @arg {object} [transport] - The transport to use, in place of the
+     *      configured one
      * @returns nothing
      * @example <caption>Calling ajax() manually</caption>
      * var data = {
      *     errorTrackerVersion: ErrorTracker.VERSION,
      *     errorReportVersion:  ErrorTracker.REPORT_VERSION,
-     *     errorReportID:       ErrorTracker.nextReportID(),
-     *     errorsTracked:       {}
+     *     errorsTracked:       []
      * }
      * var url = '/api/log-js-errors'
      * var callback = function(data) {
      *     console.log(data)
      * }
      * ErrorTracker.__INTERNALS__.ajax(data, url, callback)
+     * @example <caption>Sending reports with a custom transport</caption>
+     * ErrorTracker.configure({
+     *     endpoint:  '/api/report-js-errors',
+     *     transport: {
+     *         send: function(payload, callback) {
+     *             myApiClient.post(payload.url, payload.data)
+     *                 .then(function()  { callback({state: 'success'}) })
+     *                 .catch(function() {
+     *                     callback({state: 'failure', reason: 'api error'})
+     *                 })
+     *         }
+     *     }
+     * })
      */
-    var ajax = newf(function(data, url, callback) {
+    var ajax = newf(function(data, url, callback, transport) {
+        var headers = {'Content-Type': 'application/json'}
+        var called  = false
+        var respond = function(response) {
+            // a misbehaving transport shouldn't get to report back twice
+            if (called) return
+            called = true
+            callback(response)
+        }
+
         try {
-            var xhr = new XMLHttpRequest()
+            each(c('transportHeaders'), function(value, header) {
+                headers[header] = value
+            })
 
-            xhr.open('POST', url)
-            xhr.setRequestHeader('Content-type', 'application/json')
-            xhr.onload = function() {
-                if (xhr.readyState == 4 && xhr.status == 200) {
-                    try {
-                        callback(JSON.parse(xhr.responseText))
-                    }
-                    catch (e) {
-                        callback({
-                            state:        'failure',
-                            reason:       'failed to parse response as JSON',
-                            originalText: xhr.responseText
-                        })
-                    }
-                }
-                else {
-                    callback({state: 'failure', reason: 'server error'})
-                }
+            if (!transport) transport = transportBackend()
+            transport.send({
+                url:     url,
+                data:    data,
+                body:    JSON.stringify(data),
+                headers: headers,
+                timeout: c('requestTimeout')
+            }, respond)
+        }
+        catch (e) {
+            respond({
+                state:  'failure',
+                reason: 'the transport failed: ' + (e && e.message)
+            })
+        }
+    })
+
+    /**
+     * @method ErrorTracker~normalizeError
+     * @summary Put a tracked error into the current report format
+     * @desc Whatever {@link ErrorTracker.saveError} was given, and whatever
+     *       the `beforeSend` callbacks did to it, the error is given every
+     *       field of version 2 of the report format (see
+     *       `schema/report-v2.json`), filled in with `null` where there's
+     *       nothing better. Anything other than an object becomes a `custom`
+     *       error. Errors restored from older versions are upgraded this way.
+     * @arg {*} e - The tracked error
+     * @returns {object} The error, in the current report format
+     */
+    var normalizeError = newf(function(e) {
+        var now      = new Date().getTime()
+        var isList   = function(value) {
+            return Object.prototype.toString.call(value) == '[object Array]'
+        }
+        var isObject = function(value) {
+            return !!value && typeof value == 'object' && !isList(value)
+        }
+        var orNull   = function(value, type) {
+            return typeof value == type ? value : null
+        }
+        var place    = function(value) {
+            return {
+                file:   orNull(value.file,   'string'),
+                line:   orNull(value.line,   'number'),
+                column: orNull(value.column, 'number')
             }
-            xhr.onerror = function() {
-                callback({state: 'failure', reason: 'server error'})
+        }
+        var frames      = []
+        var breadcrumbs = []
+        var reason
+
+        if (!isObject(e)) {
+            reason = describeReason(e)
+            e = {
+                message:  reason.message,
+                stack:    reason.stack,
+                frames:   reason.frames,
+                data:     reason.reason,
+                type:     'custom'
             }
+        }
+
+        each(isList(e.frames) ? e.frames : [], function(frame) {
+            var at
+
+            if (!isObject(frame)) return
 
-            console.log(data)
-            console.log(JSON.stringify(data))
+            at = place(frame)
+            frames.push({
+                'function': orNull(frame['function'], 'string'),
+                file:       at.file,
+                line:       at.line,
+                column:     at.column,
+                inApp:      !!frame.inApp
+            })
+        })
+        each(isList(e.breadcrumbs) ? e.breadcrumbs : [], function(crumb) {
+            if (isObject(crumb)) breadcrumbs.push(crumb)
+        })
 
-            xhr.send(JSON.stringify(data))
+        // before there was a `location`, errors the browser reported said
+        // where they were in fields of their own
+        if (!isObject(e.location) && e.filename !== undefined) {
+            e.location = {
+                file:   e.filename || null,
+                line:   e.lineno   || null,
+                column: e.colno    || null
+            }
         }
-        catch (e) { dispatch('saveError', [e]) }
+        delete e.filename
+        delete e.lineno
+        delete e.colno
+
+        e.type        = orNull(e.type, 'string') || 'exception'
+        e.message     = e.message === undefined || e.message === null ?
+                        '' : String(e.message)
+        e.stack       = orNull(e.stack, 'string')
+        e.frames      = frames
+        e.location    = isObject(e.location) ? place(e.location) :
+                        frames.length        ? place(frames[0])  : null
+        e.pageInfo    = isObject(e.pageInfo) ? e.pageInfo : null
+        e.timeStamp   = orNull(e.timeStamp, 'number')
+        e.savedAt     = orNull(e.savedAt,   'number') || now
+        e.fingerprint = orNull(e.fingerprint, 'string')
+        e.count       = e.count >= 1 ? Math.floor(e.count) : 1
+        e.firstSeen   = orNull(e.firstSeen, 'number') || e.savedAt
+        e.lastSeen    = orNull(e.lastSeen,  'number') || e.firstSeen
+        e.breadcrumbs = breadcrumbs
+
+        return e
     })
 
     /**
-     * @member ErrorTracker~initialize
-     * @summary Initialization scripts for the ErrorTracker library
-     * @desc Contains references to functions used to initialize various
-     *       components in the library, so as to make it possible to easily
-     *       re-initialize them later.
-     * @property {function} configuration - Initialize configuration settings
-     * @property {function} trackedErrors - Initialize the error list
-     * @property {function} receiver      - Register the error receiver
-     * @property {function} all           - Run all initializations
-     * @example <caption>Initializing the configuration</caption>
-     * ErrorTracker.__INTERNALS__.initialize.configuration()
-     * @example <caption>Initializing the error list</caption>
-     * ErrorTracker.__INTERNALS__.initialize.trackedErrors()
-     * @example <caption>Initializing the error receiver</caption>
-     * ErrorTracker.__INTERNALS__.initialize.receiver()
-     * @example <caption>Running all initializations</caption>
-     * ErrorTracker.__INTERNALS__.initialize.all()
+     * @method ErrorTracker~downgradeError
+     * @summary Put a tracked error into version 1 of the report format
+     * @desc For servers that only understand version 1 of the report format
+     *       (see the `reportVersion` configuration setting): errors reported
+     *       by the browser have a `filename`, `lineno` and `colno` in place
+     *       of a `location`, saved errors have no `type`, and anything other
+     *       than an error is sent as it was saved.
+     * @arg {object} e - The tracked error
+     * @returns {*} The error, in version 1 of the report format
      */
-    var initialize = {
-        configuration: newf(function() {
-            this.__INTERNALS__.configuration = {}
-            for (var key in CONFIG_DEFAULTS) {
-                this.__INTERNALS__.configuration[key] = CONFIG_DEFAULTS[key]
-            }
-        }),
+    var downgradeError = newf(function(e) {
+        var copy = {}
 
-        trackedErrors: newf(function() {
-            this.__INTERNALS__.trackedErrors = []
-        }),
+        if (e.type == 'custom') {
+            return e.data !== undefined ? e.data : e.message
+        }
 
-        receiver: newf(function() {
-            this.registerReceiver()
-        }),
+        each(e, function(value, key) {
+            if (key != 'location') copy[key] = value
+        })
 
-        all: newf(function() {
-            initialize.configuration()
-            initialize.trackedErrors()
-            initialize.receiver()
+        if (e.type == 'exception') delete copy.type
+        if (e.type == 'error' && e.location) {
+            copy.filename = e.location.file
+            copy.lineno   = e.location.line
+            copy.colno    = e.location.column
+        }
+
+        return copy
+    })
+
+    /**
+     * @method ErrorTracker~buildReport
+     * @summary Wrap a list of errors up into a report for the server
+     * @desc Build the object that is sent to the server endpoint for a list
+     *       of tracked errors, identifying the version of ErrorTracker that
+     *       sent it and the `reportVersion` of its layout (the latest, {@link
+     *       ErrorTracker.REPORT_VERSION}, unless set to 1; see {@link
+     *       ErrorTracker~downgradeError}). The `environment` most of the
+     *       errors were tracked in is described once, for the whole report;
+     *       only errors from a different one keep their own. Any {@link
+     *       ErrorTracker~droppedSummary} goes in `droppedErrors`.
+     * @arg {Array} errors - The errors to report
+     * @returns {object} The report
+     * @example <caption>Building a report of all tracked errors</caption>
+     * var report = ErrorTracker.__INTERNALS__.buildReport(
+     *     ErrorTracker.trackedErrors()
+     * )
+     */
+    var buildReport = newf(function(errors) {
+        var version = c('reportVersion')
+        var report  = {
+            errorTrackerVersion: this.VERSION,
+            errorReportVersion:  version,
+            errorsTracked:       []
+        }
+        var shared  = {}
+        var dropped = droppedSummary()
+        var environment, most
+
+        // environments are compared as JSON, which is how they're sent
+        each(errors, function(e) {
+            var key = e.environment ? JSON.stringify(e.environment) : ''
+
+            if (!key) return
+            shared[key] = (shared[key] || 0) + 1
+            if (!most || shared[key] > shared[most]) most = key
+        })
+        if (most) environment = JSON.parse(most)
+
+        each(errors, function(e) {
+            var copy = e
+
+            if (most && e.environment &&
+                JSON.stringify(e.environment) == most) {
+                copy = {}
+                each(e, function(value, key) {
+                    if (key != 'environment') copy[key] = value
+                })
+            }
+
+            if (version == 1) copy = downgradeError(copy)
+            report.errorsTracked.push(copy)
         })
+        if (environment) report.environment   = environment
+        if (dropped)     report.droppedErrors = dropped
+
+        return report
+    })
+
+    /**
+     * @constant {object} ErrorTracker~USER_AGENTS
+     * @summary Patterns picking browsers and operating systems out of a
+     *          user agent string
+     * @desc Used by {@link ErrorTracker~parseUserAgent}. The first pattern in
+     *       each list to match names the browser (or operating system), and
+     *       captures its version. Browsers claim to be the ones they're
+     *       built on, so Edge and Opera come before Chrome, and Chrome before
+     *       Safari.
+     */
+    var USER_AGENTS = {
+        browsers: [
+            ['Edge',             /\bEdg(?:e|A|iOS)?\/([\d.]+)/],
+            ['Opera',            /\b(?:OPR|Opera)\/([\d.]+)/],
+            ['Samsung Internet', /\bSamsungBrowser\/([\d.]+)/],
+            ['Firefox',          /\b(?:Firefox|FxiOS)\/([\d.]+)/],
+            ['Chrome',           /\b(?:Chrome|CriOS)\/([\d.]+)/],
+            ['Safari',           /\bVersion\/([\d.]+).*\bSafari\//],
+            ['Internet Explorer', /\b(?:MSIE |Trident\/.*\brv:)([\d.]+)/]
+        ],
+        systems: [
+            ['Windows',          /\bWindows NT ([\d.]+)/],
+            ['iOS',              /\b(?:iPhone|CPU) OS ([\d_]+)/],
+            ['Android',          /\bAndroid ([\d.]+)/],
+            ['Chrome OS',        /\bCrOS\b/],
+            ['macOS',            /\bMac OS X ([\d_.]+)/],
+            ['Linux',            /\bLinux\b/]
+        ]
     }
 
     /**
-     * @method ErrorTracker~css
-     * @summary Compile a JS object into a CSS string
-     * @desc Take an object and compile it into a string of CSS suitable for
-     *       attaching to an HTML tag's "style" attribute. Note that no
-     *       type-checking is done on the keys or values; it is purely
-     *       syntactic sugar that assumes you know what you're doing.
-     * @arg {object} attributes - The CSS attributes as an anonymous JS object
-     * @returns {string} The "compiled" CSS
-     * @example <caption>Compiling CSS from a JS object with css()</caption>
-     * var style = css({
-     *     'position': 'absolute',
-     *     'top':      '20px',
-     *     'left':     '20px'
-     * })
-     * console.log(style)
-     * // => "position:absolute;top:20px;left:20px;"
+     * @method ErrorTracker~parseUserAgent
+     * @summary Work out the browser, operating system and kind of device
+     * @desc Picks the `browser` and `os` (each with a `name` and `version`)
+     *       out of a user agent string with {@link ErrorTracker~USER_AGENTS},
+     *       and guesses whether the `device` is a `desktop`, `mobile` or
+     *       `tablet`. Anything that can't be worked out is left `null`.
+     * @arg {string} userAgent - The user agent string
+     * @returns {object} The `browser`, `os` and `device`
+     * @example <caption>Parsing a user agent string</caption>
+     * var parsed = ErrorTracker.__INTERNALS__.parseUserAgent(
+     *     'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) ' +
+     *     'AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 ' +
+     *     'Mobile/15E148 Safari/604.1'
+     * )
+     * console.log(parsed.browser.name, parsed.os.version,
+     *             parsed.device.family)
+     * // => "Safari 17.1 mobile"
      */
-    var css = newf(function (attributes) {
-        var attributesArray = []
-        for (var attribute in attributes) {
-            attributesArray.push(attribute + ':' + attributes[attribute])
+    var parseUserAgent = newf(function(userAgent) {
+        var find = function(list) {
+            var found = {name: null, version: null}
+
+            each(list, function(candidate) {
+                var match = found.name ? null : candidate[1].exec(userAgent)
+                if (!match) return
+
+                found.name    = candidate[0]
+                found.version = match[1] ? match[1].replace(/_/g, '.') : null
+            })
+
+            return found
+        }
+        var family = 'desktop'
+
+        userAgent = String(userAgent || '')
+        if (/\biPad\b|\bTablet\b|\bAndroid\b(?!.*\bMobile)/.test(userAgent)) {
+            family = 'tablet'
+        }
+        else if (/\bMobi|\biPhone\b|\biPod\b|\bAndroid\b/.test(userAgent)) {
+            family = 'mobile'
+        }
+
+        return {
+            browser: find(USER_AGENTS.browsers),
+            os:      find(USER_AGENTS.systems),
+            device:  {family: userAgent ? family : null}
         }
-        return attributesArray.join(';')
     })
 
     /**
-     * @constant {object} ErrorTracker~CONFIG_DEFAULTS
-     * @summary The base configuration of the error tracker
-     * @desc Default configuration settings for the application. When the
-     *       application is initialized, or re-initialized, these settings are
-     *       copied into the runtime configuration.
+     * @constant {object} ErrorTracker~ENVIRONMENT_COLLECTORS
+     * @summary Ways of describing the browser an error happened in
+     * @desc Used by {@link ErrorTracker~collectEnvironment}. Each group is
+     *       collected if the setting named after it (`environmentBrowser`,
+     *       say) is true, and returns the fields it adds: the `userAgent`
+     *       and what it says (see {@link ErrorTracker~parseUserAgent}), the
+     *       `screen` and `viewport` sizes, the `language` and `timeZone`, and
+     *       whether the browser is `online`, and on what `connection`. In
+     *       Node.js, `browser` describes the `runtime`, `os` and `arch`; a
+     *       worker has no `screen`.
      */
-    var CONFIG_DEFAULTS = {
-        endpoint:          undefined,
-        autoSendErrors:    false,
-        autoDisplayWindow: false,
-        errorTitleText:    'A scripting error occurred',
-        errorBoxStyle:     css({
-            'position':       'absolute',
-            'left':           '20px',
-            'top':            '20px',
-            'min-width':      '200px',
-            'max-width':      '225px',
-            'min-height':     '100px',
-            'max-height':     '125px',
-            'padding':        '3px',
-            'background':     '#cc0000',
-            'color':          'white',
-            'font-size':      '12px',
-            'border-radius':  '5px'
-        }),
-        errorTitleStyle:   css({
-            'font-weight':    'bold',
-            'text-align':     'center',
-            'border-bottom':  '1px solid #cccccc'
-        }),
-        errorMessageStyle: css({
-            'padding-top':    '3px',
-            'padding-bottom': '3px',
-            'border-bottom':  '1px solid #cccccc'
-        }),
-        errorTrayStyle:    css({
-            'padding-top':    '3px',
-            'margin-left':    'auto',
-            'margin-right':   'auto',
-            'text-align':     'center'
-        }),
-        errorSendStyle:    css({
-            'display':        'inline-block',
-            'cursor':         'pointer',
-            'padding':        '5px',
-            'background':     '#dd0000',
-            'font-weight':    'bold',
-            'border-radius':  '5px',
-            'margin-right':   '10px'
-        }),
-        errorCloseStyle:   css({
-            'display':        'inline-block',
-            'cursor':         'pointer',
-            'padding':        '5px',
-            'background':     '#dd0000',
-            'font-weight':    'bold',
-            'border-radius':  '5px'
+    var ENVIRONMENT_COLLECTORS = {
+        browser: function() {
+            var userAgent, parsed, os
+
+            if (NODE) {
+                os = nodeModule('os')
+                return {
+                    runtime: {name: 'node', version: process.versions.node},
+                    os:      {name: os.type(), version: os.release()},
+                    arch:    process.arch
+                }
+            }
+
+            userAgent = GLOBAL.navigator.userAgent
+            parsed    = parseUserAgent(userAgent)
+
+            return {
+                userAgent: userAgent,
+                browser:   parsed.browser,
+                os:        parsed.os,
+                device:    parsed.device
+            }
+        },
+
+        screen: function() {
+            var root
+
+            if (NODE || WORKER) return
+            root = document.documentElement
+
+            return {
+                screen:           GLOBAL.screen ? {
+                    width:  GLOBAL.screen.width,
+                    height: GLOBAL.screen.height
+                } : undefined,
+                viewport:         {
+                    width:  GLOBAL.innerWidth  || root.clientWidth,
+                    height: GLOBAL.innerHeight || root.clientHeight
+                },
+                devicePixelRatio: GLOBAL.devicePixelRatio
+            }
+        },
+
+        locale: function() {
+            var navigator = NODE ? {} : GLOBAL.navigator
+            var language  = navigator.language || navigator.userLanguage
+            var timeZone
+
+            try {
+                timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone
+                if (NODE) {
+                    language = Intl.DateTimeFormat().resolvedOptions().locale
+                }
+            }
+            catch (e) { timeZone = undefined }
+
+            return {
+                language:       language,
+                languages:      navigator.languages ?
+                                Array.prototype.slice.call(
+                                    navigator.languages
+                                ) : undefined,
+                timeZone:       timeZone,
+                timeZoneOffset: -new Date().getTimezoneOffset()
+            }
+        },
+
+        network: function() {
+            var navigator, connection
+
+            if (NODE) return
+            navigator  = GLOBAL.navigator
+            connection = navigator.connection ||
+                             navigator.mozConnection ||
+                             navigator.webkitConnection
+
+            return {
+                online:     navigator.onLine,
+                connection: connection ? {
+                    type:          connection.type,
+                    effectiveType: connection.effectiveType,
+                    downlink:      connection.downlink,
+                    rtt:           connection.rtt,
+                    saveData:      connection.saveData
+                } : undefined
+            }
+        }
+    }
+
+    /**
+     * @method ErrorTracker~collectEnvironment
+     * @summary Describe the browser the errors happened in
+     * @desc Run each of the {@link ErrorTracker~ENVIRONMENT_COLLECTORS}
+     *       turned on in the configuration, and put what they find together.
+     *       A group that fails is left out.
+     * @returns {?object} The environment, or nothing if every group is off
+     */
+    var collectEnvironment = newf(function() {
+        var environment
+
+        each(ENVIRONMENT_COLLECTORS, function(collector, group) {
+            var fields
+
+            if (!c('environment' + group.charAt(0).toUpperCase() +
+                   group.slice(1))) {
+                return
+            }
+
+            try { fields = collector() }
+            catch (e) { return }
+
+            environment = environment || {}
+            each(fields, function(value, field) {
+                if (value !== undefined) environment[field] = value
+            })
         })
+
+        return environment
+    })
+
+    /**
+     * @method ErrorTracker~matches
+     * @summary Test a string against a list of patterns
+     * @desc Check whether a value matches any of a list of patterns. Each
+     *       pattern may be a `RegExp`, which is tested against the value, or
+     *       a string, which matches if it appears anywhere in the value. A
+     *       single pattern may be given in place of a list.
+     * @arg {string} value - The string to test
+     * @arg {(string|RegExp|Array)} patterns - The pattern(s) to test against
+     * @returns {boolean} Whether any of the patterns matched
+     * @example <caption>Matching against mixed patterns</caption>
+     * var matches = ErrorTracker.__INTERNALS__.matches
+     * console.log(matches('http://cdn.example.com/app.js', [/^https:/,
+     *                                                        'cdn.example']))
+     * // => true
+     */
+    var matches = newf(function(value, patterns) {
+        var found  = false
+        var typeOf = function(object) {
+            // patterns may come from another frame, with its own RegExp
+            return Object.prototype.toString.call(object)
+        }
+
+        if (value === undefined || value === null) return false
+        if (typeOf(patterns) != '[object Array]') patterns = [patterns]
+
+        value = String(value)
+        each(patterns, function(pattern) {
+            if (found) return
+
+            if (typeOf(pattern) == '[object RegExp]') {
+                found = pattern.test(value)
+            }
+            else if (typeof pattern == 'string' || pattern instanceof String) {
+                found = value.indexOf(pattern) >= 0
+            }
+        })
+
+        return found
+    })
+
+    /**
+     * @constant {object} ErrorTracker~STACK_FORMATS
+     * @summary Patterns matching a single line of a stack trace
+     * @desc Each browser engine formats `Error.stack` its own way. `v8` is
+     *       Chrome, Edge and Node.js, `gecko` is Firefox and Safari (which
+     *       share the `function@location` layout), and `jsc` is the bare
+     *       location Safari uses for frames without a function name.
+     */
+    var STACK_FORMATS = {
+        //     at functionName (http://example.com/file.js:10:5)
+        //     at http://example.com/file.js:10:5
+        v8:    /^\s*at (?:(.+?) \()?(.+?)(?::(\d+))?(?::(\d+))?\)?\s*$/,
+
+        //     functionName@http://example.com/file.js:10:5
+        //     @http://example.com/file.js:10
+        gecko: /^\s*(.*?)@(.*?)(?::(\d+))?(?::(\d+))?\s*$/,
+
+        //     http://example.com/file.js:10:5
+        //     [native code]
+        jsc:   /^\s*((?:[a-z][a-z0-9+.\-]*:|\/).*?|\[native code\])(?::(\d+))?(?::(\d+))?\s*$/i
+    }
+
+    /**
+     * @method ErrorTracker~parseStack
+     * @summary Break a stack trace down into structured frames
+     * @desc Take the `stack` property of an `Error` and turn it into a list of
+     *       frames, most recent call first, each with a `function`, `file`,
+     *       `line`, `column` and `inApp` flag (see {@link
+     *       ErrorTracker~isInApp}). Anything the browser did not provide is
+     *       `null`, and lines that can't be understood are skipped.
+     * @arg {string} stack - The stack trace to parse
+     * @returns {Array} The list of frames
+     * @example <caption>Parsing a Firefox stack trace</caption>
+     * var frames = ErrorTracker.__INTERNALS__.parseStack(
+     *     'handleClick@http://example.com/app.js:10:5\n' +
+     *     '@http://example.com/app.js:40:1'
+     * )
+     * console.log(frames[0])
+     * // => {function: "handleClick", file: "http://example.com/app.js",
+     * //     line: 10, column: 5, inApp: true}
+     */
+    var parseStack = newf(function(stack) {
+        var frames = []
+        var lines, v8
+
+        if (typeof stack != 'string' && !(stack instanceof String)) {
+            return frames
+        }
+
+        lines = stack.split('\n')
+        v8    = /^\s*at /m.test(stack)
+
+        each(lines, function(line) {
+            var fn, file, lineno, colno, parts, nested
+
+            if (v8) {
+                if (!(parts = STACK_FORMATS.v8.exec(line))) return
+                fn     = parts[1]
+                file   = parts[2]
+                lineno = parts[3]
+                colno  = parts[4]
+
+                // "at async fn (...)" is V8's marker for an await boundary
+                if (fn) fn = fn.replace(/^async /, '')
+
+                // "eval at fn (http://example.com/file.js:1:2), <anonymous>"
+                // is code run through eval(); point to where eval() was
+                if (/^eval at /.test(file)) {
+                    nested = /\((\S+?):(\d+):(\d+)\)/.exec(file)
+                    if (nested) {
+                        file   = nested[1]
+                        lineno = nested[2]
+                        colno  = nested[3]
+                    }
+                }
+            }
+            else if ((parts = STACK_FORMATS.gecko.exec(line))) {
+                fn     = parts[1]
+                file   = parts[2]
+                lineno = parts[3]
+                colno  = parts[4]
+
+                // "http://example.com/file.js line 10 > eval" is Firefox's
+                // version of the same thing
+                nested = / line (\d+) > (?:eval|Function)/.exec(file)
+                if (nested) {
+                    file   = file.substring(0, nested.index)
+                    lineno = nested[1]
+                    colno  = undefined
+                }
+            }
+            else if ((parts = STACK_FORMATS.jsc.exec(line))) {
+                file   = parts[1]
+                lineno = parts[2]
+                colno  = parts[3]
+            }
+            else {
+                return
+            }
+
+            frames.push({
+                'function': fn   || null,
+                file:       file || null,
+                line:       lineno ? parseInt(lineno, 10) : null,
+                column:     colno  ? parseInt(colno,  10) : null,
+                inApp:      isInApp(file)
+            })
+        })
+
+        return frames
+    })
+
+    /**
+     * @method ErrorTracker~isInApp
+     * @summary Decide whether a file belongs to the application
+     * @desc Files belong to the application if they match the `inAppUrls`
+     *       configuration setting or, if that is not set, if they are served
+     *       from the same origin as the page (in Node.js, if they aren't
+     *       Node's own, and aren't in `node_modules`). Native code, `eval()`ed
+     *       code and anything else without a real location never belongs to
+     *       the application.
+     * @arg {string} file - The URL of the file to check
+     * @returns {boolean} Whether the file is part of the application
+     */
+    var isInApp = newf(function(file) {
+        var patterns = c('inAppUrls')
+        var origin
+
+        if (!file || !/^(?:[a-z][a-z0-9+.\-]*:|\/)/i.test(file)) return false
+        if (patterns) return matches(file, patterns)
+        if (NODE) return !/^node:|[\/\\]node_modules[\/\\]/.test(file)
+
+        origin = GLOBAL.location.protocol + '//' + GLOBAL.location.host
+        return file.indexOf(origin + '/') === 0 || file.charAt(0) == '/'
+    })
+
+    /**
+     * @constant {number} ErrorTracker~MAX_REJECTIONS
+     * @summary How many unhandled promise rejections to remember
+     * @desc {@link ErrorTracker~receiveRejection} remembers the promise of
+     *       each rejection it tracks, in case it is handled later; only this
+     *       many of the latest are kept.
+     */
+    var MAX_REJECTIONS = 100
+
+    /**
+     * @method ErrorTracker~parseStored
+     * @summary Read a tracked errors list stored as JSON
+     * @desc Anything that was stored by someone else, or got cut short, is
+     *       taken to be an empty list, rather than an error.
+     * @arg {?string} stored - The stored list
+     * @returns {Array} The list
+     */
+    var parseStored = newf(function(stored) {
+        var list
+
+        try { list = stored ? JSON.parse(stored) : [] }
+        catch (e) { list = [] }
+
+        return Object.prototype.toString.call(list) == '[object Array]' ?
+               list : []
+    })
+
+    /**
+     * @constant {object} ErrorTracker~STORAGE_BACKENDS
+     * @summary Built-in places to persist the tracked errors list
+     * @desc The backends the `storage` configuration setting can name.
+     *       `localStorage` is synchronous but has only a few megabytes,
+     *       shared with the page; `indexedDB` has more room but is
+     *       asynchronous. Both keep the list as JSON under `storageKey`. A
+     *       custom backend is an object with `load(key, callback)` and
+     *       `save(key, list)` methods. Lists that can't be read are taken to
+     *       be empty, and failed saves are given up on.
+     */
+    var STORAGE_BACKENDS = {
+        localStorage: {
+            load: function(key, callback) {
+                var stored = GLOBAL.localStorage.getItem(key)
+                callback(parseStored(stored))
+            },
+
+            save: function(key, list) {
+                // if we run out of room, give up the oldest errors first
+                while (true) {
+                    try {
+                        GLOBAL.localStorage.setItem(key, JSON.stringify(list))
+                        return
+                    }
+                    catch (e) {
+                        if (list.length === 0) throw e
+                        list = list.slice(Math.ceil(list.length / 2))
+                    }
+                }
+            }
+        },
+
+        indexedDB: (function() {
+            var STORE = 'trackedErrors'
+            var database, waiting
+
+            // opening the database is asynchronous, so everything waits on
+            // it; the connection is kept open for the life of the page
+            var open = function(callback) {
+                var request
+
+                if (database) return callback(database)
+                if (waiting)  return waiting.push(callback)
+
+                waiting = [callback]
+                try { request = GLOBAL.indexedDB.open('ErrorTracker', 1) }
+                catch (e) {
+                    each(waiting, function(fn) { fn() })
+                    waiting = undefined
+                    return
+                }
+                request.onupgradeneeded = function() {
+                    request.result.createObjectStore(STORE)
+                }
+                request.onsuccess = function() {
+                    database = request.result
+                    each(waiting, function(fn) { fn(database) })
+                    waiting = undefined
+                }
+                request.onerror = function() {
+                    each(waiting, function(fn) { fn() })
+                    waiting = undefined
+                }
+            }
+
+            return {
+                load: function(key, callback) {
+                    open(function(db) {
+                        var request
+
+                        if (!db) return callback([])
+
+                        try {
+                            request = db.transaction(STORE, 'readonly')
+                                        .objectStore(STORE).get(key)
+                        }
+                        catch (e) { return callback([]) }
+                        request.onsuccess = function() {
+                            callback(parseStored(request.result))
+                        }
+                        request.onerror = function() { callback([]) }
+                    })
+                },
+
+                save: function(key, list) {
+                    open(function(db) {
+                        if (!db) return
+
+                        // a full (or closed) database just misses out
+                        try {
+                            db.transaction(STORE, 'readwrite')
+                              .objectStore(STORE)
+                              .put(JSON.stringify(list), key)
+                        }
+                        catch (e) { return }
+                    })
+                }
+            }
+        })()
+    }
+
+    /**
+     * @method ErrorTracker~storageBackend
+     * @summary Find the configured storage backend
+     * @desc Look up the backend named by the `storage` configuration setting
+     *       in {@link ErrorTracker~STORAGE_BACKENDS}, or return the setting
+     *       itself if it is a custom backend.
+     * @returns {?object} The storage backend, or `undefined` if the tracked
+     *          errors list is not being persisted
+     */
+    var storageBackend = newf(function() {
+        var storage = c('storage')
+
+        if (!storage) return undefined
+        if (typeof storage == 'string' || storage instanceof String) {
+            return STORAGE_BACKENDS[storage]
+        }
+        return storage
+    })
+
+    /**
+     * @method ErrorTracker~limitErrors
+     * @summary Apply the storage limits to a list of errors
+     * @desc Remove the errors that are older than the `storageMaxAge`
+     *       configuration setting (in milliseconds), and then the oldest
+     *       errors beyond the `storageMaxErrors` setting. Errors without a
+     *       `savedAt` time (those pushed as arbitrary objects) are only
+     *       subject to the latter.
+     * @arg {Array} list - The errors to limit
+     * @returns {Array} A new list within the limits
+     */
+    var limitErrors = newf(function(list) {
+        var maxAge    = c('storageMaxAge')
+        var maxErrors = c('storageMaxErrors')
+        var cutoff    = new Date().getTime() - maxAge
+        var limited   = []
+
+        each(list, function(e) {
+            if (maxAge && e && e.savedAt < cutoff) return
+            limited.push(e)
+        })
+
+        if (maxErrors && limited.length > maxErrors) {
+            limited = limited.slice(limited.length - maxErrors)
+        }
+
+        return limited
+    })
+
+    /**
+     * @method ErrorTracker~persistErrors
+     * @summary Write the tracked errors list to storage
+     * @desc Save the current list of tracked errors with the configured
+     *       storage backend, if there is one, so that it can be restored by
+     *       {@link ErrorTracker~restoreErrors} on the next page load. If the
+     *       backend fails, the list just isn't saved this time.
+     * @returns nothing
+     */
+    var persistErrors = newf(function() {
+        var backend = storageBackend()
+        if (!backend) return
+
+        // storage failing is no reason to lose track of the errors we have,
+        // and it mustn't be tracked as an error itself: that would mean
+        // persisting again, and failing again, forever
+        try {
+            backend.save(c('storageKey'),
+                         limitErrors(this.__INTERNALS__.trackedErrors))
+        }
+        catch (e) { return }
+    })
+
+    /**
+     * @method ErrorTracker~flushErrors
+     * @summary Send any errors left over from earlier
+     * @desc Send the tracked errors to the server if there are any, as long as
+     *       `autoSendErrors` is enabled and the browser believes it is online
+     *       (Node.js is always taken to be online). This is used to send
+     *       errors restored from storage, and is called whenever the browser
+     *       comes back online.
+     * @returns nothing
+     */
+    var flushErrors = newf(function() {
+        if (!c('autoSendErrors') || !c('endpoint'))        return
+        if (this.__INTERNALS__.trackedErrors.length === 0) return
+        if (!NODE && GLOBAL.navigator.onLine === false)    return
+
+        dispatch('sendErrors')
+    })
+
+    /**
+     * @method ErrorTracker~restoreErrors
+     * @summary Read the tracked errors list back out of storage
+     * @desc Load the errors persisted by {@link ErrorTracker~persistErrors}
+     *       and put them in front of any errors tracked so far, in the current
+     *       report format (see {@link ErrorTracker~normalizeError}), skipping
+     *       any that are already tracked (as happens when switching `storage`
+     *       away and back). If anything was restored and `autoSendErrors` is
+     *       enabled, the errors are then sent to the server straight away. As
+     *       some storage backends are asynchronous, the errors may not be
+     *       restored by the time this method returns.
+     * @returns nothing
+     */
+    var restoreErrors = newf(function() {
+        var backend = storageBackend()
+        var load
+
+        if (!backend) return
+
+        load = newf(function(restored) {
+            var tracked = this.__INTERNALS__.trackedErrors
+            var errors  = []
+
+            // errors saved by an older version of ErrorTracker have to be
+            // brought up to date before they can be sent again
+            each(limitErrors(restored), function(e) {
+                var kept = false
+
+                e = normalizeError(e)
+                if (!e.fingerprint) e.fingerprint = fingerprint(e)
+                each(tracked, function(t) {
+                    if (t && t.savedAt === e.savedAt &&
+                        t.message === e.message) {
+                        kept = true
+                    }
+                })
+                if (!kept) errors.push(e)
+            })
+            restored = errors
+            if (restored.length === 0) return
+
+            this.__INTERNALS__.trackedErrors =
+                restored.concat(this.__INTERNALS__.trackedErrors)
+            persistErrors()
+            flushErrors()
+        })
+
+        // storage that can't be read has nothing to restore, and isn't
+        // tracked as an error, for the same reason as in persistErrors
+        try { backend.load(c('storageKey'), load) }
+        catch (e) { return }
+    })
+
+    /**
+     * @method ErrorTracker~scheduleSend
+     * @summary Send the tracked errors after a short delay
+     * @desc Wait `sendDebounce` milliseconds before sending, so that a burst
+     *       of errors goes out in one request. The wait starts with the first
+     *       error and isn't extended by the rest. If `sendDebounce` is 0, the
+     *       errors are sent immediately.
+     * @returns nothing
+     */
+    var scheduleSend = newf(function() {
+        var delivery = this.__INTERNALS__.delivery
+
+        if (!c('sendDebounce')) return dispatch('sendErrors')
+        if (delivery.sendTimer) return
+
+        delivery.sendTimer = setTimeout(newf(function() {
+            delivery.sendTimer = undefined
+            dispatch('sendErrors')
+        }), c('sendDebounce'))
+        if (NODE && delivery.sendTimer.unref) delivery.sendTimer.unref()
+    })
+
+    /**
+     * @method ErrorTracker~scheduleRetry
+     * @summary Try sending the tracked errors again after a failure
+     * @desc Retry with an exponential backoff: about `retryDelay`
+     *       milliseconds at first, doubling each time up to `retryMaxDelay`,
+     *       with some jitter. After `retryLimit` failures in a row we give up;
+     *       the errors stay tracked and go out with the next request.
+     * @returns nothing
+     */
+    var scheduleRetry = newf(function() {
+        var delivery = this.__INTERNALS__.delivery
+        var delay
+
+        if (delivery.retryTimer) return
+        if (delivery.attempts >= c('retryLimit')) {
+            delivery.attempts = 0
+            return
+        }
+
+        delay = Math.min(c('retryMaxDelay'),
+                         c('retryDelay') * Math.pow(2, delivery.attempts))
+        delay = delay / 2 + Math.random() * delay / 2
+        delivery.attempts++
+
+        delivery.retryTimer = setTimeout(newf(function() {
+            delivery.retryTimer = undefined
+            dispatch('sendErrors')
+        }), delay)
+        if (NODE && delivery.retryTimer.unref) delivery.retryTimer.unref()
+    })
+
+    /**
+     * @method ErrorTracker~settleSending
+     * @summary Take a batch off the list of errors on their way
+     * @desc Called once the server has answered for the batch, or the send
+     *       has failed. Once nothing is left on its way, anything waiting for
+     *       that (see {@link ErrorTracker~flushAfterCrash}) is called.
+     * @arg {Array} batch - The errors that were sent
+     * @returns nothing
+     */
+    var settleSending = newf(function(batch) {
+        var delivery = this.__INTERNALS__.delivery
+        var sending  = []
+        var drained
+
+        each(delivery.sending, function(e) {
+            if (batch.indexOf(e) < 0) sending.push(e)
+        })
+        delivery.sending = sending
+        if (sending.length) return
+
+        drained = delivery.drained
+        delivery.drained = []
+        each(drained, function(callback) { callback() })
+    })
+
+    /**
+     * @method ErrorTracker~byteLength
+     * @summary Count the bytes a string takes up as UTF-8
+     * @arg {string} string - The string to measure
+     * @returns {number} Its length in bytes
+     */
+    var byteLength = newf(function(string) {
+        var bytes = 0
+        var code, i
+
+        // each half of a surrogate pair counts for two of its four bytes
+        for (i = 0; i < string.length; i++) {
+            code   = string.charCodeAt(i)
+            bytes += code < 0x80  ? 1 :
+                     code < 0x800 || (code >= 0xd800 && code < 0xe000) ? 2 : 3
+        }
+
+        return bytes
+    })
+
+    /**
+     * @method ErrorTracker~sendOnUnload
+     * @summary Send the tracked errors as the page goes away
+     * @desc Called on `pagehide`, or a `visibilitychange` to hidden, this
+     *       sends every tracked error with the `beacon` transport (see {@link
+     *       ErrorTracker~TRANSPORTS}), whichever transport is configured, if
+     *       `flushOnUnload` is true (or undefined, with `autoSendErrors` on).
+     *       That includes errors already being sent, as the browser cancels
+     *       those requests. The errors are split into requests of at most
+     *       `beaconMaxBytes` bytes; one too large to send alone is left for
+     *       next time. Errors the browser agreed to send are forgotten. The
+     *       {@link ErrorTracker~droppedSummary} goes with the first request.
+     * @arg {Event} event - The event that triggered the flush
+     * @returns nothing
+     */
+    var sendOnUnload = newf(function(event) {
+        var enabled  = c('flushOnUnload')
+        var ep       = c('endpoint')
+        var maxBytes = c('beaconMaxBytes')
+        var envelope = byteLength(JSON.stringify(buildReport([])))
+        var bytes    = envelope
+        var sent     = []
+        var batch    = []
+        var trackedErrors
+        var send     = function() {
+            var errors = batch
+            var report = buildReport(errors)
+            if (errors.length === 0 && !report.droppedErrors) return
+
+            ajax(report, ep, function(response) {
+                if (response.state != 'success') return
+                sent = sent.concat(errors)
+                acknowledgeDropped(report.droppedErrors)
+            }, TRANSPORTS.beacon)
+            batch = []
+            bytes = envelope
+        }
+
+        if (event.type == 'visibilitychange' &&
+            document.visibilityState != 'hidden') {
+            return
+        }
+        if (enabled === undefined) enabled = c('autoSendErrors')
+        if (!enabled || !ep) return
+
+        each(this.__INTERNALS__.trackedErrors, function(e) {
+            var size = byteLength(JSON.stringify(e))
+
+            // every error after the first is preceded by a comma
+            if (bytes + size + (batch.length ? 1 : 0) > maxBytes) {
+                send()
+                if (envelope + size > maxBytes) return
+            }
+            bytes += size + (batch.length ? 1 : 0)
+            batch.push(e)
+        })
+        send()
+
+        if (sent.length) {
+            trackedErrors = []
+            each(this.__INTERNALS__.trackedErrors, function(e) {
+                if (sent.indexOf(e) < 0) trackedErrors.push(e)
+            })
+            this.__INTERNALS__.trackedErrors = trackedErrors
+            persistErrors()
+        }
+    })
+
+    /**
+     * @method ErrorTracker~describeReason
+     * @summary Describe the reason a promise was rejected
+     * @desc Promises can be rejected with anything, not just errors. Turn
+     *       the reason into the `message`, `stack` and `frames` that {@link
+     *       ErrorTracker.saveError} takes from an `Error`: strings become the
+     *       message, and anything else is described by its `message` or its
+     *       JSON, and kept as the `reason` if it can be turned into JSON.
+     * @arg {*} reason - The reason the promise was rejected
+     * @returns {object} The description of the reason
+     * @example <caption>Describing a plain object</caption>
+     * var description = ErrorTracker.__INTERNALS__.describeReason({code: 42})
+     * console.log(description.message)
+     * // => '{"code":42}'
+     */
+    var describeReason = newf(function(reason) {
+        var description = {stack: undefined, frames: []}
+
+        if (reason instanceof Error) {
+            description.message = reason.message
+            description.stack   = reason.stack
+            description.frames  = parseStack(reason.stack)
+        }
+        else if (typeof reason == 'string' || reason instanceof String) {
+            description.message = String(reason)
+        }
+        else {
+            try { description.reason = JSON.parse(JSON.stringify(reason)) }
+            catch (e) { }
+
+            if (reason && typeof reason.message == 'string') {
+                description.message = reason.message
+            }
+            else if (description.reason !== undefined) {
+                description.message = JSON.stringify(description.reason)
+            }
+            else {
+                description.message = String(reason)
+            }
+        }
+
+        return description
+    })
+
+    /**
+     * @method ErrorTracker~receiveRejection
+     * @summary Catch promise rejections that nothing handled
+     * @desc Listens for `unhandledrejection` events, and passes them along to
+     *       {@link ErrorTracker.receiveError}, as long as the
+     *       `captureUnhandledRejections` configuration setting is enabled.
+     *       The error that is tracked is remembered along with its promise,
+     *       so that it can be retracted by {@link
+     *       ErrorTracker~retractRejection} if the promise is handled later.
+     * @arg {PromiseRejectionEvent} event - The rejection event
+     * @returns nothing
+     */
+    var receiveRejection = newf(function(event) {
+        var rejections = this.__INTERNALS__.rejections
+        var e
+
+        if (!c('captureUnhandledRejections')) return
+
+        e = this.receiveError(event)
+        if (e === undefined) return
+
+        rejections.push({promise: event.promise, error: e})
+        if (rejections.length > MAX_REJECTIONS) rejections.shift()
+    })
+
+    /**
+     * @method ErrorTracker~retractRejection
+     * @summary Forget about promise rejections that were handled after all
+     * @desc Listens for `rejectionhandled` events, which the browser sends
+     *       when a promise that was reported as unhandled is given a handler
+     *       after all, and removes the error tracked for it by {@link
+     *       ErrorTracker~receiveRejection}. If that error is already on its
+     *       way to the server, it is too late to take it back.
+     * @arg {PromiseRejectionEvent} event - The rejection event
+     * @returns nothing
+     */
+    var retractRejection = newf(function(event) {
+        var delivery   = this.__INTERNALS__.delivery
+        var rejections = []
+        var retracted  = []
+        var trackedErrors
+
+        each(this.__INTERNALS__.rejections, function(rejection) {
+            if (rejection.promise === event.promise) {
+                retracted.push(rejection.error)
+            }
+            else {
+                rejections.push(rejection)
+            }
+        })
+        this.__INTERNALS__.rejections = rejections
+        if (retracted.length === 0) return
+
+        // an error that has been seen more than once only loses the count
+        // for this occurrence
+        trackedErrors = []
+        each(this.__INTERNALS__.trackedErrors, function(e) {
+            if (retracted.indexOf(e) < 0 || delivery.sending.indexOf(e) >= 0) {
+                trackedErrors.push(e)
+            }
+            else if (e.count > 1) {
+                e.count--
+                trackedErrors.push(e)
+            }
+        })
+        this.__INTERNALS__.trackedErrors = trackedErrors
+        persistErrors()
+    })
+
+    /**
+     * @method ErrorTracker~flushAfterCrash
+     * @summary Send the errors waiting to go, before the process ends
+     * @desc If the `flushOnUnload` configuration setting is true (or if it
+     *       is left undefined and `autoSendErrors` is true), the errors that
+     *       aren't on their way to the server yet are sent, and the callback
+     *       waits for every send to finish, for up to `shutdownTimeout`
+     *       milliseconds. Otherwise, it is called straight away.
+     * @arg {function} callback - Called once, when the tracker is done
+     * @returns nothing
+     */
+    var flushAfterCrash = newf(function(callback) {
+        var delivery = this.__INTERNALS__.delivery
+        var enabled  = c('flushOnUnload')
+        var ep       = c('endpoint')
+        var batch    = []
+        var finished = false
+        var done     = function() {
+            if (finished) return
+            finished = true
+            callback()
+        }
+
+        if (enabled === undefined) enabled = c('autoSendErrors')
+        if (!enabled || !ep) return done()
+
+        each(this.__INTERNALS__.trackedErrors, function(e) {
+            if (delivery.sending.indexOf(e) < 0) batch.push(e)
+        })
+        if (!batch.length && !delivery.sending.length) return done()
+
+        // errors already on their way get as long as the new ones do
+        setTimeout(done, c('shutdownTimeout'))
+        delivery.drained.push(done)
+        if (batch.length) {
+            delivery.sending = delivery.sending.concat(batch)
+            ajax(buildReport(batch), ep, function() { settleSending(batch) })
+        }
+    })
+
+    /**
+     * @method ErrorTracker~rejectionMode
+     * @summary Find out what Node.js does with unhandled rejections
+     * @desc Reads the `--unhandled-rejections` option the process was
+     *       started with, on the command line or in `NODE_OPTIONS`. Without
+     *       one, Node.js treats them as uncaught exceptions (`throw`).
+     * @returns {string} The mode: `throw`, `strict`, `warn`,
+     *          `warn-with-error-code` or `none`
+     */
+    var rejectionMode = newf(function() {
+        var env     = process.env.NODE_OPTIONS
+        var options = (env ? env.split(/\s+/) : []).concat(process.execArgv)
+        var mode    = 'throw'
+
+        // the command line wins over NODE_OPTIONS, and the last one over the
+        // rest
+        each(options, function(option, i) {
+            var match = /^--unhandled-rejections(?:=(.*))?$/.exec(option)
+            if (match) {
+                mode = match[1] === undefined ? options[i + 1] : match[1]
+            }
+        })
+
+        return mode
+    })
+
+    /**
+     * @method ErrorTracker~crashProcess
+     * @summary Do what Node.js would have done about an uncaught error
+     * @desc Listening for the `process`'s crashes stops Node.js from ending
+     *       it. So, unless the application listens for them itself, this
+     *       prints the error to `stderr` and ends the process with an exit
+     *       code of `1`, once each tracker with the `exitOnUncaughtException`
+     *       configuration setting turned on has sent what it has waiting (see
+     *       {@link ErrorTracker~flushAfterCrash}). That only happens once,
+     *       however many trackers there are.
+     * @arg {*} error - The uncaught error, or the reason for the rejection
+     * @arg {string} event - The `process` event it came from
+     * @returns nothing
+     */
+    var crashProcess = newf(function(error, event) {
+        var exiting = []
+        var pending
+
+        if (shared.crashed || process.listenerCount(event) > 1) return
+        each(shared.receivers, function(receiver) {
+            if (receiver.exitOnCrash()) exiting.push(receiver)
+        })
+        if (!exiting.length) return
+        shared.crashed = true
+
+        process.stderr.write(nodeModule('util').inspect(error) + '\n')
+
+        pending = exiting.length
+        each(exiting, function(receiver) {
+            receiver.flush(function() {
+                if (--pending === 0) process.exit(1)
+            })
+        })
+    })
+
+    /**
+     * @method ErrorTracker~receiveUncaughtException
+     * @summary Catch errors that would crash Node.js
+     * @desc One of the {@link ErrorTracker~PROCESS_LISTENERS}, this passes
+     *       the `process`'s uncaught exceptions along to {@link
+     *       ErrorTracker.receiveError}.
+     * @arg {Error} error - The uncaught error
+     * @returns nothing
+     */
+    var receiveUncaughtException = newf(function(error) {
+        this.receiveError(error)
+    })
+
+    /**
+     * @method ErrorTracker~receiveProcessRejection
+     * @summary Catch promises rejected without a handler, in Node.js
+     * @desc One of the {@link ErrorTracker~PROCESS_LISTENERS}, this passes
+     *       the `process`'s unhandled rejections along to {@link
+     *       ErrorTracker~receiveRejection}, in the same shape as the
+     *       browser's.
+     * @arg {*} reason - The reason the promise was rejected
+     * @arg {Promise} [promise] - The promise
+     * @returns nothing
+     */
+    var receiveProcessRejection = newf(function(reason, promise) {
+        receiveRejection({
+            type:    'unhandledrejection',
+            reason:  reason,
+            promise: promise
+        })
+    })
+
+    /**
+     * @method ErrorTracker~retractProcessRejection
+     * @summary Forget about promise rejections handled late, in Node.js
+     * @desc Listens for the `process`'s `rejectionHandled` events, and passes
+     *       them along to {@link ErrorTracker~retractRejection}.
+     * @arg {Promise} promise - The promise that was handled after all
+     * @returns nothing
+     */
+    var retractProcessRejection = newf(function(promise) {
+        retractRejection({promise: promise})
+    })
+
+    /**
+     * @constant {object} ErrorTracker~PROCESS_LISTENERS
+     * @summary This tracker's listeners for the `process`'s events, by event
+     * @desc What {@link ErrorTracker.registerReceiver} listens for in
+     *       Node.js, in place of the browser's events. They are called by
+     *       the {@link ErrorTracker~PROCESS_HOOKS} every tracker shares.
+     */
+    var PROCESS_LISTENERS = {
+        uncaughtException:  receiveUncaughtException,
+        unhandledRejection: receiveProcessRejection,
+        rejectionHandled:   retractProcessRejection
+    }
+
+    /**
+     * @constant {object} ErrorTracker~PROCESS_RECEIVER
+     * @summary What the shared process hooks need of this tracker
+     * @desc Its {@link ErrorTracker~PROCESS_LISTENERS}, whether it wants the
+     *       process ended after a crash, and a way to send its errors first
+     *       (see {@link ErrorTracker~crashProcess}).
+     */
+    var PROCESS_RECEIVER = {
+        listeners:   PROCESS_LISTENERS,
+        exitOnCrash: function() { return c('exitOnUncaughtException') },
+        flush:       function(callback) { flushAfterCrash(callback) }
+    }
+
+    /**
+     * @constant {object} ErrorTracker~PROCESS_HOOKS
+     * @summary The listeners added to the `process`, by event
+     * @desc Added once, by the first tracker to register its receiver. Each
+     *       passes the event along to every registered tracker, and only
+     *       then decides whether to end the process (see {@link
+     *       ErrorTracker~crashProcess}). Unhandled rejections are dealt with
+     *       according to `--unhandled-rejections` (see {@link
+     *       ErrorTracker~rejectionMode}): in `strict` mode, Node.js raises
+     *       them as uncaught exceptions first, and with `warn`, `none` and
+     *       `warn-with-error-code`, the process carries on.
+     */
+    var PROCESS_HOOKS = {
+        uncaughtException: newf(function(error, origin) {
+            var rejected = origin == 'unhandledRejection'
+
+            each(shared.receivers.slice(), function(receiver) {
+                if (rejected) receiver.listeners.unhandledRejection(error)
+                else          receiver.listeners.uncaughtException(error)
+            })
+            crashProcess(error, 'uncaughtException')
+        }),
+        unhandledRejection: newf(function(reason, promise) {
+            var mode = rejectionMode()
+
+            if (mode == 'strict') return
+            each(shared.receivers.slice(), function(receiver) {
+                receiver.listeners.unhandledRejection(reason, promise)
+            })
+
+            if (mode == 'warn-with-error-code') process.exitCode = 1
+            if (mode == 'throw') crashProcess(reason, 'unhandledRejection')
+        }),
+        rejectionHandled: newf(function(promise) {
+            each(shared.receivers.slice(), function(receiver) {
+                receiver.listeners.rejectionHandled(promise)
+            })
+        })
+    }
+
+    /**
+     * @class ErrorTracker~ForwardedError
+     * @summary An error a worker or a frame forwarded to the page
+     * @desc Wraps up an error tracked by a worker or a frame and forwarded
+     *       to this page (see {@link ErrorTracker~forwardToPages}), along
+     *       with where it came from, so that {@link ErrorTracker.saveError}
+     *       can tell it apart from anything else it might be given.
+     * @arg {object} error - The error, as it was tracked there
+     * @arg {object} origin - Where it came from: a `workerInfo` or a
+     *      `frameInfo`, to be added to the error
+     */
+    var ForwardedError = function(error, origin) {
+        this.error  = error
+        this.origin = origin
+    }
+
+    /**
+     * @method ErrorTracker~forwardToPages
+     * @summary Pass a worker's or a frame's errors on to another page
+     * @desc In a worker, if the `forwardErrors` configuration setting is
+     *       enabled, errors are tracked as usual until a page watches the
+     *       worker (see {@link ErrorTracker.watchWorker}). From then on,
+     *       they're posted to the page as soon as they're tracked (to every
+     *       page watching, for a shared worker), and taken out of the
+     *       worker's own list; it's up to the page to send them on. A frame
+     *       does the same with the top-level page, once it has connected to
+     *       it, if the `relayErrors` configuration setting is enabled (see
+     *       {@link ErrorTracker~receiveParent}).
+     * @returns nothing
+     */
+    var forwardToPages = newf(function() {
+        var pages     = this.__INTERNALS__.delivery.pages
+        var enabled   = WORKER ? c('forwardErrors') : c('relayErrors')
+        var forwarded = {}
+
+        if (NODE || !enabled || !pages.length) return
+
+        if (WORKER) {
+            forwarded.worker = {type: WORKER_TYPE, url: GLOBAL.location.href}
+        }
+        else {
+            forwarded.frame  = {url: GLOBAL.location.href}
+        }
+
+        // postMessage() copies the message as it is sent, so the one object
+        // can carry each of the errors in turn
+        each(this.__INTERNALS__.trackedErrors, function(e) {
+            forwarded.error = e
+            each(pages, function(port) { port.postMessage(forwarded) })
+        })
+        this.__INTERNALS__.trackedErrors = []
+        persistErrors()
+    })
+
+    /**
+     * @method ErrorTracker~receiveWatcher
+     * @summary Hear from a page that wants a worker's errors
+     * @desc Listens, in a worker, for the message {@link
+     *       ErrorTracker.watchWorker} posts with the port the worker's errors
+     *       are to be forwarded through, and forwards those tracked so far
+     *       (see {@link ErrorTracker~forwardToPages}). The message is
+     *       ErrorTracker's own, so the worker's listeners never see it, as
+     *       long as ErrorTracker was loaded before they were added.
+     * @arg {MessageEvent} event - The message
+     * @returns nothing
+     */
+    var receiveWatcher = newf(function(event) {
+        var data = event.data
+
+        if (!data || data.errorTracker != 'watch')  return
+        if (!event.ports || !event.ports[0])        return
+
+        event.stopImmediatePropagation()
+        this.__INTERNALS__.delivery.pages.push(event.ports[0])
+        forwardToPages()
+    })
+
+    /**
+     * @method ErrorTracker~receiveConnection
+     * @summary Listen to each page that connects to a shared worker
+     * @desc A shared worker hears from each page through a port of its own,
+     *       which it is given in a `connect` event; this listens on each of
+     *       them for pages that want the worker's errors (see {@link
+     *       ErrorTracker~receiveWatcher}).
+     * @arg {MessageEvent} event - The `connect` event
+     * @returns nothing
+     */
+    var receiveConnection = newf(function(event) {
+        var port = event.ports && event.ports[0]
+        if (!port) return
+
+        port.addEventListener('message', receiveWatcher, false)
+        port.start()
+    })
+
+    /**
+     * @method ErrorTracker~receiveWorkerMessage
+     * @summary Track the errors a worker forwards to the page
+     * @desc Listens on the port each watched worker forwards its errors
+     *       through (see {@link ErrorTracker.watchWorker}), and passes them
+     *       along to {@link ErrorTracker.receiveError}, with the worker they
+     *       came from.
+     * @arg {MessageEvent} event - The message, with the `worker` and the
+     *      `error`
+     * @returns nothing
+     */
+    var receiveWorkerMessage = newf(function(event) {
+        var data = event.data
+
+        if (!data || !data.worker || !data.error) return
+        if (typeof data.error != 'object')        return
+
+        this.receiveError(new ForwardedError(data.error, {
+            workerInfo: {
+                type: String(data.worker.type),
+                url:  String(data.worker.url)
+            }
+        }))
+    })
+
+    /**
+     * @constant {Array} ErrorTracker~FRAME_SETTINGS
+     * @summary Configuration settings that stay with each frame
+     * @desc The settings that decide which frames and pages trust each
+     *       other are never pushed down to a frame by the top-level page
+     *       (see {@link ErrorTracker~sharedConfiguration}), whatever its
+     *       `shareConfiguration` setting says; nor is where errors are
+     *       stored, so that frames from the same origin as the page don't
+     *       overwrite its stored errors with theirs.
+     */
+    var FRAME_SETTINGS = [
+        'relayErrors', 'frameOrigins', 'shareConfiguration',
+        'storage', 'storageKey'
+    ]
+
+    /**
+     * @method ErrorTracker~isTrustedOrigin
+     * @summary Check whether a frame or page can be trusted with errors
+     * @desc The page's own origin is always trusted, as are any listed in
+     *       the `frameOrigins` configuration setting. Unlike most patterns
+     *       (see {@link ErrorTracker~matches}), a string there has to be the
+     *       whole origin, such as `https://widgets.example.com`, so that
+     *       `https://widgets.example.com.evil.org` isn't trusted along with
+     *       it; a `RegExp` is tested as usual.
+     * @arg {string} origin - The origin of a message
+     * @returns {boolean} Whether the origin is trusted
+     */
+    var isTrustedOrigin = newf(function(origin) {
+        var patterns = c('frameOrigins') || []
+        var own      = GLOBAL.origin ||
+                       GLOBAL.location.protocol + '//' + GLOBAL.location.host
+        var trusted  = origin === own && origin != 'null'
+
+        each(patterns, function(pattern) {
+            if (Object.prototype.toString.call(pattern) == '[object RegExp]') {
+                trusted = trusted || pattern.test(origin)
+            }
+            else {
+                trusted = trusted || String(pattern) === origin
+            }
+        })
+
+        return trusted
+    })
+
+    /**
+     * @method ErrorTracker~framePath
+     * @summary Find where a frame is on the page
+     * @desc Searches the page's frames (and their frames, and so on) for a
+     *       window. This works whatever the frames' origins, as a page is
+     *       always allowed to count and compare the windows in its frames.
+     * @arg {Window} source - The frame's window
+     * @returns {Array} The index of the frame in the page's `frames`,
+     *          followed by the index of the next frame in its `frames`, and
+     *          so on, down to the frame; or `null` if it isn't on the page
+     */
+    var framePath = newf(function(source) {
+        var search = function(parent) {
+            var index, found
+
+            for (index = 0; index < parent.frames.length; index++) {
+                if (parent.frames[index] === source) return [index]
+
+                found = search(parent.frames[index])
+                if (found) return [index].concat(found)
+            }
+
+            return null
+        }
+
+        return search(GLOBAL)
+    })
+
+    /**
+     * @method ErrorTracker~sharedConfiguration
+     * @summary Collect the configuration to push down to frames
+     * @desc If the `shareConfiguration` configuration setting is `true`,
+     *       every setting is pushed down to the frames that relay their
+     *       errors to this page (see {@link ErrorTracker~pushConfiguration});
+     *       if it's a list of setting names, just those are. Either way,
+     *       settings that can't be posted to another window (functions, and
+     *       anything with a function in it) and the {@link
+     *       ErrorTracker~FRAME_SETTINGS} are left out.
+     * @returns {object} The settings to push down, by name
+     */
+    var sharedConfiguration = newf(function() {
+        var share         = c('shareConfiguration')
+        var configuration = this.__INTERNALS__.configuration
+        var settings      = {}
+        var postable      = function(value) {
+            var key
+
+            if (typeof value == 'function') return false
+            if (value && typeof value == 'object') {
+                for (key in value) {
+                    if (!postable(value[key])) return false
+                }
+            }
+
+            return true
+        }
+
+        if (!share) return settings
+
+        each(share === true ? configuration : share, function(value, key) {
+            var setting = share === true ? key : value
+
+            if (FRAME_SETTINGS.indexOf(setting) >= 0)  return
+            if (!postable(configuration[setting]))     return
+
+            settings[setting] = configuration[setting]
+        })
+
+        return settings
+    })
+
+    /**
+     * @method ErrorTracker~pushConfiguration
+     * @summary Push the shared configuration down to the frames
+     * @desc Posts the {@link ErrorTracker~sharedConfiguration} to every
+     *       frame that relays its errors to this page, as each one connects
+     *       (see {@link ErrorTracker~receiveFrame}), and again whenever this
+     *       page is configured. Frames that have gone from the page are
+     *       forgotten.
+     * @returns nothing
+     */
+    var pushConfiguration = newf(function() {
+        var delivery      = this.__INTERNALS__.delivery
+        var configuration = sharedConfiguration()
+        var frames        = []
+
+        each(delivery.frames, function(frame) {
+            if (frame.source.closed) return frame.port.close()
+
+            frame.port.postMessage({configuration: configuration})
+            frames.push(frame)
+        })
+        delivery.frames = frames
+    })
+
+    /**
+     * @method ErrorTracker~announceFrame
+     * @summary Ask the top-level page to take a frame's errors
+     * @desc Once the `relayErrors` configuration setting is enabled in a
+     *       frame, this asks the top-level page's ErrorTracker to take the
+     *       frame's errors (see {@link ErrorTracker~receiveFrame}). The
+     *       message says nothing but that, so it can be posted without
+     *       knowing the page's origin; it's the page's answer, which the
+     *       frame checks, that decides whether the errors are relayed (see
+     *       {@link ErrorTracker~receiveParent}).
+     * @returns nothing
+     */
+    var announceFrame = newf(function() {
+        if (NODE || WORKER || GLOBAL.top === GLOBAL) return
+
+        GLOBAL.top.postMessage({errorTracker: 'frame'}, '*')
+    })
+
+    /**
+     * @method ErrorTracker~receiveFrame
+     * @summary Take the errors of a frame that asks to relay them
+     * @desc Listens, on the top-level page, for frames announcing that they
+     *       would like to relay their errors (see {@link
+     *       ErrorTracker~announceFrame}). If the frame's origin is trusted
+     *       (see {@link ErrorTracker~isTrustedOrigin}), it is sent a
+     *       `MessageChannel` port of its own to relay them through, and the
+     *       shared configuration (see {@link ErrorTracker~pushConfiguration}).
+     *       The errors it relays are tracked as any other error is, with the
+     *       frame's `url` and its `path` (see {@link ErrorTracker~framePath})
+     *       as their `frameInfo`.
+     * @arg {MessageEvent} event - The message
+     * @returns nothing
+     */
+    var receiveFrame = newf(function(event) {
+        var delivery = this.__INTERNALS__.delivery
+        var data     = event.data
+        var channel, frame, frames
+
+        if (!data || data.errorTracker != 'frame')           return
+        if (!event.source || !isTrustedOrigin(event.origin)) return
+
+        event.stopImmediatePropagation()
+
+        channel = new MessageChannel()
+        frame   = {
+            source: event.source,
+            port:   channel.port1,
+            path:   framePath(event.source)
+        }
+        channel.port1.onmessage = newf(function(message) {
+            var relayed = message.data
+
+            if (!relayed || !relayed.frame || !relayed.error) return
+            if (typeof relayed.error != 'object')             return
+
+            this.receiveError(new ForwardedError(relayed.error, {
+                frameInfo: {url: String(relayed.frame.url), path: frame.path}
+            }))
+        })
+
+        // a frame that was reloaded asks again, from the same window
+        frames = [frame]
+        each(delivery.frames, function(other) {
+            if (other.source === event.source) return other.port.close()
+            frames.push(other)
+        })
+        delivery.frames = frames
+
+        // sandboxed frames have no origin to post to; we have to trust
+        // that it's still the frame we were asked by
+        event.source.postMessage({errorTracker: 'parent'},
+                                 event.origin == 'null' ? '*' : event.origin,
+                                 [channel.port2])
+        pushConfiguration()
+    })
+
+    /**
+     * @method ErrorTracker~receiveParent
+     * @summary Start relaying a frame's errors to the top-level page
+     * @desc Listens, in a frame, for the top-level page's answer to {@link
+     *       ErrorTracker~announceFrame}. If the answer really is from the
+     *       top-level page, and its origin is trusted (see {@link
+     *       ErrorTracker~isTrustedOrigin}), the frame relays the errors
+     *       tracked so far, and any from then on, through the port it was
+     *       given (see {@link ErrorTracker~forwardToPages}), and takes on the
+     *       configuration the page pushes down through it.
+     * @arg {MessageEvent} event - The message
+     * @returns nothing
+     */
+    var receiveParent = newf(function(event) {
+        var data = event.data
+        var port
+
+        if (!data || data.errorTracker != 'parent') return
+        if (event.source !== GLOBAL.top)            return
+        if (!isTrustedOrigin(event.origin))         return
+        if (!event.ports || !event.ports[0])        return
+
+        event.stopImmediatePropagation()
+
+        port = event.ports[0]
+        port.onmessage = newf(function(message) {
+            var configuration = message.data && message.data.configuration
+
+            each(configuration, function(value, setting) {
+                if (FRAME_SETTINGS.indexOf(setting) < 0) {
+                    this.setConfigurationValue(setting, value)
+                }
+            })
+        })
+
+        this.__INTERNALS__.delivery.pages = [port]
+        forwardToPages()
+    })
+
+    /**
+     * @method ErrorTracker~receiveResourceError
+     * @summary Catch scripts, stylesheets and images that failed to load
+     * @desc An element that fails to load gets an `error` event that doesn't
+     *       bubble up to `window`, so this listens for its capture phase
+     *       instead and passes it to {@link ErrorTracker.receiveError}, if
+     *       `captureResourceErrors` is enabled and the URL matches
+     *       `resourceErrorUrls` (when that is given).
+     * @arg {Event} event - The error event
+     * @returns nothing
+     */
+    var receiveResourceError = newf(function(event) {
+        var patterns = c('resourceErrorUrls')
+
+        if (!c('captureResourceErrors'))  return
+        if (!isResourceError(event))      return
+        if (patterns && !matches(resourceUrl(event.target), patterns)) return
+
+        this.receiveError(event)
+    })
+
+    /**
+     * @method ErrorTracker~isResourceError
+     * @summary Check whether an event is an element's failure to load
+     * @arg {Event} event - The event to check
+     * @returns {boolean} Whether the event is a failure to load a resource
+     */
+    var isResourceError = newf(function(event) {
+        return !NODE &&
+               event instanceof Event && !(event instanceof ErrorEvent) &&
+               event.type == 'error' && !!event.target &&
+               !!event.target.tagName
+    })
+
+    /**
+     * @method ErrorTracker~resourceUrl
+     * @summary Find the URL that an element loads
+     * @arg {HTMLElement} element - The `<script>`, `<link>`, `<img>`, etc.
+     * @returns {?string} The URL, if the element has one
+     */
+    var resourceUrl = newf(function(element) {
+        return element.currentSrc || element.src || element.href || null
+    })
+
+    /**
+     * @method ErrorTracker~recordBreadcrumb
+     * @summary Add a breadcrumb to the ring buffer
+     * @desc Breadcrumbs record what was happening on the page in the run-up
+     *       to an error: clicks, navigation, console messages, requests, and
+     *       anything added with {@link ErrorTracker.addBreadcrumb}. Only the
+     *       last `maxBreadcrumbs` are kept, in a ring buffer. In Node.js,
+     *       that's the buffer of the request being handled, and none are kept
+     *       outside of one (see {@link ErrorTracker~breadcrumbBuffer}).
+     * @arg {object} breadcrumb - The breadcrumb, which should have at least a
+     *      `category` and a `message`
+     * @returns nothing
+     */
+    var recordBreadcrumb = newf(function(breadcrumb) {
+        var buffer = breadcrumbBuffer()
+        var max    = c('maxBreadcrumbs')
+
+        if (!max || !buffer) return
+
+        // the buffer has to be rebuilt, oldest first, whenever it's been
+        // resized (either way), or new breadcrumbs land in the wrong place
+        if (buffer.size !== max) {
+            buffer.items = breadcrumbSnapshot().slice(-max)
+            buffer.next  = 0
+            buffer.size  = max
+        }
+
+        if (buffer.items.length < max) {
+            buffer.items.push(breadcrumb)
+            buffer.next = 0
+        }
+        else {
+            buffer.items[buffer.next] = breadcrumb
+            buffer.next = (buffer.next + 1) % max
+        }
+    })
+
+    /**
+     * @method ErrorTracker~breadcrumbSnapshot
+     * @summary Copy the breadcrumbs out of the ring buffer
+     * @returns {Array} The breadcrumbs, oldest first
+     */
+    var breadcrumbSnapshot = newf(function() {
+        var buffer = breadcrumbBuffer()
+
+        if (!buffer) return []
+        return buffer.items.slice(buffer.next)
+                     .concat(buffer.items.slice(0, buffer.next))
+    })
+
+    /**
+     * @method ErrorTracker~breadcrumbBuffer
+     * @summary Find the ring buffer that breadcrumbs go in
+     * @desc In the browser, a tracker keeps one buffer for the page. In
+     *       Node.js, the console is shared by every request being handled at
+     *       once, so each request handled with {@link
+     *       ErrorTracker.withRequest} has a buffer of its own, and there is
+     *       none outside of one.
+     * @returns {?object} The buffer, if breadcrumbs can be kept
+     */
+    var breadcrumbBuffer = newf(function() {
+        var context
+
+        if (!NODE) return this.__INTERNALS__.breadcrumbs
+
+        context = requestContext()
+        return context ? context.breadcrumbs : undefined
+    })
+
+    /**
+     * @method ErrorTracker~cssSelector
+     * @summary Describe an element with a CSS selector
+     * @desc Build a selector out of the tag names, `id`s and classes of an
+     *       element and its ancestors, up to the first with an `id` or five
+     *       levels up. It isn't always unique, but it's usually enough to
+     *       tell which button was clicked.
+     * @arg {HTMLElement} element - The element to describe
+     * @returns {string} The selector
+     * @example <caption>Describing a button</caption>
+     * console.log(ErrorTracker.__INTERNALS__.cssSelector(button))
+     * // => "div#checkout > form.payment > button.btn.btn-primary"
+     */
+    var cssSelector = newf(function(element) {
+        var parts = []
+        var part, classes
+
+        while (element && element.tagName && parts.length < 5) {
+            part = element.tagName.toLowerCase()
+
+            if (element.id) {
+                parts.unshift(part + '#' + element.id)
+                break
+            }
+
+            classes = typeof element.className == 'string' ?
+                      element.className.replace(/^\s+|\s+$/g, '') : ''
+            if (classes) part += '.' + classes.split(/\s+/).join('.')
+
+            parts.unshift(part)
+            element = element.parentNode
+        }
+
+        return parts.join(' > ')
+    })
+
+    /**
+     * @method ErrorTracker~absoluteUrl
+     * @summary Resolve a URL against the page's own
+     * @arg {string} url - The URL to resolve
+     * @returns {string} The absolute URL
+     */
+    var absoluteUrl = newf(function(url) {
+        var anchor
+
+        if (WORKER) return new URL(url, GLOBAL.location.href).href
+
+        anchor      = document.createElement('a')
+        anchor.href = url
+        return anchor.href
+    })
+
+    /**
+     * @method ErrorTracker~isOwnRequest
+     * @summary Check whether a request is one of ErrorTracker's own
+     * @desc Requests to the configured `endpoint`, or to any other
+     *       tracker's (see {@link ErrorTracker.createTracker}), are
+     *       ErrorTracker sending its reports, and shouldn't be treated as
+     *       things the page did.
+     * @arg {string} url - The URL that was requested
+     * @returns {boolean} Whether the URL is a tracker's endpoint
+     */
+    var isOwnRequest = newf(function(url) {
+        var endpoints = [c('endpoint')]
+        var strip     = function(url) { return absoluteUrl(url).split('?')[0] }
+        var own       = false
+
+        each(shared.instruments, function(tracker) {
+            endpoints.push(tracker.endpoint())
+        })
+        each(endpoints, function(ep) {
+            if (ep && strip(url) == strip(ep)) own = true
+        })
+
+        return own
+    })
+
+    /**
+     * @method ErrorTracker~recordClick
+     * @summary Leave a breadcrumb for each click on the page
+     * @desc Listens for clicks in the capture phase, where the page can't
+     *       stop them, and records what was clicked on (see {@link
+     *       ErrorTracker~cssSelector}) if `breadcrumbClicks` is enabled.
+     * @arg {MouseEvent} event - The click
+     * @returns nothing
+     */
+    var recordClick = newf(function(event) {
+        if (!c('breadcrumbClicks')) return
+
+        recordBreadcrumb({
+            timestamp: new Date().getTime(),
+            category:  'ui.click',
+            message:   cssSelector(event.target)
+        })
+    })
+
+    /**
+     * @method ErrorTracker~recordNavigation
+     * @summary Leave a breadcrumb each time the page's URL changes
+     * @desc Called for `popstate` and `hashchange` events, and after
+     *       `history.pushState()` and `history.replaceState()`, this records
+     *       where the page went from and to, if `breadcrumbNavigation` is
+     *       enabled.
+     * @returns nothing
+     */
+    var recordNavigation = newf(function() {
+        var from = this.__INTERNALS__.breadcrumbs.href
+        var to   = GLOBAL.location.href
+
+        if (from == to) return
+        this.__INTERNALS__.breadcrumbs.href = to
+
+        if (!c('breadcrumbNavigation')) return
+
+        recordBreadcrumb({
+            timestamp: new Date().getTime(),
+            category:  'navigation',
+            message:   to,
+            data:      {from: from, to: to}
+        })
+    })
+
+    /**
+     * @method ErrorTracker~recordConsole
+     * @summary Leave a breadcrumb for each console message
+     * @desc Called with the arguments to every call to `console.log()`,
+     *       `info()`, `warn()`, `error()` and `debug()`, this records the
+     *       message, if `breadcrumbConsole` is enabled.
+     * @arg {string} level - The console method that was called
+     * @arg {Array} args - The arguments it was called with
+     * @returns nothing
+     */
+    var recordConsole = newf(function(level, args) {
+        var message = []
+
+        if (!c('breadcrumbConsole')) return
+
+        each(args, function(arg) {
+            if (typeof arg == 'string' || arg instanceof String) {
+                message.push(String(arg))
+                return
+            }
+
+            try { message.push(JSON.stringify(arg)) }
+            catch (e) { message.push(String(arg)) }
+        })
+
+        recordBreadcrumb({
+            timestamp: new Date().getTime(),
+            category:  'console',
+            level:     level,
+            message:   message.join(' ')
+        })
+    })
+
+    /**
+     * @method ErrorTracker~recordRequest
+     * @summary Leave a breadcrumb for each request the page makes
+     * @desc One of the {@link ErrorTracker~REQUEST_OBSERVERS}, this records
+     *       every request that finishes, other than ErrorTracker's own, if
+     *       `breadcrumbRequests` is enabled.
+     * @arg {object} request - The request, as described by {@link
+     *      ErrorTracker~REQUEST_OBSERVERS}
+     * @returns nothing
+     */
+    var recordRequest = newf(function(request) {
+        if (!c('breadcrumbRequests') || isOwnRequest(request.url)) return
+
+        recordBreadcrumb({
+            timestamp: new Date().getTime(),
+            category:  request.api,
+            message:   request.method + ' ' + request.url + ' [' +
+                       request.status + ']',
+            data:      {
+                method:   request.method,
+                url:      request.url,
+                status:   request.status,
+                duration: request.duration
+            }
+        })
+    })
+
+    /**
+     * @method ErrorTracker~scrubQuery
+     * @summary Remove the values from a URL's query string
+     * @desc Query strings often carry identifiers and tokens that have no
+     *       business being in an error report; this keeps the names of the
+     *       parameters, which are usually enough to tell requests apart, but
+     *       replaces their values.
+     * @arg {string} url - The URL to scrub
+     * @returns {string} The scrubbed URL
+     * @example <caption>Scrubbing a URL</caption>
+     * console.log(ErrorTracker.__INTERNALS__.scrubQuery('/api?id=1&key=abc'))
+     * // => "/api?id=[Filtered]&key=[Filtered]"
+     */
+    var scrubQuery = newf(function(url) {
+        var parts = String(url).split('#')[0].split('?')
+        var query = []
+
+        if (parts.length < 2) return parts[0]
+
+        each(parts.slice(1).join('?').split('&'), function(parameter) {
+            if (parameter) query.push(parameter.split('=')[0] + '=[Filtered]')
+        })
+
+        return parts[0] + '?' + query.join('&')
+    })
+
+    /**
+     * @class ErrorTracker~RequestError
+     * @summary A request the page made that failed
+     * @desc Wraps up the description of a failed request given to the {@link
+     *       ErrorTracker~REQUEST_OBSERVERS}, so that {@link
+     *       ErrorTracker.saveError} can tell it apart from anything else it
+     *       might be given.
+     * @arg {object} request - The description of the request
+     */
+    var RequestError = function(request) {
+        this.request = request
+    }
+
+    /**
+     * @method ErrorTracker~receiveFailedRequest
+     * @summary Catch requests the page made that failed
+     * @desc One of the {@link ErrorTracker~REQUEST_OBSERVERS}, this passes
+     *       requests that got a 4xx or 5xx status, or no response at all,
+     *       along to {@link ErrorTracker.receiveError} if
+     *       `captureFailedRequests` is enabled. ErrorTracker's own requests
+     *       are never tracked, or a broken endpoint would feed itself.
+     * @arg {object} request - The description of the request
+     * @returns nothing
+     */
+    var receiveFailedRequest = newf(function(request) {
+        if (!c('captureFailedRequests') || isOwnRequest(request.url)) return
+        if (request.status > 0 && request.status < 400) return
+
+        this.receiveError(new RequestError(request))
+    })
+
+    /**
+     * @constant {Array} ErrorTracker~REQUEST_OBSERVERS
+     * @summary Functions to tell about each request the page makes
+     * @desc Each of these is called as every `XMLHttpRequest` and `fetch()`
+     *       finishes, with its `api` (`xhr` or `fetch`), `method`, `url`,
+     *       `status` (0 if it failed outright) and `duration` in
+     *       milliseconds. Extensions can push their own observers onto it.
+     */
+    var REQUEST_OBSERVERS = [recordRequest, receiveFailedRequest]
+
+    /**
+     * @member ErrorTracker~instrument
+     * @summary Wrap browser APIs to watch what the page is doing
+     * @desc Functions which each wrap a part of the browser's API, calling
+     *       through to the original, so that breadcrumbs can be left as the
+     *       page uses it. `all` installs them all, the first time it's called
+     *       (in Node.js, only the `console` is wrapped). Only the first
+     *       tracker installs them (see {@link ErrorTracker.createTracker});
+     *       what they see is passed along to every tracker that has called
+     *       `all`, through its `instruments`.
+     * @property {function} console  - Wrap the `console` methods
+     * @property {function} history  - Wrap `history.pushState()` and
+     *           `history.replaceState()`
+     * @property {function} requests - Wrap `XMLHttpRequest` and `fetch()`
+     * @property {function} all      - Install all of the wrappers, once,
+     *           and pass what they see along to this tracker
+     */
+    var instrument = (function() {
+        var installed = false
+        var now = function() { return new Date().getTime() }
+
+        // what this tracker does with the calls the wrappers see
+        var instruments = {
+            endpoint:   function() { return c('endpoint') },
+            console:    function(level, args) { recordConsole(level, args) },
+            navigation: function() { recordNavigation() },
+            request:    function(request) {
+                each(REQUEST_OBSERVERS, function(observer) {
+                    observer(request)
+                })
+            }
+        }
+
+        // replace a method with one that tells us about calls before
+        // making them as normal
+        var wrap = function(object, name, before) {
+            var original = object && object[name]
+            if (typeof original != 'function') return
+
+            object[name] = function() {
+                try { before.apply(this, arguments) }
+                catch (e) { }
+                return original.apply(this, arguments)
+            }
+        }
+
+        // pass a call the wrappers saw along to every tracker
+        var notify = function(name, args) {
+            each(shared.instruments, function(tracker) {
+                tracker[name].apply(undefined, args)
+            })
+        }
+
+        return {
+            console: newf(function() {
+                var levels = ['log', 'info', 'warn', 'error', 'debug']
+
+                each(levels, function(level) {
+                    wrap(GLOBAL.console, level, function() {
+                        notify('console', [level, arguments])
+                    })
+                })
+            }),
+
+            history: newf(function() {
+                each(['pushState', 'replaceState'], function(method) {
+                    var original = GLOBAL.history && GLOBAL.history[method]
+                    if (typeof original != 'function') return
+
+                    GLOBAL.history[method] = function() {
+                        var result = original.apply(this, arguments)
+                        notify('navigation', [])
+                        return result
+                    }
+                })
+            }),
+
+            requests: newf(function() {
+                var XHR = GLOBAL.XMLHttpRequest
+                var fetch = GLOBAL.fetch
+
+                if (XHR) {
+                    wrap(XHR.prototype, 'open', function(method, url) {
+                        this.__ErrorTracker__ = {
+                            method: String(method).toUpperCase(),
+                            url:    String(url)
+                        }
+                    })
+                    wrap(XHR.prototype, 'send', function() {
+                        var xhr     = this
+                        var request = xhr.__ErrorTracker__
+                        var start   = now()
+
+                        if (!request || request.own) return
+                        xhr.addEventListener('loadend', function() {
+                            request.api      = 'xhr'
+                            request.status   = xhr.status
+                            request.duration = now() - start
+                            notify('request', [request])
+                        })
+                    })
+                }
+
+                if (typeof fetch == 'function') {
+                    GLOBAL.fetch = function(input, init) {
+                        var start   = now()
+                        var own     = init && init.__ErrorTracker__
+                        var request = {
+                            api:    'fetch',
+                            method: String(init && init.method ||
+                                           input && input.method ||
+                                           'GET').toUpperCase(),
+                            url:    String(input && input.url || input)
+                        }
+                        var done = function(status) {
+                            if (own) return
+                            request.status   = status
+                            request.duration = now() - start
+                            notify('request', [request])
+                        }
+
+                        return fetch.apply(GLOBAL, arguments).then(
+                            function(response) {
+                                done(response.status)
+                                return response
+                            },
+                            function(error) {
+                                done(0)
+                                throw error
+                            }
+                        )
+                    }
+                }
+            }),
+
+            all: newf(function() {
+                if (installed) return
+                installed = true
+
+                shared.instruments.push(instruments)
+                if (shared.instrumented) return
+                shared.instrumented = true
+
+                instrument.console()
+                if (NODE) return
+
+                instrument.history()
+                instrument.requests()
+            })
+        }
+    })()
+
+    /**
+     * @method ErrorTracker~hashString
+     * @summary Boil a string down to a short hash
+     * @desc A quick, non-cryptographic hash (djb2), good enough for telling
+     *       errors apart, that keeps fingerprints short no matter how long
+     *       the messages and stack traces that go into them are.
+     * @arg {string} string - The string to hash
+     * @returns {string} The hash, in hexadecimal
+     */
+    var hashString = newf(function(string) {
+        var hash = 5381
+
+        for (var index = 0; index < string.length; index++) {
+            hash = ((hash << 5) + hash + string.charCodeAt(index)) | 0
+        }
+
+        return (hash >>> 0).toString(16)
+    })
+
+    /**
+     * @method ErrorTracker~fingerprint
+     * @summary Work out which errors are repeats of each other
+     * @desc Compute a fingerprint that is the same for every occurrence of
+     *       an error: a hash of its type, its message and the top three
+     *       in-app frames (or, without those, where it was reported or what
+     *       failed to load). A `fingerprint` function in the configuration is
+     *       asked first, and used if it returns anything and doesn't throw.
+     * @arg {object} e - The tracked error
+     * @returns {string} The fingerprint
+     * @example <caption>Treating all errors with one message as one</caption>
+     * ErrorTracker.configure({
+     *     fingerprint: function(e) { return e.message }
+     * })
+     */
+    var fingerprint = newf(function(e) {
+        var custom = c('fingerprint')
+        var parts  = [e.type || 'error', e.message]
+        var frames = []
+        var result
+
+        // a custom function that throws would only be asked to fingerprint
+        // its own error next, so the default is used instead
+        if (custom) {
+            try { result = custom(e) }
+            catch (error) { result = undefined }
+            if (result) return String(result)
+        }
+
+        each(e.frames, function(frame) {
+            if (frame.inApp && frames.length < 3) frames.push(frame)
+        })
+
+        if (frames.length) {
+            each(frames, function(frame) {
+                parts.push(frame.file + ':' + frame.line + ':' + frame.column)
+            })
+        }
+        else if (e.location && e.location.file) {
+            parts.push(e.location.file + ':' + e.location.line)
+        }
+        else if (e.url) {
+            parts.push(e.url)
+        }
+
+        return hashString(parts.join('\n'))
+    })
+
+    /**
+     * @method ErrorTracker~findRepeat
+     * @summary Find an earlier occurrence of an error
+     * @desc Look through the tracked errors list for one with the same
+     *       fingerprint as the one given, which can still be counted (as it
+     *       is not already on its way to the server).
+     * @arg {string} fingerprint - The fingerprint to look for
+     * @returns {?object} The earlier occurrence, if there is one
+     */
+    var findRepeat = newf(function(fingerprint) {
+        var sending = this.__INTERNALS__.delivery.sending
+        var found
+
+        each(this.__INTERNALS__.trackedErrors, function(e) {
+            if (e && e.fingerprint === fingerprint &&
+                sending.indexOf(e) < 0) {
+                found = e
+            }
+        })
+
+        return found
+    })
+
+    /**
+     * @method ErrorTracker~scriptUrls
+     * @summary Find the scripts an error passed through
+     * @desc Lists the script an error came from (the file the browser named,
+     *       or the top frame's) first, then the rest of the stack trace's,
+     *       each only once. Resources and requests that failed have none.
+     * @arg {object} e - The tracked error
+     * @returns {Array} The URLs of the scripts
+     */
+    var scriptUrls = newf(function(e) {
+        var urls = []
+        var add  = function(url) {
+            if (url && typeof url == 'string' && urls.indexOf(url) < 0) {
+                urls.push(url)
+            }
+        }
+
+        add(e.location && e.location.file)
+        each(e.frames, function(frame) { if (frame) add(frame.file) })
+
+        return urls
+    })
+
+    /**
+     * @method ErrorTracker~filterError
+     * @summary Decide whether an error is noise
+     * @desc Errors are filtered out if their message matches `ignoreErrors`,
+     *       if any script they passed through (see {@link
+     *       ErrorTracker~scriptUrls}) or the URL that failed matches
+     *       `denyUrls`, or if they came from a script that doesn't match the
+     *       `allowUrls` (when there are any). Each is a list for {@link
+     *       ErrorTracker~matches}. By default, errors from browser extensions,
+     *       `Script error.` and `ResizeObserver loop` warnings are left out.
+     * @arg {object} e - The tracked error
+     * @returns {?string} The setting that filtered the error out, if one did
+     * @example <caption>Only tracking errors from your own scripts</caption>
+     * ErrorTracker.configure({
+     *     allowUrls: ['https://www.example.com/js/', /\/assets\/app-\w+\.js/]
+     * })
+     */
+    var filterError = newf(function(e) {
+        var ignore = c('ignoreErrors')
+        var deny   = c('denyUrls')
+        var allow  = c('allowUrls')
+        var urls, denied
+
+        if (!e || typeof e != 'object') return
+
+        if (ignore && ignore.length && matches(e.message, ignore)) {
+            return 'ignoreErrors'
+        }
+
+        urls = scriptUrls(e)
+
+        if (deny && deny.length) {
+            each(e.url ? urls.concat([e.url]) : urls, function(url) {
+                if (matches(url, deny)) denied = true
+            })
+            if (denied) return 'denyUrls'
+        }
+        if (allow && allow.length && urls.length && !matches(urls[0], allow)) {
+            return 'allowUrls'
+        }
+    })
+
+    /**
+     * @constant {string} ErrorTracker~SAMPLE_KEY
+     * @summary The `sessionStorage` key for the sampling decision
+     * @desc When sampling is decided once per session (see {@link
+     *       ErrorTracker~isSampled}), the random number it was decided with
+     *       is kept under this key, so that every page in the session comes
+     *       to the same decision.
+     */
+    var SAMPLE_KEY = 'ErrorTracker_sampleRoll'
+
+    /**
+     * @method ErrorTracker~isSampled
+     * @summary Decide whether this page's errors are tracked at all
+     * @desc Only a `sampleRate` fraction of pages (between 0 and 1) track
+     *       errors. The random number this is decided with is picked once
+     *       per page, or once per session (in `sessionStorage`) if
+     *       `sampleScope` is `session`, and compared against the rate.
+     * @returns {boolean} True if errors on this page should be tracked
+     */
+    var isSampled = newf(function() {
+        var limits = this.__INTERNALS__.limits
+        var session, roll
+
+        if (c('sampleRate') >= 1) return true
+
+        if (limits.roll === undefined) {
+            if (c('sampleScope') == 'session') {
+                // merely looking at sessionStorage throws in some sandboxes
+                try {
+                    session = GLOBAL.sessionStorage
+                    roll    = parseFloat(session.getItem(SAMPLE_KEY))
+                    if (isNaN(roll)) {
+                        roll = Math.random()
+                        session.setItem(SAMPLE_KEY, String(roll))
+                    }
+                }
+                catch (e) { roll = undefined }
+            }
+            limits.roll = roll === undefined ? Math.random() : roll
+        }
+
+        return limits.roll < c('sampleRate')
+    })
+
+    /**
+     * @method ErrorTracker~takeSendToken
+     * @summary Ask the send rate limiter for permission to send
+     * @desc Requests to the server are limited with a token bucket: it holds
+     *       up to `sendBurst` tokens, and is refilled at `sendRate` tokens a
+     *       minute. Each request takes a token; when there are none left, the
+     *       request has to wait until there is one. A `sendRate` of 0 turns
+     *       the limit off.
+     * @returns {number} 0 if a token was taken and the request can be sent,
+     *          otherwise the number of milliseconds until one will be ready
+     */
+    var takeSendToken = newf(function() {
+        var limits = this.__INTERNALS__.limits
+        var rate   = c('sendRate')
+        var now    = new Date().getTime()
+
+        if (!rate) return 0
+
+        if (limits.tokens === undefined) limits.tokens = c('sendBurst')
+        else {
+            limits.tokens = Math.min(c('sendBurst'), limits.tokens +
+                                     (now - limits.refilled) * rate / 60000)
+        }
+        limits.refilled = now
+
+        if (limits.tokens >= 1) {
+            limits.tokens--
+            return 0
+        }
+
+        return Math.ceil((1 - limits.tokens) * 60000 / rate)
+    })
+
+    /**
+     * @method ErrorTracker~countDropped
+     * @summary Keep count of an error that was not tracked
+     * @desc Errors dropped by sampling, filtering (see {@link
+     *       ErrorTracker~filterError}), `maxErrorsPerPage` or a `beforeSend`
+     *       callback are counted by reason, both in total and until the
+     *       server hears about them (see {@link ErrorTracker~droppedSummary}).
+     * @arg {string} reason - Why the error was dropped
+     * @returns nothing
+     */
+    var countDropped = newf(function(reason) {
+        var limits = this.__INTERNALS__.limits
+
+        limits.dropped[reason]    = (limits.dropped[reason]    || 0) + 1
+        limits.unreported[reason] = (limits.unreported[reason] || 0) + 1
+    })
+
+    /**
+     * @method ErrorTracker~droppedSummary
+     * @summary Summarize the dropped errors the server hasn't heard about
+     * @desc Copies the counts of errors dropped (see {@link
+     *       ErrorTracker~countDropped}) since the last summary the server
+     *       received, by reason.
+     * @returns {?object} The counts, or nothing if no errors were dropped
+     */
+    var droppedSummary = newf(function() {
+        var summary
+
+        each(this.__INTERNALS__.limits.unreported, function(count, reason) {
+            if (!count) return
+            summary = summary || {}
+            summary[reason] = count
+        })
+
+        return summary
+    })
+
+    /**
+     * @method ErrorTracker~acknowledgeDropped
+     * @summary Forget dropped errors once the server knows about them
+     * @desc Takes the counts in a summary the server has received (see
+     *       {@link ErrorTracker~droppedSummary}) off the counts still to be
+     *       reported, leaving any errors dropped since it was made.
+     * @arg {?object} summary - The summary the server received
+     * @returns nothing
+     */
+    var acknowledgeDropped = newf(function(summary) {
+        var unreported = this.__INTERNALS__.limits.unreported
+
+        each(summary, function(count, reason) {
+            unreported[reason] = Math.max(0, (unreported[reason] || 0) - count)
+        })
+    })
+
+    /**
+     * @method ErrorTracker~redact
+     * @summary Make a scrubbed copy of a report
+     * @desc Copy a report, showing each value in it (and the key it was
+     *       found under) to a `visit` function first, and using whatever else
+     *       that returns in its place. Objects and arrays are copied the same
+     *       way; values more than 20 levels deep are left out.
+     * @arg {*} value - The report to copy
+     * @arg {function} visit - Called with each value and its key, returning
+     *      the value to copy in its place
+     * @arg {(string|number)} [key] - The key the value was found under
+     * @arg {number} [depth] - How deep into the report the value is
+     * @returns {*} The copy
+     * @example <caption>Upper-casing every string in a report</caption>
+     * var copy = ErrorTracker.__INTERNALS__.redact(report, function(value) {
+     *     return typeof value == 'string' ? value.toUpperCase() : value
+     * })
+     */
+    var redact = newf(function(value, visit, key, depth) {
+        var result = visit(value, key)
+        var copy, isArray
+
+        depth = depth || 0
+        if (result !== value) return result
+        if (value === null || typeof value != 'object') return value
+        if (depth >= 20) return undefined
+
+        // the report may have come from another frame, with its own Array
+        isArray = Object.prototype.toString.call(value) == '[object Array]'
+        copy    = isArray ? [] : {}
+        each(value, function(item, itemKey) {
+            copy[itemKey] = redact(item, visit, itemKey, depth + 1)
+        })
+
+        return copy
+    })
+
+    /**
+     * @method ErrorTracker~isCardNumber
+     * @summary Check whether a string of digits could be a card number
+     * @desc Payment card numbers end in a check digit (see the Luhn
+     *       algorithm); checking it keeps other long numbers, such as
+     *       timestamps, from being mistaken for card numbers.
+     * @arg {string} number - The digits, possibly separated by spaces or
+     *      dashes
+     * @returns {boolean} True if the check digit is correct
+     */
+    var isCardNumber = newf(function(number) {
+        var digits = number.replace(/\D/g, '')
+        var sum    = 0
+        var digit, index
+
+        for (index = 0; index < digits.length; index++) {
+            digit = parseInt(digits.charAt(digits.length - 1 - index), 10)
+            if (index % 2) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2
+            sum += digit
+        }
+
+        return sum % 10 === 0
+    })
+
+    /**
+     * @constant {Array} ErrorTracker~SCRUB_PATTERNS
+     * @summary The default patterns for {@link ErrorTracker~scrubPatterns}
+     * @desc Each is either a regular expression, every match of which is
+     *       replaced, or a function given a string and returning it scrubbed.
+     *       These match email addresses, payment card numbers, and bearer
+     *       (or basic) credentials in `Authorization` headers.
+     */
+    var SCRUB_PATTERNS = [
+        /[A-Za-z0-9._%+\-]+@[A-Za-z0-9.\-]+\.[A-Za-z]{2,}/g,
+        function(value) {
+            return value.replace(/\b\d(?:[ \-]?\d){12,18}\b/g,
+                                 function(number) {
+                return isCardNumber(number) ? '[Filtered]' : number
+            })
+        },
+        /\b(?:Bearer|Basic)\s+[A-Za-z0-9\-._~+\/]+=*/gi
+    ]
+
+    /**
+     * @method ErrorTracker~isScrubbedKey
+     * @summary Check whether a key or parameter name is in `scrubKeys`
+     * @desc Strings in the `scrubKeys` configuration setting match a name
+     *       exactly, ignoring case, so that `token` doesn't catch
+     *       `tokenCount`; regular expressions are tested against the name.
+     * @arg {string} name - The key or parameter name
+     * @returns {boolean} True if values under the name should be scrubbed
+     */
+    var isScrubbedKey = newf(function(name) {
+        var found = false
+
+        name = String(name)
+        each(c('scrubKeys'), function(key) {
+            if (found) return
+
+            // keys may come from another frame, with its own RegExp
+            if (Object.prototype.toString.call(key) == '[object RegExp]') {
+                found = key.test(name)
+            }
+            else {
+                found = String(key).toLowerCase() == name.toLowerCase()
+            }
+        })
+
+        return found
+    })
+
+    /**
+     * @method ErrorTracker~scrubQueryParams
+     * @summary Remove sensitive query parameters from a report
+     * @desc Replace the values of query string parameters named in
+     *       `scrubKeys` (see {@link ErrorTracker~isScrubbedKey}) wherever
+     *       they turn up in the report: in `pageInfo.queryString`, but also
+     *       in the URLs of stack frames and breadcrumbs, and in messages.
+     * @arg {*} e - The report to scrub
+     * @returns {*} The scrubbed report
+     */
+    var scrubQueryParams = newf(function(e) {
+        var keys      = c('scrubKeys')
+        var parameter = /([?&;])([^=&#;\s]+)=([^&#;\s]*)/g
+
+        if (!keys) return e
+
+        return redact(e, function(value) {
+            if (typeof value != 'string') return value
+
+            return value.replace(parameter, function(found, separator, name) {
+                if (!isScrubbedKey(name)) return found
+                return separator + name + '=[Filtered]'
+            })
+        })
+    })
+
+    /**
+     * @method ErrorTracker~scrubKeys
+     * @summary Remove sensitive values from a report by their keys
+     * @desc Replace whatever is found under a key named in `scrubKeys` (see
+     *       {@link ErrorTracker~isScrubbedKey}) anywhere in the report, such
+     *       as the `data` of a breadcrumb, or the properties of an object a
+     *       promise was rejected with.
+     * @arg {*} e - The report to scrub
+     * @returns {*} The scrubbed report
+     */
+    var scrubKeys = newf(function(e) {
+        var keys = c('scrubKeys')
+
+        if (!keys) return e
+
+        return redact(e, function(value, key) {
+            if (typeof key != 'string') return value
+            return isScrubbedKey(key) ? '[Filtered]' : value
+        })
+    })
+
+    /**
+     * @method ErrorTracker~scrubPatterns
+     * @summary Remove sensitive text from a report
+     * @desc Run every string in the report through the `scrubPatterns`
+     *       configuration setting (by default, {@link
+     *       ErrorTracker~SCRUB_PATTERNS}): regular expressions have every
+     *       match replaced, and functions are given the string and return it
+     *       scrubbed. The `user`, `tags` and `contexts` the application set
+     *       are left as they were given (though `scrubKeys` still applies).
+     * @arg {*} e - The report to scrub
+     * @returns {*} The scrubbed report
+     */
+    var scrubPatterns = newf(function(e) {
+        var patterns = c('scrubPatterns')
+        var exempt   = []
+
+        if (!patterns || !patterns.length) return e
+
+        if (e && typeof e == 'object') {
+            each(['user', 'tags', 'contexts'], function(key) {
+                if (e[key] && typeof e[key] == 'object') exempt.push(e[key])
+            })
+        }
+
+        return redact(e, function(value) {
+            if (exempt.indexOf(value) >= 0) {
+                return redact(value, function(item) { return item })
+            }
+            if (typeof value != 'string') return value
+
+            each(patterns, function(pattern) {
+                value = typeof pattern == 'function' ?
+                        String(pattern(value)) :
+                        value.replace(pattern, '[Filtered]')
+            })
+
+            return value
+        })
+    })
+
+    /**
+     * @method ErrorTracker~runBeforeSend
+     * @summary Give the report to the application's `beforeSend` callbacks
+     * @desc Call each `beforeSend` callback (a function, or an array of them)
+     *       in turn with the report. Each can change it, in place or by
+     *       returning a new one, or drop it by returning `null` or `false`.
+     *       A callback that throws is skipped; its error is tracked, but not
+     *       given to the callbacks, or a broken one would never stop.
+     * @arg {*} e - The report
+     * @returns {*} The report as the callbacks left it, or `null` if one of
+     *          them dropped it
+     */
+    var runBeforeSend = newf(function(e) {
+        var callbacks = c('beforeSend')
+        var internals = this.__INTERNALS__
+        var index, result
+
+        if (!callbacks || internals.inBeforeSend) return e
+        if (typeof callbacks == 'function') callbacks = [callbacks]
+
+        for (index = 0; index < callbacks.length; index++) {
+            internals.inBeforeSend = true
+            try {
+                result = callbacks[index](e)
+                if (result === null || result === false) return null
+                if (result !== undefined) e = result
+            }
+            catch (error) { dispatch('saveError', [error]) }
+            finally { internals.inBeforeSend = false }
+        }
+
+        return e
+    })
+
+    /**
+     * @constant {Array} ErrorTracker~REPORT_PROCESSORS
+     * @summary The steps each report goes through before it is tracked
+     * @desc {@link ErrorTracker~processReport} passes each report through
+     *       these functions, in order; each is given the report, and returns
+     *       it (or a changed copy of it), or `null` to drop it. The
+     *       application's `beforeSend` callbacks come last, so they only ever
+     *       see scrubbed reports. Extensions can add their own processors.
+     */
+    var REPORT_PROCESSORS = [
+        scrubQueryParams,
+        scrubKeys,
+        scrubPatterns,
+        runBeforeSend
+    ]
+
+    /**
+     * @method ErrorTracker~processReport
+     * @summary Run a report through the processing pipeline
+     * @desc Pass a report through each of the {@link
+     *       ErrorTracker~REPORT_PROCESSORS} in turn, stopping if one of them
+     *       drops it.
+     * @arg {*} e - The report
+     * @returns {*} The processed report, or `null` if it was dropped
+     */
+    var processReport = newf(function(e) {
+        each(REPORT_PROCESSORS, function(processor) {
+            if (e !== null) e = processor(e)
+        })
+
+        return e
+    })
+
+    /**
+     * @method ErrorTracker~currentScope
+     * @summary Get the context errors are being tracked in
+     * @desc The user, tags, contexts and release are kept in a stack of
+     *       scopes; the top one is in use, and {@link ErrorTracker.withScope}
+     *       goes back to the ones below it. In Node.js, each request being
+     *       handled has a stack of its own (see {@link
+     *       ErrorTracker~requestContext}).
+     * @returns {object} The scope, with its `user`, `tags`, `contexts` and
+     *          `release`
+     */
+    var currentScope = newf(function() {
+        var scopes = (requestContext() || this.__INTERNALS__).scopes
+        return scopes[scopes.length - 1]
+    })
+
+    /**
+     * @method ErrorTracker~copyScope
+     * @summary Copy a scope, to be changed without changing the original
+     * @arg {object} scope - The scope
+     * @returns {object} The copy
+     */
+    var copyScope = newf(function(scope) {
+        var copy = {
+            user:     scope.user,
+            tags:     {},
+            contexts: {},
+            release:  scope.release
+        }
+
+        each(scope.tags,     function(value, name) { copy.tags[name] = value })
+        each(scope.contexts, function(value, name) {
+            copy.contexts[name] = value
+        })
+
+        return copy
+    })
+
+    /**
+     * @method ErrorTracker~requestContext
+     * @summary Find the request being handled, in Node.js
+     * @desc {@link ErrorTracker.withRequest} keeps the request it was given,
+     *       and a stack of scopes of its own, for as long as the code it runs
+     *       (and anything that code goes on to do asynchronously) is running,
+     *       so that errors and context from requests handled at the same
+     *       time don't get mixed up. This finds them again.
+     * @returns {?object} The `request`, its `scopes` and its `breadcrumbs`,
+     *          if there is one
+     */
+    var requestContext = newf(function() {
+        var storage = this.__INTERNALS__.requestStorage
+        return storage ? storage.getStore() : undefined
+    })
+
+    /**
+     * @method ErrorTracker~serverSnapshot
+     * @summary Describe the process and request an error happened in
+     * @desc In Node.js, there is no page to describe in the `pageInfo` of a
+     *       tracked error, so it is given `processInfo` instead: the
+     *       `hostname`, the process's `pid`, its `uptime` in seconds, and its
+     *       `memoryUsage` in bytes. If it happened while a request was being
+     *       handled (see {@link ErrorTracker.withRequest}), it is also given
+     *       `requestInfo`: the request's `method`, `url` and `headers` (which
+     *       are scrubbed, like everything else, before the error is kept).
+     * @arg {object} e - The tracked error
+     * @returns nothing
+     */
+    var serverSnapshot = newf(function(e) {
+        var memory  = process.memoryUsage()
+        var context = requestContext()
+        var request = context && context.request
+        var headers = {}
+
+        e.processInfo = {
+            hostname:    nodeModule('os').hostname(),
+            pid:         process.pid,
+            uptime:      process.uptime(),
+            memoryUsage: {rss: memory.rss, heapUsed: memory.heapUsed}
+        }
+        if (!request) return
+
+        each(request.headers, function(value, name) { headers[name] = value })
+        e.requestInfo = {
+            method:  request.method,
+            url:     request.originalUrl || request.url,
+            headers: headers
+        }
+    })
+
+    /**
+     * @method ErrorTracker~contextSnapshot
+     * @summary Copy the current context onto a tracked error
+     * @desc Copies whichever of the user, tags, contexts and release of the
+     *       current scope (see {@link ErrorTracker~currentScope}) have been
+     *       set onto a tracked error.
+     * @arg {object} e - The tracked error
+     * @returns nothing
+     */
+    var contextSnapshot = newf(function(e) {
+        var scope = currentScope()
+        var copy  = function(value) {
+            return redact(value, function(item) { return item })
+        }
+        var any   = function(object) {
+            for (var key in object) return true
+            return false
+        }
+
+        if (scope.user)           e.user     = copy(scope.user)
+        if (any(scope.tags))      e.tags     = copy(scope.tags)
+        if (any(scope.contexts))  e.contexts = copy(scope.contexts)
+        if (scope.release)        e.release  = scope.release
+    })
+
+    /**
+     * @member ErrorTracker~initialize
+     * @summary Initialization scripts for the ErrorTracker library
+     * @desc Contains references to functions used to initialize various
+     *       components in the library, so as to make it possible to easily
+     *       re-initialize them later.
+     * @property {function} configuration - Initialize configuration settings
+     * @property {function} trackedErrors - Initialize the error list, and
+     *           restore any errors persisted to storage
+     * @property {function} delivery      - Initialize the state of error
+     *           delivery (pending retries, errors being sent, the workers
+     *           being watched, etc.)
+     * @property {function} rejections    - Initialize the list of promises
+     *           whose rejections have been tracked
+     * @property {function} breadcrumbs   - Initialize the breadcrumbs ring
+     *           buffer
+     * @property {function} limits        - Initialize the sampling decision,
+     *           the send rate limiter and the dropped error counts
+     * @property {function} scopes        - Initialize the user, tags,
+     *           contexts and release errors are tracked with, and (in
+     *           Node.js) the storage for the request being handled
+     * @property {function} receiver      - Register the error receiver (in
+     *           the browser; see {@link ErrorTracker.registerReceiver})
+     * @property {function} all           - Run all initializations
+     * @example <caption>Initializing the configuration</caption>
+     * ErrorTracker.__INTERNALS__.initialize.configuration()
+     * @example <caption>Initializing the error list</caption>
+     * ErrorTracker.__INTERNALS__.initialize.trackedErrors()
+     * @example <caption>Forgetting about pending retries</caption>
+     * ErrorTracker.__INTERNALS__.initialize.delivery()
+     * @example <caption>Forgetting all breadcrumbs</caption>
+     * ErrorTracker.__INTERNALS__.initialize.breadcrumbs()
+     * @example <caption>Initializing the error receiver</caption>
+     * ErrorTracker.__INTERNALS__.initialize.receiver()
+     * @example <caption>Running all initializations</caption>
+     * ErrorTracker.__INTERNALS__.initialize.all()
+     */
+    var initialize = {
+        configuration: newf(function() {
+            this.__INTERNALS__.configuration = {}
+            for (var key in CONFIG_DEFAULTS) {
+                this.__INTERNALS__.configuration[key] = CONFIG_DEFAULTS[key]
+            }
+        }),
+
+        trackedErrors: newf(function() {
+            this.__INTERNALS__.trackedErrors = []
+            restoreErrors()
+        }),
+
+        delivery: newf(function() {
+            var delivery = this.__INTERNALS__.delivery
+
+            if (delivery) {
+                clearTimeout(delivery.sendTimer)
+                clearTimeout(delivery.retryTimer)
+            }
+
+            this.__INTERNALS__.delivery = {
+                sending:    [],
+                drained:    [],
+                attempts:   0,
+                sendTimer:  undefined,
+                retryTimer: undefined,
+                pages:      [],
+                workers:    [],
+                frames:     []
+            }
+        }),
+
+        rejections: newf(function() {
+            this.__INTERNALS__.rejections = []
+        }),
+
+        breadcrumbs: newf(function() {
+            this.__INTERNALS__.breadcrumbs = {
+                items: [],
+                next:  0,
+                size:  undefined,
+                href:  NODE ? undefined : GLOBAL.location.href
+            }
+        }),
+
+        limits: newf(function() {
+            this.__INTERNALS__.limits = {
+                roll:       undefined,
+                tracked:    0,
+                tokens:     undefined,
+                refilled:   undefined,
+                dropped:    {},
+                unreported: {}
+            }
+        }),
+
+        scopes: newf(function() {
+            this.__INTERNALS__.scopes = [{
+                user:     undefined,
+                tags:     {},
+                contexts: {},
+                release:  undefined
+            }]
+            this.__INTERNALS__.requestStorage = NODE ?
+                new (nodeModule('async_hooks').AsyncLocalStorage)() :
+                undefined
+        }),
+
+        receiver: newf(function() {
+            // in Node.js, nothing is hooked until the tracker is set up, so
+            // that requiring ErrorTracker changes nothing on its own
+            this.__INTERNALS__.started = false
+            if (NODE) return
+
+            this.registerReceiver()
+            instrument.all()
+        }),
+
+        all: newf(function() {
+            initialize.configuration()
+            initialize.trackedErrors()
+            initialize.delivery()
+            initialize.rejections()
+            initialize.breadcrumbs()
+            initialize.limits()
+            initialize.scopes()
+            initialize.receiver()
+        })
+    }
+
+    /**
+     * @method ErrorTracker~css
+     * @summary Compile a JS object into a CSS string
+     * @desc Take an object and compile it into a string of CSS suitable for
+     *       attaching to an HTML tag's "style" attribute. Note that no
+     *       type-checking is done on the keys or values; it is purely
+     *       syntactic sugar that assumes you know what you're doing.
+     * @arg {object} attributes - The CSS attributes as an anonymous JS object
+     * @returns {string} The "compiled" CSS
+     * @example <caption>Compiling CSS from a JS object with css()</caption>
+     * var style = css({
+     *     'position': 'absolute',
+     *     'top':      '20px',
+     *     'left':     '20px'
+     * })
+     * console.log(style)
+     * // => "position:absolute;top:20px;left:20px;"
+     */
+    var css = newf(function (attributes) {
+        var attributesArray = []
+        for (var attribute in attributes) {
+            attributesArray.push(attribute + ':' + attributes[attribute])
+        }
+        return attributesArray.join(';')
+    })
+
+    /**
+     * @constant {string} ErrorTracker~DIALOG_STYLESHEET
+     * @summary How the dialog looks, unless the page says otherwise
+     * @desc The dialog (see {@link ErrorTracker.displayWindow}) is drawn in a
+     *       Shadow DOM, out of reach of the page's stylesheets, so this is
+     *       all the styling it gets. Its colours, font, corners and position
+     *       come from `--errortracker-*` CSS custom properties, which the
+     *       page can set to theme it (`--errortracker-right` takes the place
+     *       of `--errortracker-left` from right to left), and its parts
+     *       (`box`, `title`, `message`, `field`, `description`, `contact`,
+     *       `tray`, `send`, `close` and `no-more`) can be styled with
+     *       `::part()`. The `error*Style` settings go over the top of it, as
+     *       inline styles.
+     */
+    var DIALOG_STYLESHEET = [
+        ':host{all:initial}',
+        '.box{' + css({
+            'position':       'fixed',
+            'top':            'var(--errortracker-top, 20px)',
+            'left':           'var(--errortracker-left, 20px)',
+            'z-index':        'var(--errortracker-z-index, 2147483647)',
+            'box-sizing':     'border-box',
+            'min-width':      '200px',
+            'max-width':      '260px',
+            'padding':        '6px',
+            'background':     'var(--errortracker-background, #cc0000)',
+            'color':          'var(--errortracker-color, white)',
+            'font-family':    'var(--errortracker-font-family, sans-serif)',
+            'font-size':      'var(--errortracker-font-size, 12px)',
+            'line-height':    '1.4',
+            'border-radius':  'var(--errortracker-radius, 5px)',
+            'box-shadow':     '0 2px 8px rgba(0, 0, 0, 0.3)'
+        }) + '}',
+        '.box[dir=rtl]{' + css({
+            'left':           'auto',
+            'right':          'var(--errortracker-right, 20px)'
+        }) + '}',
+        '.title{' + css({
+            'margin':         '0',
+            'font-size':      '1em',
+            'font-weight':    'bold',
+            'text-align':     'center',
+            'border-bottom':  '1px solid #cccccc'
+        }) + '}',
+        '.message{' + css({
+            'margin':         '0',
+            'padding':        '3px 0',
+            'border-bottom':  '1px solid #cccccc'
+        }) + '}',
+        '.field{' + css({
+            'display':        'block',
+            'padding-top':    '6px'
+        }) + '}',
+        '.description,.contact{' + css({
+            'display':        'block',
+            'box-sizing':     'border-box',
+            'width':          '100%',
+            'margin-top':     '3px',
+            'padding':        '3px',
+            'border':         '1px solid #cccccc',
+            'border-radius':  '3px',
+            'font':           'inherit'
+        }) + '}',
+        '[aria-invalid=true]{' + css({
+            'border-color':   'var(--errortracker-focus-color, white)',
+            'border-width':   '2px'
+        }) + '}',
+        '.tray{' + css({
+            'padding-top':    '6px',
+            'text-align':     'center'
+        }) + '}',
+        '.send,.close{' + css({
+            'margin':         '0 5px',
+            'padding':        '5px',
+            'border':         '0',
+            'border-radius':  'var(--errortracker-radius, 5px)',
+            'background':     'var(--errortracker-button-background, ' +
+                              '#dd0000)',
+            'color':          'var(--errortracker-button-color, white)',
+            'font':           'inherit',
+            'font-weight':    'bold',
+            'cursor':         'pointer'
+        }) + '}',
+        '.no-more{' + css({
+            'display':        'block',
+            'padding-top':    '6px',
+            'cursor':         'pointer'
+        }) + '}',
+        ':focus{' + css({
+            'outline':        '2px solid var(--errortracker-focus-color, ' +
+                              'white)',
+            'outline-offset': '2px'
+        }) + '}'
+    ].join('\n')
+
+    /**
+     * @constant {object} ErrorTracker~MESSAGE_CATALOGS
+     * @summary What the dialog says, in each of the languages it speaks
+     * @desc The built-in translations of the dialog's text (see {@link
+     *       ErrorTracker~openDialog}), by language, each keyed by the
+     *       configuration setting that overrides it. {@link
+     *       ErrorTracker~message} looks text up here when the setting isn't
+     *       set, after the application's own `messageCatalogs`. Text outside
+     *       of ASCII is escaped, so that it survives whatever character set
+     *       the page serves this script as.
+     */
+    var MESSAGE_CATALOGS = {
+        // English
+        en: {
+            errorTitleText:           'A scripting error occurred',
+            errorMessageText:         'This website has encountered ' +
+                                      'scripting errors, would you like to ' +
+                                      'report them to the administrators?',
+            errorSendText:            'Submit Errors',
+            errorCloseText:           'Dismiss',
+            errorNoMoreText:          'Ignore future errors',
+            errorSentText:            'Thank you, the errors are being ' +
+                                      'reported.',
+            feedbackTitleText:        'Report a problem',
+            feedbackMessageText:      'Tell us what went wrong, and we ' +
+                                      'will look into it.',
+            feedbackDescriptionText:  'What were you doing when it ' +
+                                      'happened?',
+            feedbackContactText:      'Your name or email address',
+            feedbackRequiredText:     'Please fill this in.',
+            feedbackSendText:         'Send',
+            feedbackSentText:         'Thank you for letting us know.'
+        },
+        // Arabic
+        ar: {
+            errorTitleText:           '\u062d\u062f\u062b \u062e\u0637' +
+                                      '\u0623 \u0641\u064a \u0627\u0644' +
+                                      '\u0628\u0631\u0646\u0627\u0645\u062c' +
+                                      ' \u0627\u0644\u0646\u0635\u064a',
+            errorMessageText:         '\u0648\u0627\u062c\u0647 \u0647' +
+                                      '\u0630\u0627 \u0627\u0644\u0645' +
+                                      '\u0648\u0642\u0639 \u0623\u062e' +
+                                      '\u0637\u0627\u0621 \u0641\u064a ' +
+                                      '\u0627\u0644\u0628\u0631\u0627\u0645' +
+                                      '\u062c \u0627\u0644\u0646\u0635' +
+                                      '\u064a\u0629\u060c \u0647\u0644 ' +
+                                      '\u062a\u0631\u064a\u062f \u0625' +
+                                      '\u0628\u0644\u0627\u063a \u0627' +
+                                      '\u0644\u0645\u0633\u0624\u0648\u0644' +
+                                      '\u064a\u0646 \u0639\u0646\u0647' +
+                                      '\u0627\u061f',
+            errorSendText:            '\u0625\u0631\u0633\u0627\u0644 ' +
+                                      '\u0627\u0644\u0623\u062e\u0637\u0627' +
+                                      '\u0621',
+            errorCloseText:           '\u0625\u063a\u0644\u0627\u0642',
+            errorNoMoreText:          '\u062a\u062c\u0627\u0647\u0644 ' +
+                                      '\u0627\u0644\u0623\u062e\u0637\u0627' +
+                                      '\u0621 \u0627\u0644\u0645\u0633' +
+                                      '\u062a\u0642\u0628\u0644\u064a\u0629',
+            errorSentText:            '\u0634\u0643\u0631\u064b\u0627 ' +
+                                      '\u0644\u0643\u060c \u064a\u062c' +
+                                      '\u0631\u064a \u0627\u0644\u0625' +
+                                      '\u0628\u0644\u0627\u063a \u0639' +
+                                      '\u0646 \u0627\u0644\u0623\u062e' +
+                                      '\u0637\u0627\u0621.',
+            feedbackTitleText:        '\u0627\u0644\u0625\u0628\u0644\u0627' +
+                                      '\u063a \u0639\u0646 \u0645\u0634' +
+                                      '\u0643\u0644\u0629',
+            feedbackMessageText:      '\u0623\u062e\u0628\u0631\u0646\u0627' +
+                                      ' \u0628\u0645\u0627 \u062d\u062f' +
+                                      '\u062b\u060c \u0648\u0633\u0646' +
+                                      '\u062a\u062d\u0642\u0642 \u0645' +
+                                      '\u0646 \u0627\u0644\u0623\u0645' +
+                                      '\u0631.',
+            feedbackDescriptionText:  '\u0645\u0627\u0630\u0627 \u0643' +
+                                      '\u0646\u062a \u062a\u0641\u0639' +
+                                      '\u0644 \u0639\u0646\u062f\u0645' +
+                                      '\u0627 \u062d\u062f\u062b \u0630' +
+                                      '\u0644\u0643\u061f',
+            feedbackContactText:      '\u0627\u0633\u0645\u0643 \u0623' +
+                                      '\u0648 \u0628\u0631\u064a\u062f' +
+                                      '\u0643 \u0627\u0644\u0625\u0644' +
+                                      '\u0643\u062a\u0631\u0648\u0646\u064a',
+            feedbackRequiredText:     '\u064a\u0631\u062c\u0649 \u0645' +
+                                      '\u0644\u0621 \u0647\u0630\u0627 ' +
+                                      '\u0627\u0644\u062d\u0642\u0644.',
+            feedbackSendText:         '\u0625\u0631\u0633\u0627\u0644',
+            feedbackSentText:         '\u0634\u0643\u0631\u064b\u0627 ' +
+                                      '\u0644\u0625\u0628\u0644\u0627\u063a' +
+                                      '\u0646\u0627.'
+        },
+        // German
+        de: {
+            errorTitleText:           'Ein Skriptfehler ist aufgetreten',
+            errorMessageText:         'Auf dieser Website sind ' +
+                                      'Skriptfehler aufgetreten. M\u00f6cht' +
+                                      'en Sie sie den Administratoren ' +
+                                      'melden?',
+            errorSendText:            'Fehler senden',
+            errorCloseText:           'Schlie\u00dfen',
+            errorNoMoreText:          'Zuk\u00fcnftige Fehler ignorieren',
+            errorSentText:            'Vielen Dank, die Fehler werden ' +
+                                      'gemeldet.',
+            feedbackTitleText:        'Problem melden',
+            feedbackMessageText:      'Beschreiben Sie uns, was ' +
+                                      'schiefgelaufen ist, und wir sehen ' +
+                                      'es uns an.',
+            feedbackDescriptionText:  'Was haben Sie gerade getan, als es ' +
+                                      'passiert ist?',
+            feedbackContactText:      'Ihr Name oder Ihre E-Mail-Adresse',
+            feedbackRequiredText:     'Bitte f\u00fcllen Sie dieses Feld ' +
+                                      'aus.',
+            feedbackSendText:         'Senden',
+            feedbackSentText:         'Vielen Dank f\u00fcr Ihre R\u00fcckm' +
+                                      'eldung.'
+        },
+        // Spanish
+        es: {
+            errorTitleText:           'Se ha producido un error de script',
+            errorMessageText:         'Este sitio web ha encontrado ' +
+                                      'errores de script. \u00bfDesea ' +
+                                      'informar de ellos a los ' +
+                                      'administradores?',
+            errorSendText:            'Enviar errores',
+            errorCloseText:           'Cerrar',
+            errorNoMoreText:          'Ignorar futuros errores',
+            errorSentText:            'Gracias, se est\u00e1 informando de ' +
+                                      'los errores.',
+            feedbackTitleText:        'Informar de un problema',
+            feedbackMessageText:      'Cu\u00e9ntenos qu\u00e9 ha fallado ' +
+                                      'y lo revisaremos.',
+            feedbackDescriptionText:  '\u00bfQu\u00e9 estaba haciendo ' +
+                                      'cuando ocurri\u00f3?',
+            feedbackContactText:      'Su nombre o direcci\u00f3n de ' +
+                                      'correo electr\u00f3nico',
+            feedbackRequiredText:     'Rellene este campo.',
+            feedbackSendText:         'Enviar',
+            feedbackSentText:         'Gracias por avisarnos.'
+        },
+        // French
+        fr: {
+            errorTitleText:           'Une erreur de script s\'est produite',
+            errorMessageText:         'Ce site web a rencontr\u00e9 des ' +
+                                      'erreurs de script. Voulez-vous les ' +
+                                      'signaler aux administrateurs\u00a0?',
+            errorSendText:            'Envoyer les erreurs',
+            errorCloseText:           'Fermer',
+            errorNoMoreText:          'Ignorer les prochaines erreurs',
+            errorSentText:            'Merci, les erreurs sont en cours de ' +
+                                      'signalement.',
+            feedbackTitleText:        'Signaler un probl\u00e8me',
+            feedbackMessageText:      'Dites-nous ce qui n\'a pas ' +
+                                      'fonctionn\u00e9, et nous ' +
+                                      'examinerons le probl\u00e8me.',
+            feedbackDescriptionText:  'Que faisiez-vous quand c\'est ' +
+                                      'arriv\u00e9\u00a0?',
+            feedbackContactText:      'Votre nom ou votre adresse e-mail',
+            feedbackRequiredText:     'Veuillez remplir ce champ.',
+            feedbackSendText:         'Envoyer',
+            feedbackSentText:         'Merci de nous avoir pr\u00e9venus.'
+        },
+        // Hebrew
+        he: {
+            errorTitleText:           '\u05d0\u05d9\u05e8\u05e2\u05d4 ' +
+                                      '\u05e9\u05d2\u05d9\u05d0\u05ea ' +
+                                      '\u05e1\u05e7\u05e8\u05d9\u05e4\u05d8',
+            errorMessageText:         '\u05d1\u05d0\u05ea\u05e8 \u05d6' +
+                                      '\u05d4 \u05d0\u05d9\u05e8\u05e2' +
+                                      '\u05d5 \u05e9\u05d2\u05d9\u05d0' +
+                                      '\u05d5\u05ea \u05e1\u05e7\u05e8' +
+                                      '\u05d9\u05e4\u05d8. \u05d4\u05d0' +
+                                      '\u05dd \u05dc\u05d3\u05d5\u05d5' +
+                                      '\u05d7 \u05e2\u05dc\u05d9\u05d4' +
+                                      '\u05df \u05dc\u05de\u05e0\u05d4' +
+                                      '\u05dc\u05d9 \u05d4\u05d0\u05ea' +
+                                      '\u05e8?',
+            errorSendText:            '\u05e9\u05dc\u05d9\u05d7\u05ea ' +
+                                      '\u05d4\u05e9\u05d2\u05d9\u05d0\u05d5' +
+                                      '\u05ea',
+            errorCloseText:           '\u05e1\u05d2\u05d9\u05e8\u05d4',
+            errorNoMoreText:          '\u05d4\u05ea\u05e2\u05dc\u05de\u05d5' +
+                                      '\u05ea \u05de\u05e9\u05d2\u05d9' +
+                                      '\u05d0\u05d5\u05ea \u05e2\u05ea' +
+                                      '\u05d9\u05d3\u05d9\u05d5\u05ea',
+            errorSentText:            '\u05ea\u05d5\u05d3\u05d4, \u05d4' +
+                                      '\u05e9\u05d2\u05d9\u05d0\u05d5\u05ea' +
+                                      ' \u05de\u05d3\u05d5\u05d5\u05d7' +
+                                      '\u05d5\u05ea.',
+            feedbackTitleText:        '\u05d3\u05d9\u05d5\u05d5\u05d7 ' +
+                                      '\u05e2\u05dc \u05d1\u05e2\u05d9' +
+                                      '\u05d4',
+            feedbackMessageText:      '\u05e1\u05e4\u05e8\u05d5 \u05dc' +
+                                      '\u05e0\u05d5 \u05de\u05d4 \u05d4' +
+                                      '\u05e9\u05ea\u05d1\u05e9 \u05d5' +
+                                      '\u05d0\u05e0\u05d7\u05e0\u05d5 ' +
+                                      '\u05e0\u05d1\u05d3\u05d5\u05e7 ' +
+                                      '\u05d6\u05d0\u05ea.',
+            feedbackDescriptionText:  '\u05de\u05d4 \u05e2\u05e9\u05d9' +
+                                      '\u05ea \u05db\u05e9\u05d6\u05d4 ' +
+                                      '\u05e7\u05e8\u05d4?',
+            feedbackContactText:      '\u05e9\u05dd \u05d0\u05d5 \u05db' +
+                                      '\u05ea\u05d5\u05d1\u05ea \u05d3' +
+                                      '\u05d5\u05d0\u05f4\u05dc',
+            feedbackRequiredText:     '\u05e0\u05d0 \u05dc\u05de\u05dc' +
+                                      '\u05d0 \u05e9\u05d3\u05d4 \u05d6' +
+                                      '\u05d4.',
+            feedbackSendText:         '\u05e9\u05dc\u05d9\u05d7\u05d4',
+            feedbackSentText:         '\u05ea\u05d5\u05d3\u05d4 \u05e2' +
+                                      '\u05dc \u05d4\u05d3\u05d9\u05d5' +
+                                      '\u05d5\u05d7.'
+        },
+        // Italian
+        it: {
+            errorTitleText:           'Si \u00e8 verificato un errore di ' +
+                                      'script',
+            errorMessageText:         'Questo sito web ha riscontrato ' +
+                                      'errori di script. Vuoi segnalarli ' +
+                                      'agli amministratori?',
+            errorSendText:            'Invia errori',
+            errorCloseText:           'Chiudi',
+            errorNoMoreText:          'Ignora gli errori futuri',
+            errorSentText:            'Grazie, gli errori sono in fase di ' +
+                                      'segnalazione.',
+            feedbackTitleText:        'Segnala un problema',
+            feedbackMessageText:      'Raccontaci cosa \u00e8 andato ' +
+                                      'storto e lo esamineremo.',
+            feedbackDescriptionText:  'Cosa stavi facendo quando \u00e8 ' +
+                                      'successo?',
+            feedbackContactText:      'Il tuo nome o indirizzo email',
+            feedbackRequiredText:     'Compila questo campo.',
+            feedbackSendText:         'Invia',
+            feedbackSentText:         'Grazie per avercelo segnalato.'
+        },
+        // Japanese
+        ja: {
+            errorTitleText:           '\u30b9\u30af\u30ea\u30d7\u30c8\u30a8' +
+                                      '\u30e9\u30fc\u304c\u767a\u751f\u3057' +
+                                      '\u307e\u3057\u305f',
+            errorMessageText:         '\u3053\u306e\u30a6\u30a7\u30d6\u30b5' +
+                                      '\u30a4\u30c8\u3067\u30b9\u30af\u30ea' +
+                                      '\u30d7\u30c8\u30a8\u30e9\u30fc\u304c' +
+                                      '\u767a\u751f\u3057\u307e\u3057\u305f' +
+                                      '\u3002\u7ba1\u7406\u8005\u306b\u5831' +
+                                      '\u544a\u3057\u307e\u3059\u304b\uff1f',
+            errorSendText:            '\u30a8\u30e9\u30fc\u3092\u9001\u4fe1',
+            errorCloseText:           '\u9589\u3058\u308b',
+            errorNoMoreText:          '\u4eca\u5f8c\u306e\u30a8\u30e9\u30fc' +
+                                      '\u3092\u7121\u8996\u3059\u308b',
+            errorSentText:            '\u3042\u308a\u304c\u3068\u3046\u3054' +
+                                      '\u3056\u3044\u307e\u3059\u3002\u30a8' +
+                                      '\u30e9\u30fc\u3092\u5831\u544a\u3057' +
+                                      '\u3066\u3044\u307e\u3059\u3002',
+            feedbackTitleText:        '\u554f\u984c\u3092\u5831\u544a',
+            feedbackMessageText:      '\u4f55\u304c\u8d77\u304d\u305f\u304b' +
+                                      '\u304a\u77e5\u3089\u305b\u304f\u3060' +
+                                      '\u3055\u3044\u3002\u8abf\u67fb\u3044' +
+                                      '\u305f\u3057\u307e\u3059\u3002',
+            feedbackDescriptionText:  '\u305d\u306e\u3068\u304d\u4f55\u3092' +
+                                      '\u3057\u3066\u3044\u307e\u3057\u305f' +
+                                      '\u304b\uff1f',
+            feedbackContactText:      '\u304a\u540d\u524d\u307e\u305f\u306f' +
+                                      '\u30e1\u30fc\u30eb\u30a2\u30c9\u30ec' +
+                                      '\u30b9',
+            feedbackRequiredText:     '\u3053\u306e\u9805\u76ee\u3092\u5165' +
+                                      '\u529b\u3057\u3066\u304f\u3060\u3055' +
+                                      '\u3044\u3002',
+            feedbackSendText:         '\u9001\u4fe1',
+            feedbackSentText:         '\u304a\u77e5\u3089\u305b\u3044\u305f' +
+                                      '\u3060\u304d\u3042\u308a\u304c\u3068' +
+                                      '\u3046\u3054\u3056\u3044\u307e\u3059' +
+                                      '\u3002'
+        },
+        // Dutch
+        nl: {
+            errorTitleText:           'Er is een scriptfout opgetreden',
+            errorMessageText:         'Deze website heeft scriptfouten ' +
+                                      'ondervonden. Wilt u deze aan de ' +
+                                      'beheerders melden?',
+            errorSendText:            'Fouten versturen',
+            errorCloseText:           'Sluiten',
+            errorNoMoreText:          'Toekomstige fouten negeren',
+            errorSentText:            'Bedankt, de fouten worden gemeld.',
+            feedbackTitleText:        'Een probleem melden',
+            feedbackMessageText:      'Vertel ons wat er misging, dan ' +
+                                      'zoeken we het uit.',
+            feedbackDescriptionText:  'Wat was u aan het doen toen het ' +
+                                      'gebeurde?',
+            feedbackContactText:      'Uw naam of e-mailadres',
+            feedbackRequiredText:     'Vul dit veld in.',
+            feedbackSendText:         'Versturen',
+            feedbackSentText:         'Bedankt voor uw melding.'
+        },
+        // Portuguese
+        pt: {
+            errorTitleText:           'Ocorreu um erro de script',
+            errorMessageText:         'Este site encontrou erros de ' +
+                                      'script. Deseja comunic\u00e1-los ' +
+                                      'aos administradores?',
+            errorSendText:            'Enviar erros',
+            errorCloseText:           'Fechar',
+            errorNoMoreText:          'Ignorar erros futuros',
+            errorSentText:            'Obrigado, os erros ser\u00e3o ' +
+                                      'comunicados.',
+            feedbackTitleText:        'Comunicar um problema',
+            feedbackMessageText:      'Diga-nos o que aconteceu e iremos ' +
+                                      'analisar.',
+            feedbackDescriptionText:  'O que fazia quando isso aconteceu?',
+            feedbackContactText:      'Nome ou endere\u00e7o de e-mail',
+            feedbackRequiredText:     'Preencha este campo.',
+            feedbackSendText:         'Enviar',
+            feedbackSentText:         'Obrigado por nos informar.'
+        },
+        // Russian
+        ru: {
+            errorTitleText:           '\u041f\u0440\u043e\u0438\u0437\u043e' +
+                                      '\u0448\u043b\u0430 \u043e\u0448' +
+                                      '\u0438\u0431\u043a\u0430 \u0441' +
+                                      '\u043a\u0440\u0438\u043f\u0442\u0430',
+            errorMessageText:         '\u041d\u0430 \u044d\u0442\u043e' +
+                                      '\u043c \u0441\u0430\u0439\u0442' +
+                                      '\u0435 \u043f\u0440\u043e\u0438' +
+                                      '\u0437\u043e\u0448\u043b\u0438 ' +
+                                      '\u043e\u0448\u0438\u0431\u043a\u0438' +
+                                      ' \u0441\u043a\u0440\u0438\u043f' +
+                                      '\u0442\u043e\u0432. \u0421\u043e' +
+                                      '\u043e\u0431\u0449\u0438\u0442\u044c' +
+                                      ' \u043e \u043d\u0438\u0445 \u0430' +
+                                      '\u0434\u043c\u0438\u043d\u0438\u0441' +
+                                      '\u0442\u0440\u0430\u0442\u043e\u0440' +
+                                      '\u0430\u043c?',
+            errorSendText:            '\u041e\u0442\u043f\u0440\u0430\u0432' +
+                                      '\u0438\u0442\u044c \u043e\u0448' +
+                                      '\u0438\u0431\u043a\u0438',
+            errorCloseText:           '\u0417\u0430\u043a\u0440\u044b\u0442' +
+                                      '\u044c',
+            errorNoMoreText:          '\u0418\u0433\u043d\u043e\u0440\u0438' +
+                                      '\u0440\u043e\u0432\u0430\u0442\u044c' +
+                                      ' \u043f\u043e\u0441\u043b\u0435' +
+                                      '\u0434\u0443\u044e\u0449\u0438\u0435' +
+                                      ' \u043e\u0448\u0438\u0431\u043a' +
+                                      '\u0438',
+            errorSentText:            '\u0421\u043f\u0430\u0441\u0438\u0431' +
+                                      '\u043e, \u0441\u043e\u043e\u0431' +
+                                      '\u0449\u0435\u043d\u0438\u0435 ' +
+                                      '\u043e\u0431 \u043e\u0448\u0438' +
+                                      '\u0431\u043a\u0430\u0445 \u043e' +
+                                      '\u0442\u043f\u0440\u0430\u0432\u043b' +
+                                      '\u044f\u0435\u0442\u0441\u044f.',
+            feedbackTitleText:        '\u0421\u043e\u043e\u0431\u0449\u0438' +
+                                      '\u0442\u044c \u043e \u043f\u0440' +
+                                      '\u043e\u0431\u043b\u0435\u043c\u0435',
+            feedbackMessageText:      '\u0420\u0430\u0441\u0441\u043a\u0430' +
+                                      '\u0436\u0438\u0442\u0435, \u0447' +
+                                      '\u0442\u043e \u043f\u043e\u0448' +
+                                      '\u043b\u043e \u043d\u0435 \u0442' +
+                                      '\u0430\u043a, \u0438 \u043c\u044b ' +
+                                      '\u0440\u0430\u0437\u0431\u0435\u0440' +
+                                      '\u0451\u043c\u0441\u044f.',
+            feedbackDescriptionText:  '\u0427\u0442\u043e \u0432\u044b ' +
+                                      '\u0434\u0435\u043b\u0430\u043b\u0438' +
+                                      ', \u043a\u043e\u0433\u0434\u0430 ' +
+                                      '\u044d\u0442\u043e \u043f\u0440' +
+                                      '\u043e\u0438\u0437\u043e\u0448\u043b' +
+                                      '\u043e?',
+            feedbackContactText:      '\u0412\u0430\u0448\u0435 \u0438' +
+                                      '\u043c\u044f \u0438\u043b\u0438 ' +
+                                      '\u0430\u0434\u0440\u0435\u0441 ' +
+                                      '\u044d\u043b\u0435\u043a\u0442\u0440' +
+                                      '\u043e\u043d\u043d\u043e\u0439 ' +
+                                      '\u043f\u043e\u0447\u0442\u044b',
+            feedbackRequiredText:     '\u0417\u0430\u043f\u043e\u043b\u043d' +
+                                      '\u0438\u0442\u0435 \u044d\u0442' +
+                                      '\u043e \u043f\u043e\u043b\u0435.',
+            feedbackSendText:         '\u041e\u0442\u043f\u0440\u0430\u0432' +
+                                      '\u0438\u0442\u044c',
+            feedbackSentText:         '\u0421\u043f\u0430\u0441\u0438\u0431' +
+                                      '\u043e, \u0447\u0442\u043e \u0441' +
+                                      '\u043e\u043e\u0431\u0449\u0438\u043b' +
+                                      '\u0438 \u043d\u0430\u043c.'
+        },
+        // Chinese (Simplified)
+        zh: {
+            errorTitleText:           '\u53d1\u751f\u4e86\u811a\u672c\u9519' +
+                                      '\u8bef',
+            errorMessageText:         '\u672c\u7f51\u7ad9\u9047\u5230\u4e86' +
+                                      '\u811a\u672c\u9519\u8bef\uff0c\u662f' +
+                                      '\u5426\u8981\u5411\u7ba1\u7406\u5458' +
+                                      '\u62a5\u544a\uff1f',
+            errorSendText:            '\u63d0\u4ea4\u9519\u8bef',
+            errorCloseText:           '\u5173\u95ed',
+            errorNoMoreText:          '\u5ffd\u7565\u4ee5\u540e\u7684\u9519' +
+                                      '\u8bef',
+            errorSentText:            '\u8c22\u8c22\uff0c\u6b63\u5728\u62a5' +
+                                      '\u544a\u8fd9\u4e9b\u9519\u8bef\u3002',
+            feedbackTitleText:        '\u62a5\u544a\u95ee\u9898',
+            feedbackMessageText:      '\u8bf7\u544a\u8bc9\u6211\u4eec\u51fa' +
+                                      '\u4e86\u4ec0\u4e48\u95ee\u9898\uff0c' +
+                                      '\u6211\u4eec\u4f1a\u8fdb\u884c\u8c03' +
+                                      '\u67e5\u3002',
+            feedbackDescriptionText:  '\u53d1\u751f\u95ee\u9898\u65f6\u60a8' +
+                                      '\u6b63\u5728\u505a\u4ec0\u4e48\uff1f',
+            feedbackContactText:      '\u60a8\u7684\u59d3\u540d\u6216\u7535' +
+                                      '\u5b50\u90ae\u4ef6\u5730\u5740',
+            feedbackRequiredText:     '\u8bf7\u586b\u5199\u6b64\u9879\u3002',
+            feedbackSendText:         '\u53d1\u9001',
+            feedbackSentText:         '\u611f\u8c22\u60a8\u544a\u8bc9\u6211' +
+                                      '\u4eec\u3002'
+        }
+    }
+
+    /**
+     * @constant {Array} ErrorTracker~RTL_LANGUAGES
+     * @summary Languages written from right to left
+     * @desc The dialog is laid out from right to left (see {@link
+     *       ErrorTracker~openDialog}) when it is in any of these languages.
+     */
+    var RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ks', 'ku',
+                         'ps', 'sd', 'ug', 'ur', 'yi']
+
+    /**
+     * @method ErrorTracker~catalogEntry
+     * @summary Find the translations for a language in a set of catalogs
+     * @desc Language tags are compared without regard to case, so that
+     *       `pt-BR` and `pt-br` are the same language.
+     * @arg {object} catalogs - The catalogs, keyed by language tag
+     * @arg {string} locale - The language tag to look for
+     * @returns {?object} The translations, or `null` if there aren't any
+     */
+    var catalogEntry = newf(function(catalogs, locale) {
+        locale = locale.toLowerCase()
+
+        for (var tag in catalogs || {}) {
+            if (tag.toLowerCase() == locale) return catalogs[tag]
+        }
+        return null
+    })
+
+    /**
+     * @method ErrorTracker~dialogLocale
+     * @summary Work out which language the dialog should be in
+     * @desc The `locale` configuration setting, if it is set, is used
+     *       whether or not there are translations for it. Otherwise, the
+     *       language of the page (its `lang` attribute) is preferred, then
+     *       the languages the browser asks for, in order; the first of these
+     *       with translations in the `messageCatalogs` setting or in {@link
+     *       ErrorTracker~MESSAGE_CATALOGS} (for the whole tag, such as
+     *       `pt-BR`, or just its language, `pt`) is chosen. If none of them
+     *       have any, the dialog is in English.
+     * @returns {string} The language tag
+     * @example <caption>Finding the language of a French page</caption>
+     * document.documentElement.lang = 'fr-CA'
+     * console.log(ErrorTracker.__INTERNALS__.dialogLocale())
+     * // => "fr-CA"
+     */
+    var dialogLocale = newf(function() {
+        var navigator = GLOBAL.navigator || {}
+        var wanted    = []
+        var found, tag
+
+        if (c('locale')) return c('locale')
+
+        if (!NODE && !WORKER) wanted.push(document.documentElement.lang)
+        wanted = wanted.concat(navigator.languages || [], navigator.language)
+
+        for (var index = 0; index < wanted.length && !found; index++) {
+            tag = wanted[index]
+            if (typeof tag != 'string' || !tag) continue
+
+            each([tag, tag.split('-')[0]], function(locale) {
+                if (found) return
+                if (catalogEntry(c('messageCatalogs'), locale) ||
+                    catalogEntry(MESSAGE_CATALOGS, locale)) {
+                    found = tag
+                }
+            })
+        }
+
+        return found || 'en'
+    })
+
+    /**
+     * @method ErrorTracker~message
+     * @summary Look up a piece of the dialog's text
+     * @desc Text set by its configuration setting (such as
+     *       `errorTitleText`) is used as it is. Otherwise, it is looked up
+     *       for the language of the dialog (see {@link
+     *       ErrorTracker~dialogLocale}): in the application's
+     *       `messageCatalogs`, then in {@link ErrorTracker~MESSAGE_CATALOGS},
+     *       for the whole language tag, then just its language, and then in
+     *       English, so that a catalog can leave out text it doesn't need to
+     *       change.
+     * @arg {string} key - The configuration setting the text is kept in
+     * @returns {string} The text
+     * @example <caption>Getting the title of the dialog in German</caption>
+     * ErrorTracker.configure({locale: 'de-AT'})
+     * console.log(ErrorTracker.__INTERNALS__.message('errorTitleText'))
+     * // => "Ein Skriptfehler ist aufgetreten"
+     */
+    var message = newf(function(key) {
+        var locale = dialogLocale()
+        var text
+
+        if (c(key) !== undefined && c(key) !== null) return c(key)
+
+        each([locale, locale.split('-')[0], 'en'], function(tag) {
+            each([c('messageCatalogs'), MESSAGE_CATALOGS], function(catalogs) {
+                var entry = catalogEntry(catalogs, tag)
+
+                if (text === undefined && entry && entry[key] !== undefined) {
+                    text = entry[key]
+                }
+            })
+        })
+
+        return text
+    })
+
+    /**
+     * @method ErrorTracker~announce
+     * @summary Have screen readers read out a message
+     * @desc Puts a message into a live region - an element that is hidden
+     *       from view, but whose changes screen readers read out - at the end
+     *       of the page. The region is created the first time it's needed,
+     *       and its ID is taken from the `errorStatusID` configuration
+     *       setting, if there is one. The message goes in a moment after the
+     *       region is emptied, so that the same message is read out again if
+     *       it's announced twice.
+     * @arg {string} message - The message to announce
+     * @returns nothing
+     * @example <caption>Letting the user know the errors are on their way
+     *          </caption>
+     * announce('Thank you, the errors are being reported.')
+     */
+    var announce = newf(function(message) {
+        var body = NODE || WORKER ? null : document.body
+        if (!body) return
+
+        var id = c('errorStatusID')
+        if (!id) id = this.PACKAGE + '_errorStatus'
+
+        var status = document.getElementById(id)
+        if (!status) {
+            status = document.createElement('div')
+            status.setAttribute('id', id)
+            status.setAttribute('role', 'status')
+            status.setAttribute('aria-live', 'polite')
+            status.setAttribute('style', css({
+                'position':    'absolute',
+                'width':       '1px',
+                'height':      '1px',
+                'overflow':    'hidden',
+                'clip':        'rect(0 0 0 0)',
+                'white-space': 'nowrap'
+            }))
+            body.appendChild(status)
+        }
+
+        status.textContent = ''
+        setTimeout(function() { status.textContent = message }, 100)
+    })
+
+    /**
+     * @method ErrorTracker~saveFeedback
+     * @summary Attach what the user said to the errors about to be sent
+     * @desc The feedback form (see {@link ErrorTracker.collectFeedback})
+     *       gives a `description` of what the user was doing and, if they
+     *       want to be contacted, a `contact`. Both, with the time they were
+     *       `submittedAt`, become the `feedback` of every tracked error not
+     *       already on its way to the server; with no such errors, they're
+     *       tracked on their own, with a `type` of `feedback`. Either way,
+     *       they're processed like any report first (see {@link
+     *       ErrorTracker~processReport}), so they're scrubbed and can be
+     *       dropped by `beforeSend`, but they're never sampled or counted
+     *       against the per-page limits.
+     * @arg {object} feedback - The `description` and `contact` the user gave
+     * @returns nothing
+     * @example <caption>Sending along what the user said</caption>
+     * ErrorTracker.__INTERNALS__.saveFeedback({
+     *     description: 'I clicked "Pay" twice',
+     *     contact:     'someone@example.com'
+     * })
+     * ErrorTracker.sendErrors()
+     */
+    var saveFeedback = newf(function(feedback) {
+        var sending  = this.__INTERNALS__.delivery.sending
+        var attached = false
+        var environment, e
+
+        feedback = {
+            description: feedback.description || null,
+            contact:     feedback.contact     || null,
+            submittedAt: new Date().getTime()
+        }
+        if (!feedback.description && !feedback.contact) return
+
+        e = {
+            pageInfo:    {
+                protocol:    GLOBAL.location.protocol,
+                host:        GLOBAL.location.hostname,
+                port:        GLOBAL.location.port,
+                route:       GLOBAL.location.pathname,
+                queryString: GLOBAL.location.search
+            },
+            message:     feedback.description || '',
+            frames:      [],
+            timeStamp:   feedback.submittedAt,
+            savedAt:     feedback.submittedAt,
+            type:        'feedback',
+            feedback:    feedback,
+            breadcrumbs: breadcrumbSnapshot()
+        }
+        contextSnapshot(e)
+
+        // what the user wrote is scrubbed, and shown to the application,
+        // like anything else that's sent
+        e = processReport(e)
+        if (e === null) {
+            countDropped('beforeSend')
+            return
+        }
+        e = normalizeError(e)
+        if (!e.feedback) return
+
+        each(this.__INTERNALS__.trackedErrors, function(error) {
+            if (sending.indexOf(error) >= 0) return
+
+            error.feedback = e.feedback
+            attached       = true
+        })
+
+        if (!attached) {
+            environment = collectEnvironment()
+            if (environment) e.environment = environment
+            e.fingerprint = fingerprint(e)
+            this.__INTERNALS__.trackedErrors.push(e)
+        }
+
+        persistErrors()
+    })
+
+    /**
+     * @method ErrorTracker~openDialog
+     * @summary Show the dialog that asks the user about errors
+     * @desc Opens the dialog behind both {@link ErrorTracker.displayWindow}
+     *       and {@link ErrorTracker.collectFeedback}. It offers to submit the
+     *       errors (if there is an `endpoint`) or dismiss them, and, when it
+     *       was opened for errors, to stop showing it for the visit. When
+     *       asked for feedback, or with `feedbackForm` on, it has fields
+     *       for a description and a contact (see {@link
+     *       ErrorTracker~saveFeedback}), which `feedbackDescription` and
+     *       `feedbackContact` can make `required` or turn `off`. It is an
+     *       `alertdialog` that keeps the keyboard's focus until it's closed
+     *       (`Escape` dismisses it), and drawn in a Shadow DOM (see {@link
+     *       ErrorTracker~DIALOG_STYLESHEET}). Its text is in the page's
+     *       language (see {@link ErrorTracker~message}), and laid out from
+     *       right to left if that's how the language is written.
+     * @arg {boolean} asked - Whether the dialog is asking for feedback,
+     *      rather than telling the user about errors
+     * @returns nothing
+     */
+    var openDialog = newf(function(asked) {
+        // make sure there's a <body> element - if not, there's nothing for
+        // us to do
+        var body = NODE || WORKER ? null : document.body
+        if (!body) return
+        var host, root, style, box, send, dismiss, check, description,
+            contact
+        var labels = []
+        var locale = dialogLocale()
+
+        var getID = newf(function(prefix) {
+            var id = c(prefix + 'ID')
+            if (!id) id = this.PACKAGE + '_' + prefix
+            return id
+        })
+        var text  = function(setting) {
+            return message((asked ? 'feedback' : 'error') + setting + 'Text')
+        }
+
+        // if the window already exists on the page, then we don't need to do
+        // anything
+        if (document.getElementById(getID('errorBox'))) return
+
+        var newElem = function(prefix, part, elem, contents, attributes) {
+            var domClass = c(prefix + 'Class')
+            var style    = c(prefix + 'Style')
+            var element  = document.createElement(elem)
+
+            if (part) {
+                element.setAttribute('part', part)
+                element.setAttribute('class', part)
+            }
+            if (domClass) {
+                element.setAttribute('class', (part ? part + ' ' : '') +
+                                              domClass)
+            }
+            if (style)    element.setAttribute('style', style)
+
+            if (attributes) {
+                for (var attribute in attributes) {
+                    element.setAttribute(attribute, attributes[attribute])
+                }
+            }
+
+            if (contents instanceof Array) {
+                for (var index = 0; index < contents.length; index++) {
+                    element.appendChild(contents[index])
+                }
+            }
+            else if (typeof contents === 'string' ||
+                     contents instanceof String) {
+                element.textContent = contents
+            }
+
+            return element
+        }
+        var newField = function(prefix, part, elem, attributes) {
+            var field = newElem(prefix, part, elem, undefined, attributes)
+
+            field.setAttribute('id', getID(prefix))
+            if (c(prefix) == 'required') {
+                field.setAttribute('required', '')
+                field.setAttribute('aria-required', 'true')
+            }
+
+            labels.push(newElem(prefix + 'Label', 'field', 'label', [
+                document.createTextNode(message(prefix + 'Text')),
+                field
+            ]))
+            return field
+        }
+
+        // there's no point offering to submit errors (or asking the user
+        // about them) with nowhere to send them
+        if (c('endpoint')) {
+            send = newElem('errorSend', 'send', 'button', text('Send'),
+                           {id: getID('errorSend'), type: 'button'})
+
+            if (asked || c('feedbackForm')) {
+                description = newField('feedbackDescription', 'description',
+                                       'textarea', {rows: '3'})
+            }
+            if (description && c('feedbackContact') != 'off') {
+                contact = newField('feedbackContact', 'contact', 'input',
+                                   {type: 'text'})
+            }
+        }
+        dismiss = newElem('errorClose', 'close', 'button',
+                          message('errorCloseText'),
+                          {id: getID('errorClose'), type: 'button'})
+
+        // the user can only stop the dialog showing up when it shows up by
+        // itself
+        if (!asked) {
+            check = newElem('errorNoMoreCheck', undefined, 'input', undefined,
+                            {id: getID('errorNoMoreCheck'), type: 'checkbox'})
+        }
+
+        box = newElem('errorBox', 'box', 'div', [
+            // title bar
+            newElem('errorTitle', 'title', 'h2', text('Title'),
+                    {id: getID('errorTitle')}),
+
+            // error message
+            newElem('errorMessage', 'message', 'p', text('Message'),
+                    {id: getID('errorMessage')})
+        ].concat(labels, [
+            // action buttons
+            newElem('errorTray', 'tray', 'div', send ? [send, dismiss] :
+                                                       [dismiss])
+        ], check ? [
+            // option for the user to dismiss the alert boxes permanently
+            newElem('errorNoMoreCheckLabel', 'no-more', 'label', [
+                check,
+                document.createTextNode(' ' + message('errorNoMoreText'))
+            ])
+        ] : []), {
+            'role':             'alertdialog',
+            'aria-modal':       'true',
+            'lang':             locale,
+            'dir':              RTL_LANGUAGES.indexOf(
+                                    locale.split('-')[0].toLowerCase()
+                                ) < 0 ? 'ltr' : 'rtl',
+            'aria-labelledby':  getID('errorTitle'),
+            'aria-describedby': getID('errorMessage')
+        })
+
+        // without Shadow DOM (in older browsers), the dialog goes straight
+        // into the page, and takes its chances with the page's styles
+        host  = document.createElement('div')
+        root  = host.attachShadow ? host.attachShadow({mode: 'open'}) : host
+        style = document.createElement('style')
+        style.textContent = DIALOG_STYLESHEET
+
+        host.setAttribute('id', getID('errorBox'))
+        host.__ErrorTracker__ = document.activeElement
+        root.appendChild(style)
+        root.appendChild(box)
+        body.appendChild(host)
+
+        var close = newf(function(submit) {
+            var missing
+
+            // the form isn't sent until everything it needs is filled in;
+            // the first thing that isn't gets the focus
+            if (submit && description) {
+                each([description, contact], function(field) {
+                    var empty
+
+                    if (!field) return
+
+                    empty = field.required && !field.value.trim()
+                    field.setAttribute('aria-invalid', empty ? 'true' :
+                                                               'false')
+                    if (empty && !missing) missing = field
+                })
+
+                if (missing) {
+                    missing.focus()
+                    announce(message('feedbackRequiredText'))
+                    return
+                }
+
+                saveFeedback({
+                    description: description.value.trim(),
+                    contact:     contact ? contact.value.trim() : null
+                })
+            }
+
+            if (check && check.checked) {
+                dispatch('setConfigurationValue',
+                         ['autoDisplayWindow', false])
+            }
+
+            if (submit) dispatch('sendErrors')
+            dispatch('dismissWindow')
+            if (submit) announce(text('Sent'))
+        })
+
+        if (send) send.addEventListener('click', function() { close(true) })
+        dismiss.addEventListener('click', function() { close(false) })
+
+        box.addEventListener('keydown', function(event) {
+            var focusable = Array.prototype.slice.call(
+                root.querySelectorAll('textarea, input, button')
+            )
+            var last      = focusable.length - 1
+            var index     = focusable.indexOf(root.activeElement ||
+                                              document.activeElement)
+
+            if (event.key == 'Escape' || event.key == 'Esc') {
+                event.preventDefault()
+                close(false)
+            }
+            // the focus goes round and round the dialog until it's closed
+            else if (event.key == 'Tab' && event.shiftKey && index <= 0) {
+                event.preventDefault()
+                focusable[last].focus()
+            }
+            else if (event.key == 'Tab' && !event.shiftKey && index == last) {
+                event.preventDefault()
+                focusable[0].focus()
+            }
+        })
+
+        if (description) description.focus()
+        else if (send)   send.focus()
+        else             dismiss.focus()
+    })
+
+    /**
+     * @constant {object} ErrorTracker~CONFIG_DEFAULTS
+     * @summary The base configuration of the error tracker
+     * @desc Default configuration settings for the application. When the
+     *       application is initialized, or re-initialized, these settings are
+     *       copied into the runtime configuration.
+     */
+    var CONFIG_DEFAULTS = {
+        endpoint:          undefined,
+        autoSendErrors:    false,
+        autoDisplayWindow: false,
+        inAppUrls:         undefined,
+        storage:           undefined,
+        storageKey:        'ErrorTracker_trackedErrors',
+        storageMaxErrors:  100,
+        storageMaxAge:     7 * 24 * 60 * 60 * 1000,
+        sendDebounce:      1000,
+        maxBatchSize:      50,
+        retryLimit:        5,
+        retryDelay:        1000,
+        retryMaxDelay:     60000,
+        requestTimeout:    30000,
+        flushOnUnload:     undefined,
+        beaconMaxBytes:    60000,
+        exitOnUncaughtException: true,
+        shutdownTimeout:   2000,
+        forwardErrors:     WORKER && WORKER_TYPE != 'service',
+        relayErrors:       false,
+        frameOrigins:      undefined,
+        shareConfiguration: false,
+        transport:         NODE ? 'http' :
+                           WORKER_TYPE == 'service' ? 'fetch' : 'xhr',
+        transportHeaders:  undefined,
+        captureUnhandledRejections: true,
+        captureResourceErrors: false,
+        resourceErrorUrls: undefined,
+        maxBreadcrumbs:    30,
+        breadcrumbClicks:  true,
+        breadcrumbNavigation: true,
+        breadcrumbConsole: true,
+        breadcrumbRequests: true,
+        captureFailedRequests: false,
+        fingerprint:       undefined,
+        sampleRate:        1,
+        sampleScope:       'page',
+        maxErrorsPerPage:  100,
+        sendRate:          10,
+        sendBurst:         5,
+        scrubKeys:         ['password', 'passwd', 'secret', 'client_secret',
+                            'token', 'access_token', 'refresh_token',
+                            'id_token', 'api_key', 'apikey', 'authorization',
+                            'cookie', 'session', 'credential', 'credentials'],
+        scrubPatterns:     SCRUB_PATTERNS,
+        beforeSend:        undefined,
+        ignoreErrors:      [/^Script error\.?$/, 'ResizeObserver loop'],
+        allowUrls:         undefined,
+        denyUrls:          ['chrome-extension://', 'moz-extension://',
+                            'safari-extension://', 'safari-web-extension://',
+                            'ms-browser-extension://'],
+        environmentBrowser: true,
+        environmentScreen: true,
+        environmentLocale: true,
+        environmentNetwork: true,
+        reportVersion:     2,
+        locale:            undefined,
+        messageCatalogs:   undefined,
+        errorTitleText:    undefined,
+        errorMessageText:  undefined,
+        errorSendText:     undefined,
+        errorCloseText:    undefined,
+        errorNoMoreText:   undefined,
+        errorSentText:     undefined,
+        errorBoxStyle:     undefined,
+        errorTitleStyle:   undefined,
+        errorMessageStyle: undefined,
+        errorTrayStyle:    undefined,
+        errorSendStyle:    undefined,
+        errorCloseStyle:   undefined,
+        feedbackForm:      false,
+        feedbackDescription: 'optional',
+        feedbackContact:   'optional',
+        feedbackTitleText: undefined,
+        feedbackMessageText: undefined,
+        feedbackDescriptionText: undefined,
+        feedbackContactText: undefined,
+        feedbackRequiredText: undefined,
+        feedbackSendText:  undefined,
+        feedbackSentText:  undefined
     }
 
+    /**
+     * @constant {object} ErrorTracker~CONFIG_VALIDATORS
+     * @summary Constraints on the values of configuration settings
+     * @desc Certain configuration settings have explicit constraints. Each
+     *       of these maps the name of a setting to a function which is given
+     *       a proposed value, and returns whether that value is acceptable.
+     *       Settings not listed here can be set to anything.
+     */
+    var CONFIG_VALIDATORS = (function() {
+        var isBoolean = function(value) {
+            return typeof value == 'boolean'
+        }
+        var isCount = function(value) {
+            return typeof value == 'number' && value >= 0
+        }
+        var isList = function(value) {
+            return Object.prototype.toString.call(value) == '[object Array]'
+        }
+
+        return {
+            autoSendErrors:    isBoolean,
+            autoDisplayWindow: isBoolean,
+            storage:           function(value) {
+                if (!value) return true
+                if (typeof value == 'string' || value instanceof String) {
+                    return STORAGE_BACKENDS.hasOwnProperty(value)
+                }
+                return typeof value.load == 'function' &&
+                       typeof value.save == 'function'
+            },
+            storageMaxErrors:  isCount,
+            storageMaxAge:     isCount,
+            sendDebounce:      isCount,
+            maxBatchSize:      isCount,
+            retryLimit:        isCount,
+            retryDelay:        isCount,
+            retryMaxDelay:     isCount,
+            requestTimeout:    isCount,
+            flushOnUnload:     function(value) {
+                return value === undefined || isBoolean(value)
+            },
+            beaconMaxBytes:    isCount,
+            exitOnUncaughtException: isBoolean,
+            shutdownTimeout:   isCount,
+            forwardErrors:     isBoolean,
+            relayErrors:       isBoolean,
+            frameOrigins:      function(value) {
+                return value === undefined || isList(value)
+            },
+            shareConfiguration: function(value) {
+                return isBoolean(value) || isList(value)
+            },
+            transport:         function(value) {
+                if (typeof value == 'string' || value instanceof String) {
+                    return TRANSPORTS.hasOwnProperty(value)
+                }
+                return !!value && typeof value.send == 'function'
+            },
+            transportHeaders:  function(value) {
+                return value === undefined || typeof value == 'object'
+            },
+            captureUnhandledRejections: isBoolean,
+            captureResourceErrors: isBoolean,
+            maxBreadcrumbs:    isCount,
+            breadcrumbClicks:  isBoolean,
+            breadcrumbNavigation: isBoolean,
+            breadcrumbConsole: isBoolean,
+            breadcrumbRequests: isBoolean,
+            captureFailedRequests: isBoolean,
+            fingerprint:       function(value) {
+                return value === undefined || typeof value == 'function'
+            },
+            sampleRate:        function(value) {
+                return isCount(value) && value <= 1
+            },
+            sampleScope:       function(value) {
+                return value == 'page' || value == 'session'
+            },
+            maxErrorsPerPage:  isCount,
+            sendRate:          isCount,
+            sendBurst:         function(value) {
+                return isCount(value) && value >= 1
+            },
+            scrubKeys:         function(value) {
+                return value === undefined || isList(value)
+            },
+            scrubPatterns:     function(value) {
+                return value === undefined || isList(value)
+            },
+            beforeSend:        function(value) {
+                var valid = true
+
+                if (value === undefined || typeof value == 'function') {
+                    return true
+                }
+                if (!isList(value)) return false
+
+                each(value, function(callback) {
+                    if (typeof callback != 'function') valid = false
+                })
+                return valid
+            },
+            ignoreErrors:      function(value) {
+                return value === undefined || isList(value)
+            },
+            allowUrls:         function(value) {
+                return value === undefined || isList(value)
+            },
+            denyUrls:          function(value) {
+                return value === undefined || isList(value)
+            },
+            environmentBrowser: isBoolean,
+            environmentScreen: isBoolean,
+            environmentLocale: isBoolean,
+            environmentNetwork: isBoolean,
+            reportVersion:     function(value) {
+                return value === 1 || value === 2
+            },
+            locale:            function(value) {
+                return value === undefined || typeof value == 'string'
+            },
+            messageCatalogs:   function(value) {
+                return value === undefined ||
+                       (!!value && typeof value == 'object')
+            },
+            feedbackForm:      isBoolean,
+            feedbackDescription: function(value) {
+                return value == 'optional' || value == 'required'
+            },
+            feedbackContact:   function(value) {
+                return value == 'off' || value == 'optional' ||
+                       value == 'required'
+            }
+        }
+    })()
+
     /**
      * @method ErrorTracker.configure
      * @summary Set up configuration in one bulk method
@@ -455,7 +4926,10 @@
      *       If setting any value fails, the entire configuration will fail
      *       and roll back to whatever the previous settings were. The error
      *       that caused the settings to fail will wind up in the tracked
-     *       errors list.
+     *       errors list. A new `storage` backend has its errors restored; in
+     *       Node.js, the first call registers the receiver, and in a frame,
+     *       turning on `relayErrors` connects it to the top-level page (see
+     *       {@link ErrorTracker~announceFrame}).
      * @arg {object} newConfiguration - The new settings to apply
      * @returns {boolean} True if the settings were successfully applied,
      *          false otherwise
@@ -509,6 +4983,22 @@
                     throw e
                 }
             }
+
+            // pick up whatever a newly-configured storage has waiting for us
+            if (c('storage')    != configurationBackup.storage ||
+                c('storageKey') != configurationBackup.storageKey) {
+                restoreErrors()
+            }
+            if (NODE && !this.__INTERNALS__.started) this.registerReceiver()
+
+            // a frame that has just been told to relay its errors asks the
+            // top-level page to take them, and the page pushes whatever it
+            // shares down to the frames that already do
+            if (c('relayErrors') && !configurationBackup.relayErrors) {
+                announceFrame()
+            }
+            pushConfiguration()
+
             return true
         }
         catch (e) {
@@ -524,10 +5014,12 @@
      * @desc Provide a setting name and any value to put it into the
      *       ErrorTracker configuration. The setting name does not have to be
      *       one that ErrorTracker already understands (so you can configure
-     *       extensions using this method as well). However, `autoSendErrors`
-     *       and `autoDisplayWindow` must be boolean values. If you try to set
-     *       them to anything else, the method will return false and nothing
-     *       will be affected.
+     *       extensions using this method as well). However, settings that
+     *       ErrorTracker does understand must have sensible values (see
+     *       {@link ErrorTracker~CONFIG_VALIDATORS}); `autoSendErrors` and
+     *       `autoDisplayWindow`, for instance, must be boolean values. If you
+     *       try to set them to anything else, the method will return false
+     *       and nothing will be affected.
      * @arg {string} setting - The name of the setting to configure
      * @arg {*}      value   - The value to set the setting to
      * @returns {boolean} Whether or not the call to set the value succeeded
@@ -541,13 +5033,8 @@
      * // => false
      */
     this.setConfigurationValue = newf(function(setting, value) {
-        // certain configuration settings have explicit constraints. not
-        // enough that we need to make a more extensible type-checking system,
-        // yet, but enough to warrant a sanity check here.
-        if ((setting == 'autoDisplayWindow' || setting == 'autoSendErrors') &&
-            typeof value != 'boolean') {
-            return false
-        }
+        var validator = CONFIG_VALIDATORS[setting]
+        if (validator && !validator(value)) return false
 
         this.__INTERNALS__.configuration[setting] = value
         return true
@@ -563,9 +5050,9 @@
      *       use {@link ErrorTracker.checkConfigurationValue}.
      * @arg {string} setting - The setting to pull
      * @returns {*} The current setting in the configuration
-     * @example <caption>Getting the default error title text</caption>
-     * console.log(ErrorTracker.getConfigurationValue('errorTitleText'))
-     * // => "A scripting error occurred"
+     * @example <caption>Getting the default storage key</caption>
+     * console.log(ErrorTracker.getConfigurationValue('storageKey'))
+     * // => "ErrorTracker_trackedErrors"
      * @example <caption>Getting a value set to undefined</caption>
      * console.log(ErrorTracker.getConfigurationValue('endpoint'))
      * // => undefined
@@ -620,7 +5107,8 @@
      *       and is not advised; however, if you'd like to extend the
      *       functionality of ErrorTracker in your own code beyond what is
      *       currently available via public methods, these members and methods
-     *       should help.
+     *       should help. Only the helpers, and the tables meant to be
+     *       extended, are listed; the rest of ErrorTracker is kept private.
      * @example <caption>Add a new function to ErrorTracker</caption>
      * ErrorTracker.printErrors = ErrorTracker.__INTERNALS__.newf(
      *     function() {
@@ -640,24 +5128,105 @@
      *           {@link ErrorTracker~runhook}
      * @property {function} each            - SEE: {@link ErrorTracker~each}
      * @property {function} newf            - SEE: {@link ErrorTracker~newf}
+     * @property {function} nodeModule      - SEE:
+     *           {@link ErrorTracker~nodeModule}
+     * @property {object}   TRANSPORTS      - SEE:
+     *           {@link ErrorTracker~TRANSPORTS}
      * @property {function} ajax            - SEE: {@link ErrorTracker~ajax}
+     * @property {function} buildReport     - SEE:
+     *           {@link ErrorTracker~buildReport}
+     * @property {function} parseUserAgent  - SEE:
+     *           {@link ErrorTracker~parseUserAgent}
+     * @property {object}   ENVIRONMENT_COLLECTORS - SEE:
+     *           {@link ErrorTracker~ENVIRONMENT_COLLECTORS}
+     * @property {function} matches         - SEE:
+     *           {@link ErrorTracker~matches}
+     * @property {object}   STACK_FORMATS   - SEE:
+     *           {@link ErrorTracker~STACK_FORMATS}
+     * @property {function} parseStack      - SEE:
+     *           {@link ErrorTracker~parseStack}
+     * @property {object}   STORAGE_BACKENDS - SEE:
+     *           {@link ErrorTracker~STORAGE_BACKENDS}
+     * @property {function} scheduleRetry   - SEE:
+     *           {@link ErrorTracker~scheduleRetry}
+     * @property {function} describeReason  - SEE:
+     *           {@link ErrorTracker~describeReason}
+     * @property {function} isTrustedOrigin - SEE:
+     *           {@link ErrorTracker~isTrustedOrigin}
+     * @property {function} receiveFrame    - SEE:
+     *           {@link ErrorTracker~receiveFrame}
+     * @property {function} receiveParent   - SEE:
+     *           {@link ErrorTracker~receiveParent}
+     * @property {function} cssSelector     - SEE:
+     *           {@link ErrorTracker~cssSelector}
+     * @property {function} scrubQuery      - SEE:
+     *           {@link ErrorTracker~scrubQuery}
+     * @property {Array}    REQUEST_OBSERVERS - SEE:
+     *           {@link ErrorTracker~REQUEST_OBSERVERS}
+     * @property {string}   SAMPLE_KEY      - SEE:
+     *           {@link ErrorTracker~SAMPLE_KEY}
+     * @property {function} isSampled       - SEE:
+     *           {@link ErrorTracker~isSampled}
+     * @property {function} takeSendToken   - SEE:
+     *           {@link ErrorTracker~takeSendToken}
+     * @property {function} redact          - SEE:
+     *           {@link ErrorTracker~redact}
+     * @property {Array}    SCRUB_PATTERNS  - SEE:
+     *           {@link ErrorTracker~SCRUB_PATTERNS}
+     * @property {Array}    REPORT_PROCESSORS - SEE:
+     *           {@link ErrorTracker~REPORT_PROCESSORS}
      * @property {function} initialize      - SEE:
      *           {@link ErrorTracker~initialize}
      * @property {function} css             - SEE: {@link ErrorTracker~css}
+     * @property {function} dialogLocale    - SEE:
+     *           {@link ErrorTracker~dialogLocale}
+     * @property {function} message         - SEE:
+     *           {@link ErrorTracker~message}
+     * @property {function} saveFeedback    - SEE:
+     *           {@link ErrorTracker~saveFeedback}
      * @property {object}   CONFIG_DEFAULTS - SEE:
      *           {@link ErrorTracker~CONFIG_DEFAULTS}
+     * @property {object}   CONFIG_VALIDATORS - SEE:
+     *           {@link ErrorTracker~CONFIG_VALIDATORS}
      * @property {function} c               - SEE: {@link ErrorTracker~c}
      */
     this.__INTERNALS__ = {
-        dispatch:        dispatch,
-        runhook:         runhook,
-        each:            each,
-        newf:            newf,
-        ajax:            ajax,
-        initialize:      initialize,
-        css:             css,
-        CONFIG_DEFAULTS: CONFIG_DEFAULTS,
-        c:               c
+        dispatch:               dispatch,
+        runhook:                runhook,
+        each:                   each,
+        newf:                   newf,
+        nodeModule:             nodeModule,
+        TRANSPORTS:             TRANSPORTS,
+        ajax:                   ajax,
+        buildReport:            buildReport,
+        parseUserAgent:         parseUserAgent,
+        ENVIRONMENT_COLLECTORS: ENVIRONMENT_COLLECTORS,
+        matches:                matches,
+        STACK_FORMATS:          STACK_FORMATS,
+        parseStack:             parseStack,
+        STORAGE_BACKENDS:       STORAGE_BACKENDS,
+        scheduleRetry:          scheduleRetry,
+        describeReason:         describeReason,
+        isTrustedOrigin:        isTrustedOrigin,
+        receiveFrame:           receiveFrame,
+        receiveParent:          receiveParent,
+        cssSelector:            cssSelector,
+        scrubQuery:             scrubQuery,
+        REQUEST_OBSERVERS:      REQUEST_OBSERVERS,
+        SAMPLE_KEY:             SAMPLE_KEY,
+        isSampled:              isSampled,
+        takeSendToken:          takeSendToken,
+        redact:                 redact,
+        SCRUB_PATTERNS:         SCRUB_PATTERNS,
+        REPORT_PROCESSORS:      REPORT_PROCESSORS,
+        initialize:             initialize,
+        css:                    css,
+        dialogLocale:           dialogLocale,
+        message:                message,
+        saveFeedback:           saveFeedback,
+        CONFIG_DEFAULTS:        CONFIG_DEFAULTS,
+        CONFIG_VALIDATORS:      CONFIG_VALIDATORS,
+        c:                      c
     }
 
     /**
@@ -729,15 +5298,19 @@
      *       to happen; it is more common, however, to directly use {@link
      *       ErrorTracker.saveError}.
      * @arg {Error} e - The error that needs to be acted on
-     * @returns nothing
+     * @returns {*} The error as it was tracked, or nothing if it was dropped
+     *          (see {@link ErrorTracker.saveError})
      * @example <caption>Calling receiverError() directly</caption>
      * ErrorTracker.receiveError(Error('A new problem has occurred'))
      */
     this.receiveError = newf(function(e) {
-        dispatch('saveError', [e])
+        e = dispatch('saveError', [e])
+        if (e === undefined) return
 
-        if (c('autoSendErrors'))    dispatch('sendErrors')
+        if (c('autoSendErrors'))    scheduleSend()
         if (c('autoDisplayWindow')) dispatch('displayWindow')
+
+        return e
     })
 
     /**
@@ -749,91 +5322,578 @@
      *       However, it becomes a little hairy to differentiate when a known
      *       error occurred vs. an unexpected one, so use that method
      *       sparingly unless you're very confident. (If you're so confident,
-     *       why are you using this library?) Note that this method
-     *       understands three current special cases: `ErrorEvent`,
-     *       `TypeError`, and `Error`. If you pass any of these to the
-     *       function, it will take only a subset of their functionality, as
-     *       they are deep and/or recursive data structures and can't be
-     *       submitted directly to a server.
+     *       why are you using this library?) Whatever it is given is put
+     *       into the report format (see {@link ErrorTracker~normalizeError}),
+     *       filtered (see {@link ErrorTracker~filterError}) and run through
+     *       the {@link ErrorTracker~REPORT_PROCESSORS}; repeats only bump the
+     *       `count` of the error already tracked. In Node.js, errors have
+     *       `processInfo` and `requestInfo` in place of `pageInfo`; in a
+     *       worker or a frame, they're passed on to the page that takes
+     *       them, if any (see {@link ErrorTracker~forwardToPages}).
      * @arg {Error} e - The error to push onto the stack
-     * @returns nothing
-     * @todo Parse `TypeError` and `Error`'s stacktrace to pull out more
-     *       relevant line information as object parameters, and to make the
-     *       resulting error objects more consistent
+     * @returns {*} The error as it was tracked (or the earlier occurrence it
+     *          was counted with), or nothing if it was dropped
      * @example <caption>Save an error onto the stack</caption>
      * ErrorTracker.saveError(Error('User clicked on the wrong button'))
      */
     this.saveError = newf(function(e) {
-        var pageInfo = {
-            protocol:    window.location.protocol,
-            host:        window.location.hostname,
-            port:        window.location.port,
-            route:       window.location.pathname,
-            queryString: window.location.search
+        var pageInfo = NODE ? null : {
+            protocol:    GLOBAL.location.protocol,
+            host:        GLOBAL.location.hostname,
+            port:        GLOBAL.location.port,
+            route:       GLOBAL.location.pathname,
+            queryString: GLOBAL.location.search
+        }
+        var limits   = this.__INTERNALS__.limits
+        var stack, reason, forwarded, repeat, filtered, environment
+
+        if (!isSampled()) {
+            countDropped('sampled')
+            return
         }
 
         // ErrorEvent is a recursive data structure, so we have to pare it
-        // down so it can easily be submitted to a server-side logger
-        if (e instanceof ErrorEvent) {
+        // down so it can easily be submitted to a server-side logger. newer
+        // browsers attach the Error that was thrown, which gives us the full
+        // stack; otherwise, all we know about is the line that threw it.
+        if (!NODE && e instanceof ErrorEvent) {
+            stack = e.error ? e.error.stack : undefined
             e = {
                 pageInfo:   pageInfo,
                 message:    e.message,
-                filename:   e.filename,
-                lineno:     e.lineno,
+                location:   {
+                    file:   e.filename || null,
+                    line:   e.lineno   || null,
+                    column: e.colno    || null
+                },
+                stack:      stack,
+                frames:     stack ? parseStack(stack) : [{
+                    'function': null,
+                    file:       e.filename || null,
+                    line:       e.lineno   || null,
+                    column:     e.colno    || null,
+                    inApp:      isInApp(e.filename)
+                }],
                 timeStamp:  e.timeStamp,
+                savedAt:    new Date().getTime(),
                 type:       e.type
             }
         }
+        // promises can be rejected with anything, so the reason has to be
+        // made sense of before we can report it like any other error
+        else if (e && e.type == 'unhandledrejection' && 'reason' in e) {
+            reason = describeReason(e.reason)
+            e = {
+                pageInfo:   pageInfo,
+                message:    reason.message,
+                stack:      reason.stack,
+                frames:     reason.frames,
+                reason:     reason.reason,
+                timeStamp:  e.timeStamp,
+                savedAt:    new Date().getTime(),
+                type:       e.type
+            }
+        }
+        // elements that fail to load are just the element and the URL; we
+        // don't get told why
+        else if (isResourceError(e)) {
+            e = {
+                pageInfo:   pageInfo,
+                message:    'Failed to load <' +
+                            e.target.tagName.toLowerCase() + '> ' +
+                            resourceUrl(e.target),
+                tagName:    e.target.tagName.toLowerCase(),
+                url:        resourceUrl(e.target),
+                frames:     [],
+                timeStamp:  e.timeStamp,
+                savedAt:    new Date().getTime(),
+                type:       'resourceerror'
+            }
+        }
+        // failed requests aren't errors in the page's code at all, so they
+        // have nothing but a description of the request to go on
+        else if (e instanceof RequestError) {
+            e = {
+                pageInfo:   pageInfo,
+                message:    e.request.method + ' ' +
+                            scrubQuery(e.request.url) + ' failed ' +
+                            (e.request.status ?
+                             'with status ' + e.request.status :
+                             'without a response'),
+                method:     e.request.method,
+                url:        scrubQuery(e.request.url),
+                status:     e.request.status,
+                duration:   e.request.duration,
+                frames:     [],
+                timeStamp:  new Date().getTime(),
+                savedAt:    new Date().getTime(),
+                type:       'httperror'
+            }
+        }
+        // errors forwarded from a worker or a frame were broken down there
+        // already, so all they need is to say where they came from (the
+        // worker or frame they happened in, if they were passed on by
+        // another) and which page they ended up on
+        else if (e instanceof ForwardedError) {
+            forwarded = e
+            e         = {}
+            each(forwarded.error,  function(value, key) { e[key] = value })
+            each(forwarded.origin, function(value, key) {
+                if (e[key] === undefined) e[key] = value
+            })
+            e.pageInfo = pageInfo
+        }
         // TypeError (and general Error) have some additional magic of their
         // own that we need to pull apart.
-        // TODO: parse the stack message to fill out filename/line number/etc.
         else if (e instanceof TypeError || e instanceof Error) {
             e = {
                 pageInfo:  pageInfo,
                 message:   e.message,
                 stack:     e.stack,
-                timeStamp: new Date().getTime()
+                frames:    parseStack(e.stack),
+                timeStamp: new Date().getTime(),
+                savedAt:   new Date().getTime(),
+                type:      'exception'
             }
         }
+        // anything else that was thrown (or saved) is described as well as
+        // we can, the same way as the reason for a rejected promise
+        else {
+            reason = describeReason(e)
+            e = {
+                pageInfo:  pageInfo,
+                message:   reason.message,
+                stack:     reason.stack,
+                frames:    reason.frames,
+                data:      reason.reason,
+                timeStamp: new Date().getTime(),
+                savedAt:   new Date().getTime(),
+                type:      'custom'
+            }
+        }
+
+        // third-party scripts and browser quirks are nothing we can fix
+        filtered = filterError(e)
+        if (filtered) {
+            countDropped(filtered)
+            return
+        }
+
+        // our broken-down version can say what led up to the error, too
+        // (where it happened, for those forwarded from a worker or a frame),
+        // and what the application said about who and where it was
+        if (!forwarded) e.breadcrumbs = breadcrumbSnapshot()
+        contextSnapshot(e)
+        if (NODE) serverSnapshot(e)
+
+        // anything sensitive has to be taken out before the error is kept
+        // anywhere, and the application gets the last word on it
+        e = processReport(e)
+        if (e === null) {
+            countDropped('beforeSend')
+            return
+        }
+
+        // whatever the callbacks did, what we keep has to be a valid report,
+        // which is counted along with any repeats of it
+        e             = normalizeError(e)
+        e.fingerprint = fingerprint(e)
+        e.count       = 1
+        e.firstSeen   = e.savedAt
+        e.lastSeen    = e.savedAt
+
+        // the environment is described as it was when the error happened,
+        // rather than when it's sent
+        if (!e.environment) {
+            environment = collectEnvironment()
+            if (environment) e.environment = environment
+        }
+
+        repeat = findRepeat(e.fingerprint)
+        if (repeat) {
+            repeat.count++
+            repeat.lastSeen = e.lastSeen
+            persistErrors()
+
+            return repeat
+        }
+
+        if (c('maxErrorsPerPage') && limits.tracked >= c('maxErrorsPerPage')) {
+            countDropped('pageLimit')
+            return
+        }
+        limits.tracked++
 
-        // add the error (or our broken-down version) to the list
+        // add our broken-down version of the error to the list
         this.__INTERNALS__.trackedErrors.push(e)
+        persistErrors()
+        forwardToPages()
+
+        return e
+    })
+
+    /**
+     * @method ErrorTracker.addBreadcrumb
+     * @summary Record something the application did
+     * @desc Leave a breadcrumb of your own, to be sent along with any errors
+     *       that happen after it. It is given a `timestamp` and a `category`
+     *       of `custom` unless it has its own; a string is taken to be the
+     *       `message`.
+     * @arg {(object|string)} breadcrumb - The breadcrumb, with a `message`,
+     *      and optionally a `category`, a `level` and any other `data`
+     * @returns nothing
+     * @example <caption>Recording a step in a checkout flow</caption>
+     * ErrorTracker.addBreadcrumb({
+     *     category: 'checkout',
+     *     message:  'Payment details submitted',
+     *     data:     {items: 3}
+     * })
+     */
+    this.addBreadcrumb = newf(function(breadcrumb) {
+        var copy = {timestamp: new Date().getTime(), category: 'custom'}
+
+        if (typeof breadcrumb == 'string' || breadcrumb instanceof String) {
+            breadcrumb = {message: String(breadcrumb)}
+        }
+        each(breadcrumb, function(value, key) { copy[key] = value })
+
+        recordBreadcrumb(copy)
+    })
+
+    /**
+     * @method ErrorTracker.breadcrumbs
+     * @summary Get the current list of breadcrumbs
+     * @desc Like {@link ErrorTracker.trackedErrors}, this returns a copy of
+     *       the breadcrumbs that would be attached to an error tracked right
+     *       now, oldest first.
+     * @returns {Array} The list of breadcrumbs
+     * @example <caption>Printing out all breadcrumbs</caption>
+     * ErrorTracker.addBreadcrumb('Started the tour')
+     * var breadcrumbs = ErrorTracker.breadcrumbs()
+     * while (breadcrumbs.length) console.log(breadcrumbs.shift().message)
+     * // => "Started the tour"
+     */
+    this.breadcrumbs = newf(function() {
+        return breadcrumbSnapshot()
+    })
+
+    /**
+     * @method ErrorTracker.droppedErrors
+     * @summary Count the errors that were not tracked
+     * @desc Returns how many errors have been dropped on this page instead
+     *       of being tracked: `sampled` when the page was left out by the
+     *       `sampleRate`, `ignoreErrors`, `denyUrls` or `allowUrls` when that
+     *       setting filtered them out, `pageLimit` once `maxErrorsPerPage`
+     *       different errors had been tracked, and `beforeSend` when a
+     *       callback said so.
+     * @returns {object} The counts of dropped errors, by reason
+     * @example <caption>Checking whether the limit was reached</caption>
+     * ErrorTracker.configure({maxErrorsPerPage: 1})
+     * ErrorTracker.saveError(Error('First'))
+     * ErrorTracker.saveError(Error('Second'))
+     * console.log(ErrorTracker.droppedErrors().pageLimit)
+     * // => 1
+     */
+    this.droppedErrors = newf(function() {
+        var counts = {
+            sampled:      0,
+            ignoreErrors: 0,
+            denyUrls:     0,
+            allowUrls:    0,
+            beforeSend:   0,
+            pageLimit:    0
+        }
+
+        each(this.__INTERNALS__.limits.dropped, function(count, reason) {
+            counts[reason] = count
+        })
+
+        return counts
+    })
+
+    /**
+     * @method ErrorTracker.setUser
+     * @summary Say who is using the application
+     * @desc Every error tracked from now on is reported with a copy of the
+     *       given `user`. What it holds is up to you, but an `id`, and an
+     *       `email` or `username`, are usually most helpful. It isn't run
+     *       through the `scrubPatterns`, so an `email` is sent as it is.
+     * @arg {?object} user - The user, or `null` to forget the user
+     * @returns nothing
+     * @example <caption>Setting the user after logging in</caption>
+     * ErrorTracker.setUser({id: 42, username: 'jdoe', plan: 'enterprise'})
+     */
+    this.setUser = newf(function(user) {
+        currentScope().user = user || undefined
+    })
+
+    /**
+     * @method ErrorTracker.setTag
+     * @summary Label the errors tracked from now on
+     * @desc Tags are short strings that are easy to search and group errors
+     *       by, such as the tenant, or the variant of a feature flag. Every
+     *       error tracked from now on is reported with all of the tags set.
+     * @arg {string} name - The name of the tag
+     * @arg {?string} value - Its value (which is turned into a string), or
+     *      `null` to remove the tag
+     * @returns nothing
+     * @example <caption>Tagging errors with a feature flag</caption>
+     * ErrorTracker.setTag('checkout-flow', 'b')
+     */
+    this.setTag = newf(function(name, value) {
+        var tags = currentScope().tags
+
+        if (value === null || value === undefined) delete tags[name]
+        else tags[name] = String(value)
+    })
+
+    /**
+     * @method ErrorTracker.setTags
+     * @summary Set several tags at once
+     * @desc Like {@link ErrorTracker.setTag}, for each of the given tags.
+     * @arg {object} tags - The values of the tags, by name
+     * @returns nothing
+     * @example <caption>Tagging errors with the tenant and region</caption>
+     * ErrorTracker.setTags({tenant: 'acme', region: 'eu-west'})
+     */
+    this.setTags = newf(function(tags) {
+        each(tags, newf(function(value, name) {
+            this.setTag(name, value)
+        }))
+    })
+
+    /**
+     * @method ErrorTracker.setContext
+     * @summary Attach structured data to the errors tracked from now on
+     * @desc Contexts are for anything too big or too structured to be a
+     *       tag, such as the state of a form, or the details of the device.
+     *       Every error tracked from now on is reported with a copy of each
+     *       context set, under its name.
+     * @arg {string} name - The name of the context
+     * @arg {?object} context - The context, or `null` to remove it
+     * @returns nothing
+     * @example <caption>Recording the state of the cart</caption>
+     * ErrorTracker.setContext('cart', {items: 3, total: 59.97})
+     */
+    this.setContext = newf(function(name, context) {
+        var contexts = currentScope().contexts
+
+        if (context === null || context === undefined) delete contexts[name]
+        else contexts[name] = context
+    })
+
+    /**
+     * @method ErrorTracker.setRelease
+     * @summary Say which version of the application is running
+     * @desc Every error tracked from now on is reported with the given
+     *       `release`, so that errors can be told apart by the deploy that
+     *       introduced (or fixed) them.
+     * @arg {?string} release - The release, or `null` to forget it
+     * @returns nothing
+     * @example <caption>Setting the release from a build variable</caption>
+     * ErrorTracker.setRelease('shop@2.14.1')
+     */
+    this.setRelease = newf(function(release) {
+        currentScope().release = release ? String(release) : undefined
+    })
+
+    /**
+     * @method ErrorTracker.withScope
+     * @summary Track errors with some context for a while
+     * @desc Calls `fn` with a copy of the current scope in place, so that
+     *       anything it sets with {@link ErrorTracker.setUser} and the like
+     *       only applies while it runs. An error `fn` throws is tracked with
+     *       that scope, and goes no further. Callbacks `fn` leaves to run
+     *       later aren't covered.
+     * @arg {function} fn - The code to run
+     * @returns {*} Whatever `fn` returns
+     * @example <caption>Tracking an error with a one-off tag</caption>
+     * ErrorTracker.withScope(function() {
+     *     ErrorTracker.setTag('job', 'nightly-import')
+     *     runImport()
+     * })
+     */
+    this.withScope = newf(function(fn) {
+        var scopes = (requestContext() || this.__INTERNALS__).scopes
+
+        scopes.push(copyScope(currentScope()))
+        try { return fn() }
+        catch (e) { dispatch('saveError', [e]) }
+        finally { scopes.pop() }
+    })
+
+    /**
+     * @method ErrorTracker.withRequest
+     * @summary Track errors along with the request being handled, in Node.js
+     * @desc Calls `fn` with the request as the one being handled, and with a
+     *       copy of the current user, tags, contexts and release in place,
+     *       like {@link ErrorTracker.withScope}. Unlike that, this follows
+     *       `fn` into everything it goes on to do asynchronously (with
+     *       Node's `AsyncLocalStorage`), so that errors tracked while the
+     *       request is handled are given its `requestInfo` (see {@link
+     *       ErrorTracker~serverSnapshot}), and the context and breadcrumbs
+     *       of one request don't get mixed up with another's. If `fn` throws
+     *       an error, it is tracked, and goes no further. In the browser, this
+     *       is the same as {@link ErrorTracker.withScope}.
+     * @arg {http.IncomingMessage} request - The request
+     * @arg {function} fn - The code that handles it
+     * @returns {*} Whatever `fn` returns
+     * @example <caption>Tracking errors with a plain http server</caption>
+     * http.createServer(function(request, response) {
+     *     ErrorTracker.withRequest(request, function() {
+     *         ErrorTracker.setUser({id: sessionUserId(request)})
+     *         render(request, response)
+     *     })
+     * })
+     */
+    this.withRequest = newf(function(request, fn) {
+        var storage = this.__INTERNALS__.requestStorage
+        var context = {
+            request:     request,
+            scopes:      [copyScope(currentScope())],
+            breadcrumbs: {items: [], next: 0, size: undefined}
+        }
+
+        if (!storage) return dispatch('withScope', [fn])
+
+        return storage.run(context, function() {
+            try { return fn() }
+            catch (e) { dispatch('saveError', [e]) }
+        })
+    })
+
+    /**
+     * @method ErrorTracker.requestHandler
+     * @summary Make middleware that tracks errors along with each request
+     * @desc Returns middleware for Express, Connect and the like, which
+     *       handles the rest of each request with {@link
+     *       ErrorTracker.withRequest}. Use it before any other middleware.
+     * @returns {function} The middleware
+     * @example <caption>Tracking errors in an Express app</caption>
+     * app.use(ErrorTracker.requestHandler())
+     * // ...the rest of the app, then
+     * app.use(ErrorTracker.errorHandler())
+     */
+    this.requestHandler = newf(function() {
+        var tracker = this
+
+        return function(request, response, next) {
+            tracker.withRequest(request, function() { next() })
+        }
+    })
+
+    /**
+     * @method ErrorTracker.errorHandler
+     * @summary Make middleware that tracks the errors passed to it
+     * @desc Express (and Connect, and the like) catch the errors thrown by
+     *       route handlers, and pass them to error-handling middleware, so
+     *       they never become uncaught exceptions. This returns
+     *       error-handling middleware that tracks them, along with the
+     *       request (see {@link ErrorTracker.withRequest}), before passing
+     *       them on to the next error handler. Use it after all the routes.
+     * @returns {function} The middleware
+     */
+    this.errorHandler = newf(function() {
+        var tracker = this
+
+        return function(error, request, response, next) {
+            tracker.withRequest(request, function() {
+                tracker.receiveError(error)
+            })
+            next(error)
+        }
+    })
+
+    /**
+     * @method ErrorTracker.clearContext
+     * @summary Forget the user, tags and contexts
+     * @desc Forget everything set with {@link ErrorTracker.setUser}, {@link
+     *       ErrorTracker.setTag} and {@link ErrorTracker.setContext}, such as
+     *       when the user logs out. The release is kept.
+     * @returns nothing
+     * @example <caption>Clearing the context on logout</caption>
+     * logoutButton.addEventListener('click', function() {
+     *     ErrorTracker.clearContext()
+     * })
+     */
+    this.clearContext = newf(function() {
+        var scope = currentScope()
+
+        scope.user     = undefined
+        scope.tags     = {}
+        scope.contexts = {}
     })
 
     /**
      * @method ErrorTracker.sendErrors
      * @summary Submit currently-tracked errors to the server
      * @desc This method launches a background AJAX request to submit the
-     *       errors that have been tracked so far. What happens at that point
-     *       is out of the hands of this library; the server could take no
-     *       action, or even worse the route could be a bad route. If the
-     *       endpoint is not configured prior to calling this method, it will
-     *       exit prematurely and log an additional error.
+     *       errors that have been tracked so far. Errors that are already on
+     *       their way to the server are not sent again, and no more than
+     *       `maxBatchSize` errors are sent in one request. The errors stay in
+     *       the tracked errors list until the server acknowledges them (see
+     *       {@link ErrorTracker.receiveResponse}), so nothing is lost if the
+     *       request fails. Requests are also limited to `sendRate` a minute,
+     *       in bursts of up to `sendBurst` (see {@link
+     *       ErrorTracker~takeSendToken}); beyond that, the errors are sent
+     *       later instead, in the usual way. If the endpoint is not
+     *       configured prior to calling this method, it will exit prematurely
+     *       and log an additional error.
      * @arg {?function} fn - A callback to use in place of {@link
-     *      ErrorTracker.receiveResponse} - this is not advised.
+     *      ErrorTracker.receiveResponse} - this is not advised, as it is
+     *      then up to the callback to acknowledge or retry the errors. It is
+     *      given the server's response, the list of errors that were sent,
+     *      and the report they were sent in.
      * @returns nothing
      * @example <caption>Submitting the current errors periodically</caption>
      * // send tracked errors to the server every 5 seconds
      * setInterval(function() {
-     *     ErrorTracker.sendErrors()
-     *     ErrorTracker.clearErrors()
+     *     if (ErrorTracker.hasErrors()) ErrorTracker.sendErrors()
      * }, 5000)
      */
     this.sendErrors = newf(function(fn) {
-        var ep   = c('endpoint')
-        var errs = {
-            errorTrackerVersion: this.VERSION,
-            errorReportVersion:  this.REPORT_VERSION,
-            errorsTracked:       this.__INTERNALS__.trackedErrors
-        }
+        var ep       = c('endpoint')
+        var delivery = this.__INTERNALS__.delivery
+        var batch    = []
+        var report, wait
 
         if (fn === undefined) {
-            fn = function(data) { dispatch('receiveResponse', [data]) }
+            fn = function(data, errors, report) {
+                dispatch('receiveResponse', [data, errors, report])
+            }
         }
 
         try {
             if (!ep) throw Error('Server API endpoint is required')
-            ajax(errs, ep, fn)
+
+            each(this.__INTERNALS__.trackedErrors, function(e) {
+                if (c('maxBatchSize') && batch.length >= c('maxBatchSize')) {
+                    return
+                }
+                if (delivery.sending.indexOf(e) < 0) batch.push(e)
+            })
+            if (batch.length === 0) return
+
+            wait = takeSendToken()
+            if (wait) {
+                if (!delivery.sendTimer) {
+                    delivery.sendTimer = setTimeout(newf(function() {
+                        delivery.sendTimer = undefined
+                        dispatch('sendErrors')
+                    }), wait)
+                    if (NODE && delivery.sendTimer.unref) {
+                        delivery.sendTimer.unref()
+                    }
+                }
+                return
+            }
+
+            report = buildReport(batch)
+            delivery.sending = delivery.sending.concat(batch)
+            ajax(report, ep, function(data) {
+                settleSending(batch)
+                fn(data, batch, report)
+            })
         }
         catch (e) { dispatch('saveError', [e]) }
     })
@@ -843,128 +5903,94 @@
      * @summary Parses the response from the server's API endpoint
      * @desc This method will be called automatically by the {@link
      *       ErrorTracker~ajax} method when it returns. You should not need to
-     *       call it directly. It handles verification that response was
-     *       valid, and, if requested, clears the error objects that were
-     *       reported (to avoid duplicates)
+     *       call it directly. The server acknowledges the errors it was sent
+     *       by responding with `{"state": "success"}`; they are then removed
+     *       from the tracked errors list (and from storage), so that they
+     *       won't be sent again. Any other response means the errors were
+     *       not received, and sending them is retried later (see {@link
+     *       ErrorTracker~scheduleRetry}). Once acknowledged, the summary of
+     *       dropped errors sent along with them isn't sent again, either.
      * @arg {object} data - The server's response
-     * @returns {bool}
-     * @todo Actually do the things the description says it does. Currently
-     *       it's a wonderful dream.
+     * @arg {Array} [errors] - The errors that were sent to the server
+     * @arg {object} [report] - The report they were sent in
+     * @returns {boolean} Whether the server acknowledged the errors
      */
-    this.receiveResponse = newf(function(data) { })
+    this.receiveResponse = newf(function(data, errors, report) {
+        var delivery = this.__INTERNALS__.delivery
+        var trackedErrors
+
+        if (!data || data.state != 'success') {
+            scheduleRetry()
+            return false
+        }
+
+        if (report) acknowledgeDropped(report.droppedErrors)
+
+        trackedErrors = []
+        each(this.__INTERNALS__.trackedErrors, function(e) {
+            if (!errors || errors.indexOf(e) < 0) trackedErrors.push(e)
+        })
+        this.__INTERNALS__.trackedErrors = trackedErrors
+        persistErrors()
+
+        // anything left over (because it was tracked while we were busy, or
+        // didn't fit in the batch) is sent along in the usual way
+        delivery.attempts = 0
+        if (trackedErrors.length > delivery.sending.length &&
+            c('autoSendErrors')) {
+            scheduleSend()
+        }
+
+        return true
+    })
 
     /**
      * @method ErrorTracker.displayWindow
      * @summary Show a window indicating that untrapped errors have occurred.
      * @desc Show a dialog box to the user indicating that untrapped errors
      *       have occured. The user can then take an action to deal with them;
-     *       either they can ignore the errors, or submit them to the server.
-     *       The dialog box has basic styling `which` can be overridden (see
-     *       the {@link ErrorTracker.configure} method).
+     *       either they can ignore the errors, or submit them to the server
+     *       (if there is an `endpoint` to submit them to). If the
+     *       `feedbackForm` configuration setting is on, the user is also
+     *       asked what they were doing, and how to get in touch with them,
+     *       and what they say is sent along with the errors. See {@link
+     *       ErrorTracker~openDialog} for how the dialog works, and how it can
+     *       be styled.
      * @returns nothing
-     * @todo Do not display "submit" button unless `endpoint` has been
-     *       configured - the users can't submit to a non-existent endpoint
      * @example <caption>Create the dialog window</caption>
      * ErrorTracker.displayWindow()
      */
     this.displayWindow = newf(function() {
-        // make sure there's at least one <body> element - if not, there's
-        // nothing for us to do
-        var bodies = document.getElementsByTagName('body')
-        if (!bodies || bodies.length === 0) return
-        var send, dismiss
-
-        var getID = newf(function(prefix) {
-            var id = c(prefix + 'ID')
-            if (!id) id = this.PACKAGE + '_' + prefix
-            return id
-        })
-
-        // if the window already exists on the page, then we don't need to do
-        // anything
-        if (document.getElementById(getID('errorBox'))) return
-
-        var newElem = function(prefix, elem, contents, attributes) {
-            var domClass = c(prefix + 'Class')
-            var style    = c(prefix + 'Style')
-            var element  = document.createElement(elem)
-
-            element.setAttribute('id', getID(prefix))
-            if (domClass) element.setAttribute('class', domClass)
-            if (style)    element.setAttribute('style', style)
-
-            if (attributes) {
-                for (var attribute in attributes) {
-                    element.setAttribute(attribute, attributes[attribute])
-                }
-            }
-
-            if (contents instanceof Array) {
-                for (var index = 0; index < contents.length; index++) {
-                    element.appendChild(contents[index])
-                }
-            }
-            else if (contents instanceof HTMLElement) {
-                element.appendChild(contents)
-            }
-            else if (typeof contents === 'string' ||
-                     contents instanceof String) {
-                element.innerText = contents
-            }
+        openDialog(false)
+    })
 
-            return element
+    /**
+     * @method ErrorTracker.collectFeedback
+     * @summary Ask the user what went wrong
+     * @desc Opens the same dialog as {@link ErrorTracker.displayWindow}, with
+     *       its feedback form, whenever the application wants to - from a
+     *       "Report a problem" link, say - rather than when an error happens.
+     *       What the user says is sent to the server along with any errors
+     *       that have been tracked, or on its own, if there aren't any (see
+     *       {@link ErrorTracker~saveFeedback}). The dialog's title, message
+     *       and buttons come from the `feedback*Text` configuration settings
+     *       (or their translations; see {@link ErrorTracker~message}).
+     *       If the `endpoint` is not configured, there is nowhere to send
+     *       feedback, so the dialog isn't opened, and an error is tracked
+     *       instead. Nor is it opened if the dialog is already open.
+     * @returns nothing
+     * @example <caption>A "Report a problem" link</caption>
+     * document.getElementById('report-a-problem').onclick = function() {
+     *     ErrorTracker.collectFeedback()
+     *     return false
+     * }
+     */
+    this.collectFeedback = newf(function() {
+        try {
+            if (!c('endpoint')) throw Error('Server API endpoint is required')
+            openDialog(true)
         }
-
-        bodies[0].appendChild(
-            newElem('errorBox', 'div', [
-                // title bar
-                newElem('errorTitle', 'div', c('errorTitleText')),
-
-                // error message
-                newElem('errorMessage', 'div',
-                        'This website has encountered scripting errors, ' +
-                        'would you like to report them to the ' +
-                        'administrators?'),
-
-                // action buttons
-                newElem('errorTray', 'div', [
-                    newElem('errorSend',  'div', 'Submit Errors'),
-                    newElem('errorClose', 'div', 'Dismiss')
-                ]),
-
-                // option for the user to dismiss the alert boxes permanently
-                newElem('errorNoMoreCheckLabel', 'label',
-                        'Ignore future errors', {
-                            'for': getID('errorNoMoreCheck')
-                        }),
-                newElem('errorNoMoreCheck', 'input', undefined,
-                        {type: 'checkbox'})
-            ])
-        )
-
-        send    = document.getElementById(getID('errorSend'))
-        dismiss = document.getElementById(getID('errorClose'))
-
-        send.addEventListener('click', newf(function() {
-            var check = document.getElementById(getID('errorNoMoreCheck'))
-            if (check.checked) {
-                dispatch('setConfigurationValue',
-                         ['autoDisplayWindow', false])
-            }
-
-            dispatch('sendErrors')
-            dispatch('dismissWindow')
-        }))
-
-        dismiss.addEventListener('click', newf(function() {
-            var check = document.getElementById(getID('errorNoMoreCheck'))
-            if (check.checked) {
-                dispatch('setConfigurationValue',
-                         ['autoDisplayWindow', false])
-            }
-
-            dispatch('dismissWindow')
-        }))
+        catch (e) { dispatch('saveError', [e]) }
     })
 
     /**
@@ -974,8 +6000,10 @@
      *       not, itself, send errors to the user or modify the seconds. These
      *       are entirely built into the events that happen when the user
      *       clicks on buttons. Calling this method merely closes the window
-     *       if it's open. If it is not open, then nothing happens. It is not
-     *       considered an error to call this method repeatedly.
+     *       if it's open, and gives the keyboard's focus back to whatever had
+     *       it before the window was opened. If it is not open, then nothing
+     *       happens. It is not considered an error to call this method
+     *       repeatedly.
      * @returns nothing
      * @example <caption>Closing the user alert window</caption>
      * ErrorTracker.dismissWindow()
@@ -984,24 +6012,74 @@
         var id = c('errorBoxID')
         if (!id) id = this.PACKAGE + '_errorBox'
 
-        var errorBox = document.getElementById(id)
+        var errorBox = NODE || WORKER ? null : document.getElementById(id)
         if (!errorBox) return
 
+        var previous = errorBox.__ErrorTracker__
         errorBox.parentNode.removeChild(errorBox)
+
+        if (previous && typeof previous.focus == 'function') previous.focus()
     })
 
     /**
      * @method ErrorTracker.registerReceiver
      * @summary Register the function that catches untrapped errors
      * @desc After calling this method, ErrorTracker will be logging any
-     *       otherwise-untrapped errors that occur in your script. To disable
-     *       it again, call {@link ErrorTracker.unregisterReceiver}.
+     *       otherwise-untrapped errors that occur in your script, as well as
+     *       unhandled promise rejections, failed resources (if asked), and
+     *       clicks and navigation as breadcrumbs. Waiting errors are sent when
+     *       the browser comes back online, and as the page is unloaded. A
+     *       page listens for its frames (see {@link
+     *       ErrorTracker~receiveFrame}), a worker for the pages that want its
+     *       errors (see {@link ErrorTracker~receiveWatcher}), and Node.js to
+     *       the `process` (see {@link ErrorTracker~PROCESS_HOOKS}); there,
+     *       this is called by the first {@link ErrorTracker.configure}, not
+     *       on load. To disable it again, call {@link
+     *       ErrorTracker.unregisterReceiver}.
      * @returns nothing
      * @example <caption>Enable error tracking</caption>
      * ErrorTracker.registerReceiver()
      */
     this.registerReceiver = newf(function() {
-        window.addEventListener('error', this.receiveError, false)
+        this.__INTERNALS__.started = true
+
+        if (NODE) {
+            instrument.all()
+            if (shared.receivers.indexOf(PROCESS_RECEIVER) < 0) {
+                shared.receivers.push(PROCESS_RECEIVER)
+            }
+            if (shared.processHooks) return
+
+            shared.processHooks = true
+            each(PROCESS_HOOKS, function(hook, event) {
+                process.on(event, hook)
+            })
+            return
+        }
+
+        GLOBAL.addEventListener('error',    this.receiveError, false)
+        GLOBAL.addEventListener('online',   flushErrors,       false)
+        GLOBAL.addEventListener('unhandledrejection', receiveRejection, false)
+        GLOBAL.addEventListener('rejectionhandled',   retractRejection, false)
+
+        if (WORKER) {
+            if (WORKER_TYPE == 'shared') {
+                GLOBAL.addEventListener('connect', receiveConnection, false)
+            }
+            else {
+                GLOBAL.addEventListener('message', receiveWatcher, false)
+            }
+            return
+        }
+
+        GLOBAL.addEventListener('pagehide', sendOnUnload,      false)
+        GLOBAL.addEventListener('message',  receiveFrame,      false)
+        GLOBAL.addEventListener('message',  receiveParent,     false)
+        GLOBAL.addEventListener('error', receiveResourceError, true)
+        GLOBAL.addEventListener('popstate',   recordNavigation, false)
+        GLOBAL.addEventListener('hashchange', recordNavigation, false)
+        document.addEventListener('click', recordClick, true)
+        document.addEventListener('visibilitychange', sendOnUnload, false)
     })
 
     /**
@@ -1015,7 +6093,76 @@
      * ErrorTracker.unregisterReceiver()
      */
     this.unregisterReceiver = newf(function() {
-        window.removeEventListener('error', this.receiveError, false)
+        var index
+
+        if (NODE) {
+            index = shared.receivers.indexOf(PROCESS_RECEIVER)
+            if (index >= 0) shared.receivers.splice(index, 1)
+            if (shared.receivers.length || !shared.processHooks) return
+
+            shared.processHooks = false
+            each(PROCESS_HOOKS, function(hook, event) {
+                process.removeListener(event, hook)
+            })
+            return
+        }
+
+        GLOBAL.removeEventListener('error',    this.receiveError, false)
+        GLOBAL.removeEventListener('online',   flushErrors,       false)
+        GLOBAL.removeEventListener('unhandledrejection', receiveRejection,
+                                   false)
+        GLOBAL.removeEventListener('rejectionhandled',   retractRejection,
+                                   false)
+
+        if (WORKER) {
+            GLOBAL.removeEventListener('connect', receiveConnection, false)
+            GLOBAL.removeEventListener('message', receiveWatcher,    false)
+            return
+        }
+
+        GLOBAL.removeEventListener('pagehide', sendOnUnload,      false)
+        GLOBAL.removeEventListener('message',  receiveFrame,      false)
+        GLOBAL.removeEventListener('message',  receiveParent,     false)
+        GLOBAL.removeEventListener('error', receiveResourceError, true)
+        GLOBAL.removeEventListener('popstate',   recordNavigation, false)
+        GLOBAL.removeEventListener('hashchange', recordNavigation, false)
+        document.removeEventListener('click', recordClick, true)
+        document.removeEventListener('visibilitychange', sendOnUnload, false)
+    })
+
+    /**
+     * @method ErrorTracker.watchWorker
+     * @summary Track the errors of a worker the page started
+     * @desc Errors in a worker never reach the page's `window`, so a worker
+     *       that loads ErrorTracker as well (with `importScripts()`, say)
+     *       tracks them itself, and forwards them to each page that watches
+     *       it, through a `MessageChannel` of their own (unless its
+     *       `forwardErrors` setting is off, as it is to begin with in service
+     *       workers). Here, they're tracked with the worker's `type` and
+     *       script `url` as their `workerInfo`. Watching a worker more than
+     *       once changes nothing.
+     * @arg {(Worker|SharedWorker|ServiceWorker)} worker - The worker
+     * @returns {boolean} Whether the worker is being watched
+     * @example <caption>Tracking a worker's errors on the page</caption>
+     * // worker.js starts with importScripts('/js/ErrorTracker.js')
+     * var worker = new Worker('/js/worker.js')
+     * ErrorTracker.watchWorker(worker)
+     */
+    this.watchWorker = newf(function(worker) {
+        var workers = this.__INTERNALS__.delivery.workers
+        var target  = worker && worker.port ? worker.port : worker
+        var channel
+
+        if (NODE)                                               return false
+        if (!target || typeof target.postMessage != 'function') return false
+        if (workers.indexOf(worker) >= 0)                       return true
+
+        channel = new MessageChannel()
+        channel.port1.onmessage = receiveWorkerMessage
+        target.postMessage({errorTracker: 'watch'}, [channel.port2])
+        workers.push(worker)
+
+        return true
     })
 
     /**
@@ -1073,7 +6220,8 @@
      * @summary Remove all currently tracked errors
      * @desc This method destroys the list of currently tracked errors,
      *       irrevocably. It doesn't move them into a queue of all errors
-     *       tracked forever; they're just gone.
+     *       tracked forever; they're just gone, including from the configured
+     *       `storage` backend, if there is one.
      * @returns nothing
      * @example <caption>Clear out all errors</caption>
      * ErrorTracker.saveError(Error('Here is an error that will vanish'))
@@ -1082,7 +6230,10 @@
      * // => []
      */
     this.clearErrors = newf(function() {
-        initialize.trackedErrors()
+        // we don't reinitialize the list, as that would restore the very
+        // errors we're trying to get rid of from storage
+        this.__INTERNALS__.trackedErrors = []
+        persistErrors()
     })
 
     /**
@@ -1108,4 +6259,4 @@
 
     // initialize the ErrorTracker for use.
     initialize.all()
-}).apply(ErrorTracker = {})
+})
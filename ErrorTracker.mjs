@@ -0,0 +1,20 @@
+/**
+ * @file The ES module entry point for ErrorTracker: `import ErrorTracker
+ *       from 'ErrorTracker'` gets the same tracker that `require()` would,
+ *       and {@link ErrorTracker.createTracker} can be imported on its own.
+ *       Bundlers and Node.js pick this file when ErrorTracker is imported
+ *       rather than required; in a browser without either, load
+ *       `ErrorTracker.js` with a `<script>` tag instead.
+ * @copyright Stephen Belcher 2013
+ * @license MIT
+ * @example <caption>Importing ErrorTracker</caption>
+ * import ErrorTracker, {createTracker} from 'ErrorTracker'
+ *
+ * ErrorTracker.configure({endpoint: '/api/report-js-errors'})
+ * var widget = createTracker({endpoint: '/widget/api/js-errors'})
+ */
+import ErrorTracker from './ErrorTracker.js'
+
+export var createTracker = ErrorTracker.createTracker
+
+export default ErrorTracker
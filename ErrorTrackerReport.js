@@ -0,0 +1,394 @@
+/**
+ * @namespace ErrorTrackerReport
+ * @desc Check the reports that ErrorTracker sends to the server against the
+ *       published report formats (see the `schema` directory), and bring
+ *       reports in older formats up to date. This has no dependencies, and
+ *       works the same in the browser (as the `ErrorTrackerReport` global,
+ *       or an AMD module) and on the server (as a CommonJS module), so that
+ *       both ends agree on what a valid report is.
+ * @summary Validate and upgrade ErrorTracker reports
+ * @version 0.1.0
+ * @copyright Stephen Belcher 2013
+ * @license MIT
+ * @example <caption>Checking a report on the server</caption>
+ * var ErrorTrackerReport = require('ErrorTracker/ErrorTrackerReport')
+ *
+ * app.post('/api/report-js-errors', function(req, res) {
+ *     var result = ErrorTrackerReport.validate(req.body)
+ *     if (!result.valid) {
+ *         return res.json({state: 'failure', reason: result.errors[0]})
+ *     }
+ *
+ *     store(ErrorTrackerReport.upgrade(req.body).errorsTracked)
+ *     res.json({state: 'success'})
+ * })
+ */
+(function(root, build) {
+    var ErrorTrackerReport = {}
+    build.apply(ErrorTrackerReport)
+
+    // load as an AMD or CommonJS module where there's a loader for one, and
+    // as the ErrorTrackerReport global otherwise (without relying on the
+    // script running outside of strict mode)
+    if (typeof define == 'function' && define.amd) {
+        define(function() { return ErrorTrackerReport })
+    }
+    else if (typeof module == 'object' && module.exports) {
+        module.exports = ErrorTrackerReport
+    }
+    else {
+        root.ErrorTrackerReport = ErrorTrackerReport
+    }
+})(typeof self == 'object' ? self : this, function(undefined) {
+    /**
+     * @constant ErrorTrackerReport.VERSIONS
+     * @summary The versions of the report format that can be checked
+     */
+    var VERSIONS        = this.VERSIONS = [1, 2]
+
+    /**
+     * @constant ErrorTrackerReport.LATEST_VERSION
+     * @summary The version of the report format that reports are upgraded to
+     */
+    this.LATEST_VERSION = 2
+
+    /**
+     * @method ErrorTrackerReport~typeOf
+     * @summary Name the JSON type of a value
+     * @desc Like `typeof`, but tells arrays, `null` and integers apart, in the
+     *       same terms as JSON Schema.
+     * @arg {*} value - The value
+     * @returns {string} The type: `null`, `array`, `integer`, `number`,
+     *          `string`, `boolean`, `object` or `undefined`
+     */
+    var typeOf = function(value) {
+        if (value === null) return 'null'
+        if (Object.prototype.toString.call(value) == '[object Array]') {
+            return 'array'
+        }
+        if (typeof value == 'number' && value % 1 === 0) return 'integer'
+        return typeof value
+    }
+
+    /**
+     * @method ErrorTrackerReport~check
+     * @summary Check the type of one value in a report
+     * @desc Adds a problem to the list if the value isn't one of the given
+     *       types. As in JSON Schema, an integer counts as a number.
+     * @arg {Array} problems - The list of problems found so far
+     * @arg {string} path - Where the value is in the report
+     * @arg {*} value - The value
+     * @arg {Array} types - The types it may be
+     * @returns {boolean} True if the value is one of the types
+     */
+    var check = function(problems, path, value, types) {
+        var type = typeOf(value)
+
+        if (types.indexOf(type) >= 0) return true
+        if (type == 'integer' && types.indexOf('number') >= 0) return true
+
+        problems.push(path + ' should be ' + types.join(' or ') + ', not ' +
+                      type)
+        return false
+    }
+
+    /**
+     * @method ErrorTrackerReport~checkPlace
+     * @summary Check a stack frame, or the location of an error
+     * @arg {Array} problems - The list of problems found so far
+     * @arg {string} path - Where the frame is in the report
+     * @arg {object} place - The frame or location
+     * @arg {boolean} frame - True if this is a stack frame, rather than a
+     *      location
+     * @returns nothing
+     */
+    var checkPlace = function(problems, path, place, frame) {
+        if (!check(problems, path, place, ['object'])) return
+
+        if (frame) {
+            check(problems, path + '.function', place['function'],
+                  ['string', 'null'])
+        }
+        check(problems, path + '.file',   place.file,   ['string', 'null'])
+        check(problems, path + '.line',   place.line,   ['number', 'null'])
+        check(problems, path + '.column', place.column, ['number', 'null'])
+        if (frame) check(problems, path + '.inApp', place.inApp, ['boolean'])
+    }
+
+    /**
+     * @method ErrorTrackerReport~checkError
+     * @summary Check one tracked error against version 2 of the format
+     * @desc Follows `definitions/error` in `schema/report-v2.json`.
+     * @arg {Array} problems - The list of problems found so far
+     * @arg {string} path - Where the error is in the report
+     * @arg {object} e - The tracked error
+     * @returns nothing
+     */
+    var checkError = function(problems, path, e) {
+        var optional = {
+            tagName:     ['string'],
+            url:         ['string'],
+            method:      ['string'],
+            status:      ['integer'],
+            duration:    ['number', 'null'],
+            user:        ['object'],
+            tags:        ['object'],
+            contexts:    ['object'],
+            release:     ['string'],
+            environment: ['object'],
+            processInfo: ['object'],
+            requestInfo: ['object'],
+            workerInfo:  ['object'],
+            frameInfo:   ['object'],
+            feedback:    ['object']
+        }
+        var key, index
+
+        if (!check(problems, path, e, ['object'])) return
+
+        check(problems, path + '.type',      e.type,      ['string'])
+        check(problems, path + '.message',   e.message,   ['string'])
+        check(problems, path + '.stack',     e.stack,     ['string', 'null'])
+        check(problems, path + '.pageInfo',  e.pageInfo,  ['object', 'null'])
+        check(problems, path + '.timeStamp', e.timeStamp, ['number', 'null'])
+        check(problems, path + '.savedAt',   e.savedAt,   ['number'])
+        check(problems, path + '.fingerprint', e.fingerprint,
+              ['string', 'null'])
+        if (check(problems, path + '.count', e.count, ['integer']) &&
+            e.count < 1) {
+            problems.push(path + '.count should be at least 1')
+        }
+        check(problems, path + '.firstSeen', e.firstSeen, ['number'])
+        check(problems, path + '.lastSeen',  e.lastSeen,  ['number'])
+
+        if (e.location !== null) {
+            checkPlace(problems, path + '.location', e.location, false)
+        }
+        if (check(problems, path + '.frames', e.frames, ['array'])) {
+            for (index = 0; index < e.frames.length; index++) {
+                checkPlace(problems, path + '.frames[' + index + ']',
+                           e.frames[index], true)
+            }
+        }
+        if (check(problems, path + '.breadcrumbs', e.breadcrumbs, ['array'])) {
+            for (index = 0; index < e.breadcrumbs.length; index++) {
+                check(problems, path + '.breadcrumbs[' + index + ']',
+                      e.breadcrumbs[index], ['object'])
+            }
+        }
+
+        for (key in optional) {
+            if (e[key] !== undefined) {
+                check(problems, path + '.' + key, e[key], optional[key])
+            }
+        }
+        if (typeOf(e.tags) == 'object') {
+            for (key in e.tags) {
+                check(problems, path + '.tags.' + key, e.tags[key], ['string'])
+            }
+        }
+    }
+
+    /**
+     * @method ErrorTrackerReport.validate
+     * @summary Check a report against its version of the format
+     * @desc Checks the envelope of the report, and, for version 2, every
+     *       tracked error in it, following `schema/report-v1.json` or
+     *       `schema/report-v2.json` (whichever the report's
+     *       `errorReportVersion` names). Version 1 didn't say what a tracked
+     *       error looks like, so only the envelope of those is checked.
+     * @arg {object} report - The report, as parsed from JSON
+     * @returns {object} Whether the report is `valid`, and a list of the
+     *          `errors` found in it, if not
+     * @example <caption>Checking a report</caption>
+     * var result = ErrorTrackerReport.validate({
+     *     errorTrackerVersion: '0.1.0',
+     *     errorReportVersion:  2,
+     *     errorsTracked:       [{message: 'Oops'}]
+     * })
+     * console.log(result.valid, result.errors[0])
+     * // => false "errorsTracked[0].type should be string, not undefined"
+     */
+    this.validate = function(report) {
+        var problems = []
+        var version, index, reason
+
+        if (check(problems, 'report', report, ['object'])) {
+            version = report.errorReportVersion
+
+            check(problems, 'errorTrackerVersion', report.errorTrackerVersion,
+                  ['string'])
+            if (VERSIONS.indexOf(version) < 0) {
+                problems.push('errorReportVersion should be one of ' +
+                              VERSIONS.join(', '))
+            }
+
+            if (report.environment !== undefined) {
+                check(problems, 'environment', report.environment, ['object'])
+            }
+            if (report.droppedErrors !== undefined &&
+                check(problems, 'droppedErrors', report.droppedErrors,
+                      ['object'])) {
+                for (reason in report.droppedErrors) {
+                    check(problems, 'droppedErrors.' + reason,
+                          report.droppedErrors[reason], ['integer'])
+                }
+            }
+
+            if (check(problems, 'errorsTracked', report.errorsTracked,
+                      ['array']) && version === 2) {
+                for (index = 0; index < report.errorsTracked.length; index++) {
+                    checkError(problems, 'errorsTracked[' + index + ']',
+                               report.errorsTracked[index])
+                }
+            }
+        }
+
+        return {valid: problems.length === 0, errors: problems}
+    }
+
+    /**
+     * @method ErrorTrackerReport~upgradeError
+     * @summary Bring a tracked error from version 1 up to version 2
+     * @desc Fills in whatever version 2 asks for that the error doesn't
+     *       have, the same way ErrorTracker does for the errors it tracks:
+     *       errors reported by the browser have their `filename`, `lineno`
+     *       and `colno` moved into a `location`, errors saved by the
+     *       application are given a `type` of `exception`, and anything
+     *       else (anything other than an object, or an object with no
+     *       `message`, `stack` or `frames`) is described as an error with a
+     *       `type` of `custom`, with the thing itself as its `data`.
+     * @arg {*} e - The tracked error
+     * @arg {number} receivedAt - The time to use for an error that doesn't
+     *      say when it was saved
+     * @returns {object} The error, in version 2 of the format
+     */
+    var upgradeError = function(e, receivedAt) {
+        var orNull = function(value, type) {
+            return typeOf(value) == type ||
+                   (type == 'number' && typeOf(value) == 'integer') ?
+                   value : null
+        }
+        var upgraded = {}
+        var frames   = []
+        var key, list, index, frame
+
+        // version 1 sent anything that wasn't an error as it was saved
+        if (typeOf(e) != 'object' || (e.message === undefined &&
+                                      e.stack   === undefined &&
+                                      e.frames  === undefined)) {
+            e = {
+                type:    'custom',
+                message: typeof e == 'string' ? e : JSON.stringify(e),
+                data:    e
+            }
+        }
+
+        for (key in e) {
+            if (key != 'filename' && key != 'lineno' && key != 'colno') {
+                upgraded[key] = e[key]
+            }
+        }
+
+        list = typeOf(e.frames) == 'array' ? e.frames : []
+        for (index = 0; index < list.length; index++) {
+            frame = list[index]
+            if (typeOf(frame) != 'object') continue
+
+            frames.push({
+                'function': orNull(frame['function'], 'string'),
+                file:       orNull(frame.file,   'string'),
+                line:       orNull(frame.line,   'number'),
+                column:     orNull(frame.column, 'number'),
+                inApp:      !!frame.inApp
+            })
+        }
+
+        upgraded.type        = orNull(e.type, 'string') || 'exception'
+        upgraded.message     = e.message === undefined || e.message === null ?
+                               '' : String(e.message)
+        upgraded.stack       = orNull(e.stack, 'string')
+        upgraded.frames      = frames
+        upgraded.location    = e.filename !== undefined ? {
+            file:   e.filename || null,
+            line:   e.lineno   || null,
+            column: e.colno    || null
+        } : frames.length ? {
+            file:   frames[0].file,
+            line:   frames[0].line,
+            column: frames[0].column
+        } : null
+        upgraded.pageInfo    = orNull(e.pageInfo,    'object')
+        upgraded.timeStamp   = orNull(e.timeStamp,   'number')
+        upgraded.savedAt     = orNull(e.savedAt,     'number') || receivedAt
+        upgraded.fingerprint = orNull(e.fingerprint, 'string')
+        upgraded.count       = e.count >= 1 ? Math.floor(e.count) : 1
+        upgraded.firstSeen   = orNull(e.firstSeen, 'number') ||
+                               upgraded.savedAt
+        upgraded.lastSeen    = orNull(e.lastSeen,  'number') ||
+                               upgraded.firstSeen
+        upgraded.breadcrumbs = typeOf(e.breadcrumbs) == 'array' ?
+                               e.breadcrumbs : []
+
+        return upgraded
+    }
+
+    /**
+     * @method ErrorTrackerReport.upgrade
+     * @summary Bring a report up to the latest version of the format
+     * @desc Returns a copy of the report in the latest version of the
+     *       format ({@link ErrorTrackerReport.LATEST_VERSION}), so that a
+     *       server only has to understand one version, however old the
+     *       ErrorTracker that sent it. Reports already in the latest version
+     *       are copied as they are.
+     * @arg {object} report - The report, which should be valid for its own
+     *      version (see {@link ErrorTrackerReport.validate})
+     * @arg {number} [receivedAt] - When the report was received, for errors
+     *      that don't say when they happened (now, by default)
+     * @returns {object} The upgraded report
+     * @example <caption>Reading reports of any version the same way</caption>
+     * var report = ErrorTrackerReport.upgrade(JSON.parse(body))
+     * report.errorsTracked.forEach(function(e) {
+     *     console.log(e.type, e.message, e.location && e.location.file)
+     * })
+     */
+    this.upgrade = function(report, receivedAt) {
+        var upgraded = JSON.parse(JSON.stringify(report))
+        var errors   = []
+        var index
+
+        if (receivedAt === undefined) receivedAt = new Date().getTime()
+        if (upgraded.errorReportVersion === 1) {
+            for (index = 0; index < upgraded.errorsTracked.length; index++) {
+                errors.push(upgradeError(upgraded.errorsTracked[index],
+                                         receivedAt))
+            }
+            upgraded.errorsTracked      = errors
+            upgraded.errorReportVersion = 2
+        }
+
+        return upgraded
+    }
+
+    /**
+     * @member {object} ErrorTrackerReport.__INTERNALS__
+     * @summary Exposes the private functions, for testing and extension
+     * @property {function} typeOf       - SEE:
+     *           {@link ErrorTrackerReport~typeOf}
+     * @property {function} check        - SEE:
+     *           {@link ErrorTrackerReport~check}
+     * @property {function} checkPlace   - SEE:
+     *           {@link ErrorTrackerReport~checkPlace}
+     * @property {function} checkError   - SEE:
+     *           {@link ErrorTrackerReport~checkError}
+     * @property {function} upgradeError - SEE:
+     *           {@link ErrorTrackerReport~upgradeError}
+     */
+    this.__INTERNALS__ = {
+        typeOf:       typeOf,
+        check:        check,
+        checkPlace:   checkPlace,
+        checkError:   checkError,
+        upgradeError: upgradeError
+    }
+})
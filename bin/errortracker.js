@@ -0,0 +1,643 @@
+#!/usr/bin/env node
+/**
+ * @namespace ErrorTrackerCLI
+ * @desc The `errortracker` command, for looking through the reports that a
+ *       collector (see {@link ErrorTrackerCollector}) has stored, or any
+ *       other files of reports: one report per line (NDJSON), a single
+ *       report, or a list of them, in files or directories of files. Reports
+ *       in every version of the format are read (see
+ *       {@link ErrorTrackerReport.upgrade}), so old and new reports can be
+ *       looked at together. Run it with `--help` for how to use it.
+ * @summary Query and aggregate stored ErrorTracker reports
+ * @version 0.1.0
+ * @copyright Stephen Belcher 2013
+ * @license MIT
+ * @example <caption>The ten most frequent errors of the last day</caption>
+ * $ errortracker top --since 24h /var/log/js-errors
+ * @example <caption>Every error in one release mentioning "checkout"</caption>
+ * $ errortracker list --release shop@2.14.1 --message checkout --json \
+ *       /var/log/js-errors/errors.ndjson
+ */
+(function(undefined) {
+    var fs                 = require('fs')
+    var path               = require('path')
+    var ErrorTrackerReport = require('../ErrorTrackerReport')
+
+    /**
+     * @constant {string} ErrorTrackerCLI~USAGE
+     * @summary What `--help` prints
+     */
+    var USAGE = [
+        'Usage: errortracker <command> [options] <file or directory>...',
+        '',
+        'Commands:',
+        '  list               every tracked error, most recent first',
+        '  group              errors grouped by fingerprint, with counts,',
+        '                     most recently seen first',
+        '  top                the most frequent errors, by fingerprint',
+        '',
+        'Options:',
+        '  --since <time>     only errors seen at or after this time',
+        '  --until <time>     only errors seen at or before this time',
+        '  --message <regex>  only errors whose message matches',
+        '  --url <text>       only errors whose script, request or page URL',
+        '                     contains the text',
+        '  --release <name>   only errors tracked in this release',
+        '  --type <type>      only errors of this type (error, exception,',
+        '                     custom, ...)',
+        '  --limit <n>        show at most this many (top shows 10 by',
+        '                     default)',
+        '  --json             print JSON instead of a table',
+        '  --help             print this',
+        '',
+        'Times are dates (2024-01-31, 2024-01-31T12:00:00Z) or how long ago',
+        '(30m, 24h, 7d, 2w). Files can hold one report per line, a report or',
+        'a list of them; directories are read for .ndjson, .jsonl and .json',
+        'files.'
+    ].join('\n')
+
+    /**
+     * @constant {object} ErrorTrackerCLI~UNITS
+     * @summary The length, in milliseconds, of the units of relative times
+     */
+    var UNITS = {
+        s: 1000,
+        m: 60 * 1000,
+        h: 60 * 60 * 1000,
+        d: 24 * 60 * 60 * 1000,
+        w: 7 * 24 * 60 * 60 * 1000
+    }
+
+    /**
+     * @method ErrorTrackerCLI~parseTime
+     * @summary Turn a time given on the command line into a timestamp
+     * @arg {string} text - A date, or how long ago (`24h`, say)
+     * @arg {number} now - The current time, for relative times
+     * @returns {number} The time, in milliseconds since the epoch, or `NaN`
+     *          if it couldn't be read
+     */
+    var parseTime = function(text, now) {
+        var match = /^(\d+(?:\.\d+)?)([smhdw])$/.exec(text)
+
+        if (match) return now - parseFloat(match[1]) * UNITS[match[2]]
+        return Date.parse(text)
+    }
+
+    /**
+     * @method ErrorTrackerCLI~parseArgs
+     * @summary Read the command line
+     * @arg {Array} args - The arguments, without `node` and the script
+     * @arg {number} now - The current time, for relative times
+     * @returns {object} The `command`, the `paths` to read and the
+     *          `options`, or the `problem` with the command line
+     */
+    var parseArgs = function(args, now) {
+        var parsed  = {command: undefined, paths: [], options: {}}
+        var takes   = ['since', 'until', 'message', 'url', 'release', 'type',
+                       'limit']
+        var index, arg, name, value
+
+        for (index = 0; index < args.length; index++) {
+            arg = args[index]
+
+            if (arg == '--help' || arg == '-h') {
+                parsed.options.help = true
+            }
+            else if (arg == '--json') {
+                parsed.options.json = true
+            }
+            else if (arg.indexOf('--') === 0) {
+                name  = arg.slice(2).split('=')[0]
+                value = arg.indexOf('=') > 0 ?
+                        arg.slice(arg.indexOf('=') + 1) : args[++index]
+
+                if (takes.indexOf(name) < 0) {
+                    return {problem: 'unknown option ' + arg}
+                }
+                if (value === undefined) {
+                    return {problem: '--' + name + ' needs a value'}
+                }
+                parsed.options[name] = value
+            }
+            else if (parsed.command === undefined) {
+                parsed.command = arg
+            }
+            else {
+                parsed.paths.push(arg)
+            }
+        }
+
+        if (parsed.options.help) return parsed
+        if (['list', 'group', 'top'].indexOf(parsed.command) < 0) {
+            return {problem: parsed.command === undefined ?
+                             'no command given' :
+                             'unknown command ' + parsed.command}
+        }
+        if (!parsed.paths.length) return {problem: 'no files given'}
+
+        value = parsed.options
+        if (value.since !== undefined) {
+            value.since = parseTime(value.since, now)
+            if (isNaN(value.since)) return {problem: 'bad time for --since'}
+        }
+        if (value.until !== undefined) {
+            value.until = parseTime(value.until, now)
+            if (isNaN(value.until)) return {problem: 'bad time for --until'}
+        }
+        if (value.message !== undefined) {
+            try {
+                value.message = new RegExp(value.message, 'i')
+            }
+            catch (e) {
+                return {problem: 'bad pattern for --message: ' + e.message}
+            }
+        }
+        if (value.limit !== undefined) {
+            value.limit = parseInt(value.limit, 10)
+            if (!(value.limit > 0)) return {problem: 'bad number for --limit'}
+        }
+        else if (parsed.command == 'top') {
+            value.limit = 10
+        }
+
+        return parsed
+    }
+
+    /**
+     * @method ErrorTrackerCLI~findFiles
+     * @summary List the files to read
+     * @desc Files are read as they are; directories (and the directories in
+     *       them) are searched for `.ndjson`, `.jsonl` and `.json` files.
+     * @arg {Array} paths - The files and directories given
+     * @returns {Array} The files, in order
+     */
+    var findFiles = function(paths) {
+        var files = []
+        var visit = function(file, given) {
+            var stats = fs.statSync(file)
+
+            if (stats.isDirectory()) {
+                fs.readdirSync(file).sort().forEach(function(name) {
+                    visit(path.join(file, name), false)
+                })
+            }
+            else if (given || /\.(ndjson|jsonl|json)$/.test(file)) {
+                files.push(file)
+            }
+        }
+
+        paths.forEach(function(file) { visit(file, true) })
+        return files
+    }
+
+    /**
+     * @method ErrorTrackerCLI~readRecords
+     * @summary Read the reports in a file
+     * @desc A file can hold one report per line (as written by a collector,
+     *       where each line has the report and when it was `receivedAt`, or
+     *       the bare reports), a single report, or a list of them.
+     * @arg {string} text - What's in the file
+     * @returns {object} The `records` read, each with its `report` and when
+     *          it was `receivedAt` (if known), and the `problems` with lines
+     *          that couldn't be read
+     */
+    var readRecords = function(text) {
+        var records  = []
+        var problems = []
+        var add      = function(value) {
+            if (value && typeof value == 'object' && value.report &&
+                !value.errorReportVersion) {
+                records.push({report:     value.report,
+                              receivedAt: value.receivedAt})
+            }
+            else {
+                records.push({report: value, receivedAt: undefined})
+            }
+        }
+        var whole
+
+        try {
+            whole = JSON.parse(text)
+        }
+        catch (e) {
+            // not one report (or list), so presumably one report per line
+        }
+
+        if (whole !== undefined) {
+            if (!Array.isArray(whole)) whole = [whole]
+            whole.forEach(add)
+            return {records: records, problems: problems}
+        }
+
+        text.split('\n').forEach(function(line, index) {
+            if (!line.trim()) return
+            try {
+                add(JSON.parse(line))
+            }
+            catch (e) {
+                problems.push('line ' + (index + 1) + ': not JSON')
+            }
+        })
+        return {records: records, problems: problems}
+    }
+
+    /**
+     * @method ErrorTrackerCLI~flatten
+     * @summary Turn reports into the list of errors in them
+     * @desc Reports that aren't valid for their version of the format are
+     *       left out (and described as problems); the rest are brought up to
+     *       the latest version first (errors in old reports that don't say
+     *       when they happened are taken to have happened when the report
+     *       was received, if that's known). Each error is given the
+     *       `errorTrackerVersion` of its report, its `environment` (unless
+     *       the error has one of its own), and the time the report was
+     *       `receivedAt`, along with the number of the report it came from
+     *       (as `reportIndex`, which is left out of JSON output).
+     * @arg {Array} records - The records read from files
+     * @returns {object} The `errors`, and the `problems` with reports that
+     *          were left out
+     */
+    var flatten = function(records) {
+        var errors   = []
+        var problems = []
+
+        records.forEach(function(record, index) {
+            var result = ErrorTrackerReport.validate(record.report)
+            var report
+
+            if (!result.valid) {
+                problems.push(record.source + ': ' + result.errors[0])
+                return
+            }
+
+            report = ErrorTrackerReport.upgrade(record.report,
+                                                record.receivedAt)
+            report.errorsTracked.forEach(function(e) {
+                e.errorTrackerVersion = report.errorTrackerVersion
+                e.environment         = e.environment || report.environment
+                e.receivedAt          = record.receivedAt
+                Object.defineProperty(e, 'reportIndex', {value: index})
+                errors.push(e)
+            })
+        })
+
+        return {errors: errors, problems: problems}
+    }
+
+    /**
+     * @method ErrorTrackerCLI~pageUrl
+     * @summary Put the URL of the page an error happened on back together
+     * @arg {object} pageInfo - The error's `pageInfo`
+     * @returns {string} The URL, or `undefined` if not known
+     */
+    var pageUrl = function(pageInfo) {
+        if (!pageInfo || !pageInfo.host) return undefined
+
+        return (pageInfo.protocol || '') + '//' + pageInfo.host +
+               (pageInfo.port ? ':' + pageInfo.port : '') +
+               (pageInfo.route || '') +
+               (pageInfo.queryString ? '?' + pageInfo.queryString : '')
+    }
+
+    /**
+     * @method ErrorTrackerCLI~matches
+     * @summary Decide whether an error passes the filters
+     * @desc An error passes the time filters if it was seen at all between
+     *       them (from `firstSeen` to `lastSeen`), and the URL filter if the
+     *       URL of its script, of the request or resource that failed, of
+     *       the page (or the worker or frame on it), or of the request a
+     *       server was handling, contains the text.
+     * @arg {object} e - The error
+     * @arg {object} options - The filters
+     * @returns {boolean} True if the error passes
+     */
+    var matches = function(e, options) {
+        var urls
+
+        if (options.since !== undefined && e.lastSeen < options.since) {
+            return false
+        }
+        if (options.until !== undefined && e.firstSeen > options.until) {
+            return false
+        }
+        if (options.message && !options.message.test(e.message)) return false
+        if (options.release !== undefined && e.release !== options.release) {
+            return false
+        }
+        if (options.type !== undefined && e.type !== options.type) {
+            return false
+        }
+        if (options.url !== undefined) {
+            urls = [e.location && e.location.file, e.url, pageUrl(e.pageInfo),
+                    e.requestInfo && e.requestInfo.url,
+                    e.workerInfo  && e.workerInfo.url,
+                    e.frameInfo   && e.frameInfo.url]
+            return urls.some(function(url) {
+                return typeof url == 'string' && url.indexOf(options.url) >= 0
+            })
+        }
+
+        return true
+    }
+
+    /**
+     * @method ErrorTrackerCLI~group
+     * @summary Group errors by their fingerprint
+     * @desc Errors without a fingerprint are grouped by their type and
+     *       message. Each group has the `fingerprint`, `type` and `message`
+     *       (and `location`) of its most recent error, the total `count` of
+     *       times its errors happened, the number of different `reports`
+     *       they were in, when it was `firstSeen` and `lastSeen`, and the
+     *       `releases` it was seen in.
+     * @arg {Array} errors - The errors (from
+     *      {@link ErrorTrackerCLI~flatten})
+     * @returns {Array} The groups, most recently seen first
+     */
+    var group = function(errors) {
+        // fingerprints come from the reports, so even one like `__proto__`
+        // mustn't find anything but a group
+        var groups = Object.create(null)
+        var seen   = Object.create(null)
+        var list   = []
+
+        errors.forEach(function(e) {
+            var key = e.fingerprint || e.type + '\n' + e.message
+            var g   = groups[key]
+
+            if (!g) {
+                g = groups[key] = {
+                    fingerprint: e.fingerprint,
+                    type:        e.type,
+                    message:     e.message,
+                    location:    e.location,
+                    count:       0,
+                    reports:     0,
+                    firstSeen:   e.firstSeen,
+                    lastSeen:    e.lastSeen,
+                    releases:    []
+                }
+                list.push(g)
+            }
+
+            g.count += e.count
+            if (!seen[key + '\n' + e.reportIndex]) {
+                seen[key + '\n' + e.reportIndex] = true
+                g.reports += 1
+            }
+            g.firstSeen = Math.min(g.firstSeen, e.firstSeen)
+            if (e.lastSeen >= g.lastSeen) {
+                g.lastSeen = e.lastSeen
+                g.type     = e.type
+                g.message  = e.message
+                g.location = e.location
+            }
+            if (e.release && g.releases.indexOf(e.release) < 0) {
+                g.releases.push(e.release)
+            }
+        })
+
+        return list.sort(function(a, b) { return b.lastSeen - a.lastSeen })
+    }
+
+    /**
+     * @method ErrorTrackerCLI~place
+     * @summary Describe where an error happened, in a few characters
+     * @arg {object} e - The error (or group)
+     * @returns {string} The file, line and column, or the failed URL
+     */
+    var place = function(e) {
+        var loc = e.location
+
+        if (loc && loc.file) {
+            return loc.file + (loc.line ? ':' + loc.line : '') +
+                   (loc.line && loc.column ? ':' + loc.column : '')
+        }
+        return e.url || ''
+    }
+
+    /**
+     * @method ErrorTrackerCLI~table
+     * @summary Lay rows out in columns
+     * @desc The last column is cut short to fit the terminal, if there is
+     *       one.
+     * @arg {Array} headings - The column headings
+     * @arg {Array} rows - The rows, each a list of strings
+     * @arg {number} [width] - The width of the terminal
+     * @returns {string} The table
+     */
+    var table = function(headings, rows, width) {
+        var all    = [headings].concat(rows)
+        var widths = headings.map(function(heading, column) {
+            return Math.max.apply(Math, all.map(function(row) {
+                return String(row[column]).length
+            }))
+        })
+
+        return all.map(function(row) {
+            var line = row.map(function(cell, column) {
+                cell = String(cell)
+                if (column == row.length - 1) return cell
+                return cell + new Array(widths[column] - cell.length + 1)
+                       .join(' ')
+            }).join('  ')
+
+            if (width && line.length > width) {
+                line = line.slice(0, width - 3) + '...'
+            }
+            return line
+        }).join('\n')
+    }
+
+    /**
+     * @method ErrorTrackerCLI~time
+     * @summary Describe a timestamp for a table
+     * @arg {number} timestamp - The time, in milliseconds since the epoch
+     * @returns {string} The time, in UTC, to the second
+     */
+    var time = function(timestamp) {
+        return new Date(timestamp).toISOString().replace('T', ' ')
+               .replace(/\.\d+Z$/, '')
+    }
+
+    /**
+     * @method ErrorTrackerCLI~render
+     * @summary Print the result of a command
+     * @arg {string} command - `list`, `group` or `top`
+     * @arg {Array} results - The errors (for `list`) or groups
+     * @arg {object} options - The options given
+     * @arg {number} [width] - The width of the terminal
+     * @returns {string} What to print
+     */
+    var render = function(command, results, options, width) {
+        var oneLine = function(message) {
+            return String(message).replace(/\s+/g, ' ')
+        }
+
+        if (options.json) return JSON.stringify(results, null, 4)
+        if (!results.length) return 'No errors found.'
+
+        if (command == 'list') {
+            return table(['LAST SEEN', 'COUNT', 'TYPE', 'RELEASE', 'WHERE',
+                          'MESSAGE'], results.map(function(e) {
+                return [time(e.lastSeen), e.count, e.type, e.release || '-',
+                        place(e) || '-', oneLine(e.message)]
+            }), width)
+        }
+
+        return table(['COUNT', 'REPORTS', 'LAST SEEN', 'FINGERPRINT', 'TYPE',
+                      'WHERE', 'MESSAGE'], results.map(function(g) {
+            return [g.count, g.reports, time(g.lastSeen),
+                    g.fingerprint || '-', g.type, place(g) || '-',
+                    oneLine(g.message)]
+        }), width)
+    }
+
+    /**
+     * @method ErrorTrackerCLI.run
+     * @summary Run the command
+     * @desc Everything the command does, short of actually printing and
+     *       exiting, so that it can be run from other scripts too.
+     *       Problems with the files (reports that can't be read, or aren't
+     *       valid) are described, but don't stop the rest being read.
+     * @arg {Array} args - The arguments, without `node` and the script
+     * @arg {object} [io] - Where to send the output
+     * @arg {function} [io.out] - Called with what to print
+     * @arg {function} [io.err] - Called with each problem
+     * @arg {number} [io.width] - The width of the terminal, to fit tables in
+     * @arg {number} [io.now] - The current time, for relative times
+     * @returns {number} The exit status: `0` if it worked, `1` if none of
+     *          the files could be read, and `2` if the command line was
+     *          wrong
+     */
+    this.run = function(args, io) {
+        var out     = io && io.out || function(text) { console.log(text) }
+        var err     = io && io.err || function(text) { console.error(text) }
+        var now     = io && io.now || new Date().getTime()
+        var parsed  = parseArgs(args, now)
+        var records = []
+        var read    = 0
+        var options, files, flat, results
+
+        if (parsed.problem) {
+            err('errortracker: ' + parsed.problem)
+            err(USAGE)
+            return 2
+        }
+        if (parsed.options.help) {
+            out(USAGE)
+            return 0
+        }
+        options = parsed.options
+
+        try {
+            files = findFiles(parsed.paths)
+        }
+        catch (e) {
+            err('errortracker: ' + e.message)
+            return 1
+        }
+
+        files.forEach(function(file) {
+            var text, result
+
+            try {
+                text = fs.readFileSync(file, 'utf8')
+            }
+            catch (e) {
+                err(file + ': ' + e.message)
+                return
+            }
+
+            read++
+            result = readRecords(text)
+            result.problems.forEach(function(problem) {
+                err(file + ': ' + problem)
+            })
+            result.records.forEach(function(record, index) {
+                record.source = file + ' (report ' + (index + 1) + ')'
+                records.push(record)
+            })
+        })
+        if (!read) {
+            err('errortracker: no files could be read')
+            return 1
+        }
+
+        flat = flatten(records)
+        flat.problems.forEach(err)
+
+        results = flat.errors.filter(function(e) {
+            return matches(e, options)
+        })
+        if (parsed.command == 'list') {
+            results.sort(function(a, b) { return b.lastSeen - a.lastSeen })
+        }
+        else {
+            results = group(results)
+            if (parsed.command == 'top') {
+                results.sort(function(a, b) {
+                    return b.count - a.count || b.lastSeen - a.lastSeen
+                })
+            }
+        }
+        if (options.limit) results = results.slice(0, options.limit)
+
+        out(render(parsed.command, results, options, io && io.width))
+        return 0
+    }
+
+    /**
+     * @member {object} ErrorTrackerCLI.__INTERNALS__
+     * @summary Exposes the private functions, for testing and extension
+     * @property {string} USAGE       - SEE:
+     *           {@link ErrorTrackerCLI~USAGE}
+     * @property {object} UNITS       - SEE:
+     *           {@link ErrorTrackerCLI~UNITS}
+     * @property {function} parseTime   - SEE:
+     *           {@link ErrorTrackerCLI~parseTime}
+     * @property {function} parseArgs   - SEE:
+     *           {@link ErrorTrackerCLI~parseArgs}
+     * @property {function} findFiles   - SEE:
+     *           {@link ErrorTrackerCLI~findFiles}
+     * @property {function} readRecords - SEE:
+     *           {@link ErrorTrackerCLI~readRecords}
+     * @property {function} flatten     - SEE:
+     *           {@link ErrorTrackerCLI~flatten}
+     * @property {function} pageUrl     - SEE:
+     *           {@link ErrorTrackerCLI~pageUrl}
+     * @property {function} matches     - SEE:
+     *           {@link ErrorTrackerCLI~matches}
+     * @property {function} group       - SEE:
+     *           {@link ErrorTrackerCLI~group}
+     * @property {function} place       - SEE:
+     *           {@link ErrorTrackerCLI~place}
+     * @property {function} table       - SEE:
+     *           {@link ErrorTrackerCLI~table}
+     * @property {function} time        - SEE:
+     *           {@link ErrorTrackerCLI~time}
+     * @property {function} render      - SEE:
+     *           {@link ErrorTrackerCLI~render}
+     */
+    this.__INTERNALS__ = {
+        USAGE:       USAGE,
+        UNITS:       UNITS,
+        parseTime:   parseTime,
+        parseArgs:   parseArgs,
+        findFiles:   findFiles,
+        readRecords: readRecords,
+        flatten:     flatten,
+        pageUrl:     pageUrl,
+        matches:     matches,
+        group:       group,
+        place:       place,
+        table:       table,
+        time:        time,
+        render:      render
+    }
+}).apply(module.exports)
+
+if (require.main === module) {
+    process.exitCode = module.exports.run(process.argv.slice(2), {
+        width: process.stdout.isTTY ? process.stdout.columns : undefined
+    })
+}
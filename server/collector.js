@@ -0,0 +1,667 @@
+/**
+ * @namespace ErrorTrackerCollector
+ * @desc A small server for the `endpoint` that ErrorTracker sends its reports
+ *       to, built on nothing but Node's own `http`, `fs` and `path` modules.
+ *       It checks each report against its version of the report format
+ *       (using {@link ErrorTrackerReport.validate}), brings it up to the
+ *       latest version, and appends it, as one line of JSON, to a file that
+ *       is rotated once it grows too large or a new day starts. It answers
+ *       with the same `{state, reason}` responses that ErrorTracker's
+ *       transports expect. A collector can be mounted as middleware (in
+ *       Express, Connect, or a plain `http` request handler), or run on its
+ *       own.
+ * @summary Receive, check and store ErrorTracker reports
+ * @version 0.1.0
+ * @copyright Stephen Belcher 2013
+ * @license MIT
+ * @example <caption>Running a collector on its own</caption>
+ * var collector = require('ErrorTracker/server/collector')
+ *
+ * collector.createCollector({
+ *     path:      '/api/report-js-errors',
+ *     directory: '/var/log/js-errors',
+ *     cors:      ['https://www.example.com']
+ * }).listen(8080)
+ * @example <caption>Mounting a collector in an Express app</caption>
+ * app.use('/api/report-js-errors', collector.createCollector({
+ *     directory: '/var/log/js-errors'
+ * }))
+ */
+(function(undefined) {
+    var fs                 = require('fs')
+    var http               = require('http')
+    var path               = require('path')
+    var ErrorTrackerReport = require('../ErrorTrackerReport')
+
+    /**
+     * @constant {object} ErrorTrackerCollector~DEFAULTS
+     * @summary The options a collector is created with, unless told
+     *          otherwise
+     * @desc See {@link ErrorTrackerCollector.createCollector} for what each
+     *       one does.
+     */
+    var DEFAULTS = {
+        path:         undefined,
+        directory:    'error-reports',
+        filePrefix:   'errors',
+        maxFileBytes: 10 * 1024 * 1024,
+        rotateDaily:  true,
+        maxFiles:     30,
+        maxBodyBytes: 256 * 1024,
+        cors:         false,
+        corsHeaders:  ['Content-Type'],
+        corsMaxAge:   600
+    }
+
+    /**
+     * @constant {Buffer} ErrorTrackerCollector~PIXEL
+     * @summary A transparent 1x1 GIF
+     * @desc The answer to a report sent by ErrorTracker's `image` transport,
+     *       which can only tell that the report arrived by the image
+     *       loading.
+     */
+    var PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAAB' +
+                            'AAEAAAIBRAA7', 'base64')
+
+    /**
+     * @method ErrorTrackerCollector~pad
+     * @summary Pad a number with zeroes to two digits
+     * @arg {number} n - The number
+     * @returns {string} The padded number
+     */
+    var pad = function(n) {
+        return (n < 10 ? '0' : '') + n
+    }
+
+    /**
+     * @method ErrorTrackerCollector~stamp
+     * @summary Describe a time for use in a file name
+     * @arg {Date} date - The time
+     * @arg {boolean} withTime - True to include the time of day, rather than
+     *      just the date
+     * @returns {string} The time, as `YYYYMMDD` or `YYYYMMDD-HHMMSS` (in UTC)
+     */
+    var stamp = function(date, withTime) {
+        var day = date.getUTCFullYear() + pad(date.getUTCMonth() + 1) +
+                  pad(date.getUTCDate())
+
+        if (!withTime) return day
+        return day + '-' + pad(date.getUTCHours()) +
+               pad(date.getUTCMinutes()) + pad(date.getUTCSeconds())
+    }
+
+    /**
+     * @method ErrorTrackerCollector~allowedOrigin
+     * @summary Decide whether to let a site send reports
+     * @desc Reports from the collector's own site (whose origin names the same
+     *       host as the request, or as the `X-Forwarded-Host` a proxy added)
+     *       are always accepted. Other origins are checked against the `cors`
+     *       option: `true` or `'*'` allows every origin, a string or a regular
+     *       expression (or a list of them) allows the origins it matches, and
+     *       a function is asked about each origin. A string has to match the
+     *       whole origin (`https://www.example.com`, with no trailing slash).
+     * @arg {*} cors - The `cors` option
+     * @arg {string} origin - The origin of the request
+     * @arg {string} [host] - The host the request was made to
+     * @returns {boolean} True if reports from the origin are accepted
+     */
+    var allowedOrigin = function(cors, origin, host) {
+        var list = Array.isArray(cors) ? cors : [cors]
+        var index, allowed
+
+        try {
+            if (host && new URL(origin).host == host) return true
+        }
+        catch (e) {
+            // an origin of "null" (from a sandboxed frame, say) isn't a URL
+        }
+
+        if (!cors) return false
+        if (cors === true || cors === '*') return true
+        if (typeof cors == 'function') return !!cors(origin)
+
+        for (index = 0; index < list.length; index++) {
+            allowed = list[index]
+            if (allowed instanceof RegExp ? allowed.test(origin) :
+                allowed === origin) {
+                return true
+            }
+        }
+        return false
+    }
+
+    /**
+     * @method ErrorTrackerCollector~respond
+     * @summary Answer a request with a `{state, reason}` response
+     * @desc ErrorTracker's `xhr` and `fetch` transports only read the body
+     *       of a `200 OK` response, and treat anything else as a server
+     *       error, so a report that is turned down is still answered with a
+     *       `200`, for the `reason` to reach the browser. Requests that
+     *       ErrorTracker wouldn't make (the wrong method, or a body too large
+     *       to read) and reports from origins that aren't accepted (whose
+     *       browser wouldn't let them read the answer anyway) are answered
+     *       with the status that fits. Reports sent by
+     *       the `image` transport are answered with an image, or a `400` if
+     *       they were turned down, as that's all it can tell apart.
+     * @arg {http.ServerResponse} res - The response
+     * @arg {object} headers - The headers to send (CORS, for instance)
+     * @arg {number} status - The status code
+     * @arg {string} [reason] - Why the report was turned down, if it was
+     * @arg {boolean} [image] - True if the report was sent by the `image`
+     *      transport
+     * @returns nothing
+     */
+    var respond = function(res, headers, status, reason, image) {
+        var body
+
+        if (image) {
+            headers['Content-Type'] = 'image/gif'
+            headers['Cache-Control'] = 'no-store'
+            body = reason === undefined ? PIXEL : Buffer.alloc(0)
+            status = reason === undefined ? status : 400
+        }
+        else {
+            headers['Content-Type'] = 'application/json'
+            body = Buffer.from(JSON.stringify(reason === undefined ?
+                              {state: 'success'} :
+                              {state: 'failure', reason: reason}))
+        }
+        headers['Content-Length'] = body.length
+
+        res.writeHead(status, headers)
+        res.end(body)
+    }
+
+    /**
+     * @method ErrorTrackerCollector~readBody
+     * @summary Read the body of a request, up to a limit
+     * @desc Stops reading (and calls back with an error) as soon as the body
+     *       is longer than the limit, or says it will be, so that a collector
+     *       can't be made to hold on to an endless request. If the body has
+     *       already been read by other middleware (`req.body`), that is used
+     *       instead.
+     * @arg {http.IncomingMessage} req - The request
+     * @arg {number} limit - The most bytes to read
+     * @arg {function} callback - Called with an error (with a `status`), or
+     *      `null` and the body, as a string or as it was already parsed
+     * @returns nothing
+     */
+    var readBody = function(req, limit, callback) {
+        var chunks = []
+        var length = 0
+        var done   = false
+        var finish = function(error, body) {
+            if (done) return
+            done = true
+            callback(error, body)
+        }
+        var tooLarge = function() {
+            var error = new Error('report is larger than ' + limit + ' bytes')
+            error.status = 413
+            return error
+        }
+
+        if (req.body !== undefined) return finish(null, req.body)
+        if (parseInt(req.headers['content-length'], 10) > limit) {
+            req.resume()
+            return finish(tooLarge())
+        }
+
+        req.on('data', function(chunk) {
+            if (done) return
+            length += chunk.length
+            if (length > limit) {
+                req.resume()
+                return finish(tooLarge())
+            }
+            chunks.push(chunk)
+        })
+        req.on('end', function() {
+            finish(null, Buffer.concat(chunks).toString('utf8'))
+        })
+        req.on('error', function(error) {
+            error.status = 400
+            finish(error)
+        })
+    }
+
+    /**
+     * @method ErrorTrackerCollector~parseReport
+     * @summary Turn the body of a request into a report
+     * @arg {*} body - The body, as a string, or as already parsed by other
+     *      middleware
+     * @returns {object} The `report`, or the `reason` it couldn't be read
+     */
+    var parseReport = function(body) {
+        if (typeof body != 'string') {
+            if (Buffer.isBuffer(body)) body = body.toString('utf8')
+            else return {report: body}
+        }
+
+        try {
+            return {report: JSON.parse(body)}
+        }
+        catch (e) {
+            return {reason: 'failed to parse report as JSON'}
+        }
+    }
+
+    /**
+     * @class ErrorTrackerCollector~Store
+     * @summary Append lines to a rotating set of NDJSON files
+     * @desc Lines are written to `<filePrefix>.ndjson` in the directory,
+     *       one at a time, in the order they were given. Before a line that
+     *       would make the file larger than `maxFileBytes` (or, with
+     *       `rotateDaily`, the first line of a new day, in UTC), the file is
+     *       renamed to `<filePrefix>-<YYYYMMDD-HHMMSS>.ndjson`, and the
+     *       oldest renamed files beyond `maxFiles` are removed. The directory
+     *       is created if it doesn't exist.
+     * @arg {object} options - The collector's options
+     */
+    var Store = function(options) {
+        this.options = options
+        this.file    = path.join(options.directory,
+                                 options.filePrefix + '.ndjson')
+        this.queue   = []
+        this.busy    = false
+        this.size    = undefined
+        this.day     = undefined
+    }
+
+    /**
+     * @method ErrorTrackerCollector~Store#append
+     * @summary Append a line to the current file
+     * @arg {string} line - The line, without its newline
+     * @arg {function} callback - Called with an error, or nothing, once the
+     *      line is written
+     * @returns nothing
+     */
+    Store.prototype.append = function(line, callback) {
+        this.queue.push({line: line + '\n', callback: callback})
+        this.next()
+    }
+
+    /**
+     * @method ErrorTrackerCollector~Store#next
+     * @summary Write the next line in the queue, if not already writing
+     * @returns nothing
+     */
+    Store.prototype.next = function() {
+        var store = this
+        var item  = this.queue[0]
+        var bytes
+
+        if (this.busy || !item) return
+        this.busy = true
+        bytes = Buffer.byteLength(item.line)
+
+        this.prepare(bytes, function(error) {
+            if (error) return store.finish(error)
+
+            fs.appendFile(store.file, item.line, function(error) {
+                if (!error) store.size += bytes
+                store.finish(error)
+            })
+        })
+    }
+
+    /**
+     * @method ErrorTrackerCollector~Store#finish
+     * @summary Report back on the line just written, and move on to the next
+     * @arg {Error} [error] - What went wrong, if anything
+     * @returns nothing
+     */
+    Store.prototype.finish = function(error) {
+        var item = this.queue.shift()
+
+        // look at the file afresh after anything went wrong
+        if (error) this.size = undefined
+        this.busy = false
+        item.callback(error || undefined)
+        this.next()
+    }
+
+    /**
+     * @method ErrorTrackerCollector~Store#prepare
+     * @summary Make sure the current file can take another line
+     * @desc Creates the directory, finds out how large the current file
+     *       already is (the first time), and rotates it if need be.
+     * @arg {number} bytes - The length of the line to be written
+     * @arg {function} callback - Called with an error, or nothing
+     * @returns nothing
+     */
+    Store.prototype.prepare = function(bytes, callback) {
+        var store   = this
+        var options = this.options
+        var today   = stamp(new Date())
+
+        if (this.size === undefined) {
+            fs.mkdir(options.directory, {recursive: true}, function(error) {
+                if (error) return callback(error)
+
+                fs.stat(store.file, function(error, stats) {
+                    if (error && error.code != 'ENOENT') return callback(error)
+
+                    store.size = stats ? stats.size : 0
+                    store.day  = stats ? stamp(stats.mtime) : today
+                    store.prepare(bytes, callback)
+                })
+            })
+            return
+        }
+
+        if (this.size > 0 &&
+            (this.size + bytes > options.maxFileBytes ||
+             (options.rotateDaily && this.day != today))) {
+            return this.rotate(callback)
+        }
+
+        this.day = today
+        callback()
+    }
+
+    /**
+     * @method ErrorTrackerCollector~Store#rotate
+     * @summary Put the current file aside and start a new one
+     * @arg {function} callback - Called with an error, or nothing
+     * @returns nothing
+     */
+    Store.prototype.rotate = function(callback) {
+        var store   = this
+        var options = this.options
+        var base    = path.join(options.directory, options.filePrefix + '-' +
+                                stamp(new Date(), true))
+        var attempt = function(n) {
+            var target = base + (n ? '.' + n : '') + '.ndjson'
+
+            // several rotations in one second mustn't overwrite each other
+            fs.stat(target, function(error) {
+                if (!error) return attempt(n + 1)
+
+                fs.rename(store.file, target, function(error) {
+                    if (error) return callback(error)
+
+                    store.size = 0
+                    store.day  = stamp(new Date())
+                    store.prune(callback)
+                })
+            })
+        }
+
+        attempt(0)
+    }
+
+    /**
+     * @method ErrorTrackerCollector~Store#prune
+     * @summary Remove the oldest rotated files, beyond `maxFiles`
+     * @arg {function} callback - Called with an error, or nothing
+     * @returns nothing
+     */
+    Store.prototype.prune = function(callback) {
+        var options = this.options
+        var prefix  = options.filePrefix + '-'
+
+        if (!options.maxFiles) return callback()
+
+        fs.readdir(options.directory, function(error, names) {
+            var rotated, remove, pending
+
+            if (error) return callback(error)
+
+            rotated = names.filter(function(name) {
+                return name.indexOf(prefix) === 0 &&
+                       /^\d{8}-\d{6}(\.\d+)?\.ndjson$/.test(
+                           name.slice(prefix.length))
+            }).sort(function(a, b) {
+                var parse = function(name) {
+                    var match = /^(\d{8}-\d{6})(?:\.(\d+))?/.exec(
+                        name.slice(prefix.length))
+                    return [match[1], parseInt(match[2] || '0', 10)]
+                }
+                var x = parse(a)
+                var y = parse(b)
+
+                return x[0] < y[0] ? -1 : x[0] > y[0] ? 1 : x[1] - y[1]
+            })
+
+            remove  = rotated.slice(0, Math.max(0, rotated.length -
+                                                   options.maxFiles))
+            pending = remove.length
+            if (!pending) return callback()
+
+            remove.forEach(function(name) {
+                fs.unlink(path.join(options.directory, name), function() {
+                    if (--pending === 0) callback()
+                })
+            })
+        })
+    }
+
+    /**
+     * @method ErrorTrackerCollector.createCollector
+     * @summary Create a collector for ErrorTracker's reports
+     * @desc Returns a request handler, which takes reports `POST`ed as JSON
+     *       (by the `xhr`, `fetch` and `beacon` transports) or sent in the
+     *       `report` query parameter of a `GET` (by the `image` transport),
+     *       checks them, and stores them. Each stored line is an object with
+     *       the time the report was `receivedAt` (in milliseconds since the
+     *       epoch), and the `report` itself, upgraded to the latest version
+     *       of the format (see {@link ErrorTrackerReport.upgrade}).
+     *
+     *       The handler can be used as middleware: with a `next` function,
+     *       requests for other paths (if `path` is given) are passed along to
+     *       it, as are errors writing the report; without one, they are
+     *       answered with a `404` or a failure. A body already read by other
+     *       middleware (as `req.body`) is used as it is. A request whose URL
+     *       or report can't be read is answered with a `400`, rather than
+     *       throwing. `listen` starts a server of its own.
+     *
+     *       Browsers only let other sites send reports if the collector says
+     *       so, with CORS headers; set `cors` to the origins to accept reports
+     *       from. Reports from origins that aren't accepted are turned down,
+     *       as a browser is allowed to send some of them without asking
+     *       first.
+     * @arg {object} [options] - How the collector behaves
+     * @arg {string} [options.path] - Only handle requests for this path
+     *      (any path, by default)
+     * @arg {string} [options.directory=error-reports] - Where to write the
+     *      reports
+     * @arg {string} [options.filePrefix=errors] - What to start the names of
+     *      the files with
+     * @arg {number} [options.maxFileBytes=10485760] - How large a file can
+     *      grow before it is rotated
+     * @arg {boolean} [options.rotateDaily=true] - Whether to rotate the file
+     *      when a new day starts, too
+     * @arg {number} [options.maxFiles=30] - How many rotated files to keep
+     *      (`0` keeps all of them)
+     * @arg {number} [options.maxBodyBytes=262144] - The largest report to
+     *      accept
+     * @arg {*} [options.cors=false] - The origins to accept reports from
+     *      (see {@link ErrorTrackerCollector~allowedOrigin})
+     * @arg {Array} [options.corsHeaders=['Content-Type']] - The request
+     *      headers that other origins may send (add any you give in
+     *      ErrorTracker's `transportHeaders`)
+     * @arg {number} [options.corsMaxAge=600] - How long, in seconds, a
+     *      browser may remember the answer to a CORS preflight request
+     * @returns {function} The request handler, `(req, res, next)`, with a
+     *          `listen` method that takes the same arguments as a server's
+     *          and returns the `http.Server`
+     * @example <caption>Accepting reports from two sites</caption>
+     * var collector = require('ErrorTracker/server/collector')
+     * var handler   = collector.createCollector({
+     *     cors:        ['https://www.example.com', /\.example\.org$/],
+     *     corsHeaders: ['Content-Type', 'X-CSRF-Token']
+     * })
+     *
+     * require('http').createServer(function(req, res) {
+     *     if (req.url.indexOf('/api/report-js-errors') === 0) {
+     *         return handler(req, res)
+     *     }
+     *     // ...the rest of your application
+     * }).listen(8080)
+     */
+    this.createCollector = function(options) {
+        var settings = {}
+        var store, handler, key
+
+        options = options || {}
+        for (key in DEFAULTS) {
+            settings[key] = options[key] === undefined ? DEFAULTS[key] :
+                            options[key]
+        }
+        store = new Store(settings)
+
+        handler = function(req, res, next) {
+            var origin  = req.headers.origin
+            var headers = {}
+            var image   = req.method == 'GET'
+            var method  = req.method
+            var url
+            var pass    = function(error) {
+                if (typeof next == 'function') return next(error)
+                respond(res, headers, error ? 500 : 404,
+                        error ? 'could not store report' : 'not found', image)
+            }
+            var accept  = function(body) {
+                var parsed, result, receivedAt, line
+
+                if (image) {
+                    body = url.searchParams.get('report')
+                    if (body === null) {
+                        return respond(res, headers, 200, 'no report given',
+                                       image)
+                    }
+                    if (Buffer.byteLength(body) > settings.maxBodyBytes) {
+                        return respond(res, headers, 200, 'report is ' +
+                                       'larger than ' + settings.maxBodyBytes +
+                                       ' bytes', image)
+                    }
+                }
+
+                parsed = parseReport(body)
+                if (parsed.reason) {
+                    return respond(res, headers, 200, parsed.reason, image)
+                }
+
+                result = ErrorTrackerReport.validate(parsed.report)
+                if (!result.valid) {
+                    return respond(res, headers, 200, result.errors[0], image)
+                }
+
+                receivedAt = new Date().getTime()
+                line = JSON.stringify({
+                    receivedAt: receivedAt,
+                    report:     ErrorTrackerReport.upgrade(parsed.report,
+                                                           receivedAt)
+                })
+                store.append(line, function(error) {
+                    if (error) return pass(error)
+                    respond(res, headers, 200, undefined, image)
+                })
+            }
+
+            // a URL that can't be parsed (such as `//`) is the client's
+            // mistake, and mustn't take the server down with it
+            try {
+                url = new URL(req.originalUrl || req.url, 'http://x')
+            }
+            catch (e) {
+                return respond(res, headers, 400, 'malformed request URL',
+                               image)
+            }
+
+            if (settings.path !== undefined && url.pathname != settings.path) {
+                return pass()
+            }
+
+            if (origin) {
+                if (!allowedOrigin(settings.cors, origin,
+                                   req.headers['x-forwarded-host'] ||
+                                   req.headers.host)) {
+                    return respond(res, headers, 403,
+                                   'origin ' + origin + ' is not allowed',
+                                   image)
+                }
+                headers['Access-Control-Allow-Origin'] = origin
+                headers['Vary'] = 'Origin'
+            }
+
+            if (method == 'OPTIONS') {
+                headers['Access-Control-Allow-Methods'] = 'POST, GET, OPTIONS'
+                headers['Access-Control-Allow-Headers'] =
+                    settings.corsHeaders.join(', ')
+                headers['Access-Control-Max-Age'] = settings.corsMaxAge
+                res.writeHead(204, headers)
+                return res.end()
+            }
+            if (method != 'POST' && method != 'GET') {
+                headers['Allow'] = 'POST, GET, OPTIONS'
+                return respond(res, headers, 405,
+                               'method ' + method + ' is not allowed')
+            }
+
+            readBody(req, settings.maxBodyBytes, function(error, body) {
+                if (error) {
+                    return respond(res, headers, error.status, error.message,
+                                   image)
+                }
+
+                // whatever a report holds, a mistake in checking or storing
+                // it fails the one request rather than the whole server
+                try {
+                    accept(body)
+                }
+                catch (e) {
+                    if (!res.headersSent) {
+                        respond(res, headers, 400, 'report could not be read',
+                                image)
+                    }
+                }
+            })
+        }
+
+        handler.listen = function() {
+            var server = http.createServer(function(req, res) {
+                handler(req, res)
+            })
+
+            return server.listen.apply(server, arguments)
+        }
+
+        return handler
+    }
+
+    /**
+     * @member {object} ErrorTrackerCollector.__INTERNALS__
+     * @summary Exposes the private functions, for testing and extension
+     * @property {object} DEFAULTS        - SEE:
+     *           {@link ErrorTrackerCollector~DEFAULTS}
+     * @property {Buffer} PIXEL           - SEE:
+     *           {@link ErrorTrackerCollector~PIXEL}
+     * @property {function} pad           - SEE:
+     *           {@link ErrorTrackerCollector~pad}
+     * @property {function} stamp         - SEE:
+     *           {@link ErrorTrackerCollector~stamp}
+     * @property {function} allowedOrigin - SEE:
+     *           {@link ErrorTrackerCollector~allowedOrigin}
+     * @property {function} respond       - SEE:
+     *           {@link ErrorTrackerCollector~respond}
+     * @property {function} readBody      - SEE:
+     *           {@link ErrorTrackerCollector~readBody}
+     * @property {function} parseReport   - SEE:
+     *           {@link ErrorTrackerCollector~parseReport}
+     * @property {function} Store         - SEE:
+     *           {@link ErrorTrackerCollector~Store}
+     */
+    this.__INTERNALS__ = {
+        DEFAULTS:      DEFAULTS,
+        PIXEL:         PIXEL,
+        pad:           pad,
+        stamp:         stamp,
+        allowedOrigin: allowedOrigin,
+        respond:       respond,
+        readBody:      readBody,
+        parseReport:   parseReport,
+        Store:         Store
+    }
+}).apply(module.exports)
@@ -0,0 +1,120 @@
+/**
+ * @file Tests for the breadcrumbs left by clicks, navigation, console
+ *       messages and requests, and attached to tracked errors.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+// the messages of all current breadcrumbs in a given category
+var messages = function(window, category) {
+    return browser.plain(window.ErrorTracker.breadcrumbs()).filter(
+        function(b) { return b.category == category }
+    ).map(function(b) { return b.message })
+}
+
+test('clicks are described with a CSS selector', function(t) {
+    var window   = browser.load(t)
+    var document = window.document
+
+    document.body.innerHTML = '<div id="app"><form class="pay  big">' +
+        '<button type="button" class="btn btn-primary">Go</button>' +
+        '</form></div>'
+    document.querySelector('button').click()
+
+    assert.deepStrictEqual(messages(window, 'ui.click'), [
+        'div#app > form.pay.big > button.btn.btn-primary'
+    ])
+})
+
+test('navigation records where the page went from and to', function(t) {
+    var window = browser.load(t)
+    var crumbs
+
+    window.history.pushState({}, '', '/next')
+    crumbs = browser.plain(window.ErrorTracker.breadcrumbs())
+
+    assert.strictEqual(crumbs.length, 1)
+    assert.strictEqual(crumbs[0].category, 'navigation')
+    assert.deepStrictEqual(crumbs[0].data, {
+        from: 'https://app.example.com/page',
+        to:   'https://app.example.com/next'
+    })
+})
+
+test('console messages are recorded', function(t) {
+    var window = browser.load(t)
+    var crumbs
+
+    window.console.warn('careful', {a: 1})
+    crumbs = browser.plain(window.ErrorTracker.breadcrumbs())
+
+    assert.strictEqual(crumbs.length, 1)
+    assert.strictEqual(crumbs[0].level, 'warn')
+    assert.strictEqual(crumbs[0].message, 'careful {"a":1}')
+})
+
+test('each kind of breadcrumb can be turned off', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({
+        breadcrumbClicks:     false,
+        breadcrumbNavigation: false,
+        breadcrumbConsole:    false
+    })
+    window.document.body.click()
+    window.history.pushState({}, '', '/next')
+    window.console.log('quiet')
+
+    assert.strictEqual(window.ErrorTracker.breadcrumbs().length, 0)
+})
+
+test('addBreadcrumb accepts strings and objects', function(t) {
+    var window = browser.load(t)
+    var crumbs
+
+    window.ErrorTracker.addBreadcrumb('Started the tour')
+    window.ErrorTracker.addBreadcrumb({category: 'checkout', message: 'Paid'})
+    crumbs = browser.plain(window.ErrorTracker.breadcrumbs())
+
+    assert.deepStrictEqual(crumbs.map(function(b) { return b.category }),
+                           ['custom', 'checkout'])
+    assert.strictEqual(crumbs[0].message, 'Started the tour')
+    assert.strictEqual(typeof crumbs[1].timestamp, 'number')
+})
+
+test('only the last maxBreadcrumbs are kept, oldest first', function(t) {
+    var window = browser.load(t)
+    var add    = function(from, to) {
+        for (var i = from; i <= to; i++) {
+            window.ErrorTracker.addBreadcrumb(String(i))
+        }
+    }
+
+    window.ErrorTracker.configure({maxBreadcrumbs: 3})
+    add(1, 5)
+    assert.deepStrictEqual(messages(window, 'custom'), ['3', '4', '5'])
+
+    // growing the buffer keeps what's there and makes room for more
+    window.ErrorTracker.configure({maxBreadcrumbs: 4})
+    add(6, 7)
+    assert.deepStrictEqual(messages(window, 'custom'), ['4', '5', '6', '7'])
+
+    // and shrinking it keeps the newest
+    window.ErrorTracker.configure({maxBreadcrumbs: 2})
+    add(8, 8)
+    assert.deepStrictEqual(messages(window, 'custom'), ['7', '8'])
+})
+
+test('saved errors carry the breadcrumbs leading up to them', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    window.ErrorTracker.addBreadcrumb('before')
+    saved = window.ErrorTracker.saveError(new window.Error('Oops'))
+    window.ErrorTracker.addBreadcrumb('after')
+
+    assert.deepStrictEqual(browser.plain(saved.breadcrumbs).map(
+        function(b) { return b.message }
+    ), ['before'])
+})
@@ -0,0 +1,153 @@
+/**
+ * @file Tests for the `errortracker` command: reading its command line, and
+ *       listing and grouping the errors in stored reports.
+ */
+var test   = require('node:test')
+var assert = require('node:assert')
+var fs     = require('fs')
+var os     = require('os')
+var path   = require('path')
+var cli    = require('../bin/errortracker')
+
+var NOW = Date.UTC(2024, 0, 31, 12)
+
+var error = function(fingerprint, count, lastSeen) {
+    return {
+        type:        'exception',
+        message:     'failed in ' + fingerprint,
+        stack:       null,
+        frames:      [],
+        location:    {file: 'https://app.example.com/app.js', line: 8,
+                      column: 2},
+        pageInfo:    null,
+        timeStamp:   lastSeen,
+        savedAt:     lastSeen,
+        fingerprint: fingerprint,
+        count:       count,
+        firstSeen:   lastSeen - 1000,
+        lastSeen:    lastSeen,
+        breadcrumbs: []
+    }
+}
+var line = function(errors) {
+    return JSON.stringify({
+        receivedAt: NOW,
+        report:     {
+            errorTrackerVersion: '0.1.0',
+            errorReportVersion:  2,
+            errorsTracked:       errors
+        }
+    })
+}
+
+// write the lines to a file of their own, and run the command on it
+var run = function(t, lines, args) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'errortracker-'))
+    var file      = path.join(directory, 'errors.ndjson')
+    var output    = []
+    var problems  = []
+    var status
+
+    t.after(function() {
+        fs.rmSync(directory, {recursive: true, force: true})
+    })
+    fs.writeFileSync(file, lines.join('\n') + '\n')
+    status = cli.run(args.concat([file]), {
+        out: function(text) { output.push(text) },
+        err: function(text) { problems.push(text) },
+        now: NOW
+    })
+
+    return {status: status, output: output.join('\n'), problems: problems}
+}
+
+test('the command line is read', function() {
+    var parseArgs = cli.__INTERNALS__.parseArgs
+    var parsed    = parseArgs(['top', '--since', '7d', '--message=boom',
+                               'a.ndjson', 'logs'], NOW)
+
+    assert.strictEqual(parsed.command, 'top')
+    assert.deepStrictEqual(parsed.paths, ['a.ndjson', 'logs'])
+    assert.strictEqual(parsed.options.since, NOW - 7 * 24 * 60 * 60 * 1000)
+    assert.ok(parsed.options.message.test('BOOM'))
+    assert.strictEqual(parsed.options.limit, 10)
+
+    assert.match(parseArgs(['frob', 'a'], NOW).problem, /unknown command/)
+    assert.match(parseArgs(['list'], NOW).problem, /no files/)
+    assert.match(parseArgs(['list', '--since', 'soon', 'a'], NOW).problem,
+                 /--since/)
+    assert.match(parseArgs(['list', '--limit', '0', 'a'], NOW).problem,
+                 /--limit/)
+})
+
+test('errors are grouped by fingerprint, counting reports', function(t) {
+    var result = run(t, [
+        line([error('abc', 1, NOW - 5000), error('abc', 2, NOW - 4000)]),
+        line([error('abc', 3, NOW - 3000), error('def', 1, NOW - 9000)])
+    ], ['group', '--json'])
+    var groups = JSON.parse(result.output)
+
+    assert.strictEqual(result.status, 0)
+    assert.deepStrictEqual(groups.map(function(g) {
+        return [g.fingerprint, g.count, g.reports]
+    }), [['abc', 6, 2], ['def', 1, 1]])
+    assert.strictEqual(groups[0].firstSeen, NOW - 6000)
+    assert.strictEqual(groups[0].lastSeen, NOW - 3000)
+})
+
+test('any fingerprint can be grouped', function(t) {
+    var result = run(t, [
+        line([error('__proto__', 1, NOW), error('constructor', 2, NOW)]),
+        line([error('__proto__', 4, NOW)])
+    ], ['group', '--json'])
+    var groups = JSON.parse(result.output)
+
+    assert.deepStrictEqual(groups.map(function(g) {
+        return [g.fingerprint, g.count, g.reports]
+    }).sort(), [['__proto__', 5, 2], ['constructor', 2, 1]])
+})
+
+test('errors are listed, and filtered', function(t) {
+    var result = run(t, [
+        line([error('abc', 1, NOW - 60 * 60 * 1000),
+              error('def', 1, NOW - 3 * 24 * 60 * 60 * 1000)])
+    ], ['list', '--since', '1d', '--json'])
+    var errors = JSON.parse(result.output)
+
+    assert.deepStrictEqual(errors.map(function(e) { return e.fingerprint }),
+                           ['abc'])
+    assert.strictEqual(errors[0].receivedAt, NOW)
+    assert.strictEqual(errors[0].reportIndex, undefined)
+})
+
+test('errors keep an environment of their own', function(t) {
+    var other  = error('def', 1, NOW)
+    var stored, errors
+
+    other.environment = {userAgent: 'an older browser'}
+    stored = JSON.parse(line([error('abc', 1, NOW), other]))
+    stored.report.environment = {userAgent: 'the usual browser'}
+    errors = JSON.parse(run(t, [JSON.stringify(stored)],
+                            ['list', '--json']).output)
+
+    assert.deepStrictEqual(errors.map(function(e) {
+        return e.environment.userAgent
+    }).sort(), ['an older browser', 'the usual browser'])
+})
+
+test('reports that are not valid are described', function(t) {
+    var result = run(t, [line([error('abc', 1, NOW)]), '{"not": "a report"}',
+                         'not even JSON'], ['list', '--json'])
+
+    assert.strictEqual(result.status, 0)
+    assert.strictEqual(JSON.parse(result.output).length, 1)
+    assert.strictEqual(result.problems.length, 2)
+})
+
+test('a table is printed for the terminal', function(t) {
+    var result = run(t, [line([error('abc', 2, NOW)])], ['top'])
+    var rows   = result.output.split('\n')
+
+    assert.match(rows[0], /^COUNT\s+REPORTS\s+LAST SEEN\s+FINGERPRINT/)
+    assert.match(rows[1], /^2\s+1\s+2024-01-31 12:00:00\s+abc/)
+})
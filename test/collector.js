@@ -0,0 +1,211 @@
+/**
+ * @file Tests for the collector: storing the reports it is sent, turning
+ *       down the ones it can't use, and surviving requests it can't read.
+ */
+var test      = require('node:test')
+var assert    = require('node:assert')
+var fs        = require('fs')
+var os        = require('os')
+var path      = require('path')
+var http      = require('http')
+var net       = require('net')
+var collector = require('../server/collector')
+
+var REPORT = {
+    errorTrackerVersion: '0.1.0',
+    errorReportVersion:  2,
+    errorsTracked:       []
+}
+
+// start a collector writing to a directory of its own, for one test
+var start = function(t, options, callback) {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-'))
+    var handler, server
+
+    options           = options || {}
+    options.directory = directory
+    handler = collector.createCollector(options)
+    server  = handler.listen(0, '127.0.0.1', function() {
+        callback(server.address().port, directory)
+    })
+
+    t.after(function() {
+        server.close()
+        fs.rmSync(directory, {recursive: true, force: true})
+    })
+}
+
+// make a request, and hear back its status, headers and body
+var request = function(port, options, body) {
+    return new Promise(function(resolve, reject) {
+        var req
+
+        options.host = '127.0.0.1'
+        options.port = port
+        req = http.request(options, function(res) {
+            var chunks = []
+
+            res.on('data', function(chunk) { chunks.push(chunk) })
+            res.on('end', function() {
+                resolve({
+                    status:  res.statusCode,
+                    headers: res.headers,
+                    body:    Buffer.concat(chunks).toString('utf8')
+                })
+            })
+        })
+        req.on('error', reject)
+        req.end(body)
+    })
+}
+
+var stored = function(directory) {
+    var file = path.join(directory, 'errors.ndjson')
+
+    if (!fs.existsSync(file)) return []
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse)
+}
+
+test('a valid report is stored, upgraded', function(t, done) {
+    start(t, {}, function(port, directory) {
+        var old = {
+            errorTrackerVersion: '0.0.9',
+            errorReportVersion:  1,
+            errorsTracked:       [{message: 'boom', savedAt: 1}]
+        }
+
+        request(port, {method: 'POST', path: '/'}, JSON.stringify(old))
+            .then(function(res) {
+                var lines = stored(directory)
+
+                assert.strictEqual(res.status, 200)
+                assert.deepStrictEqual(JSON.parse(res.body),
+                                       {state: 'success'})
+                assert.strictEqual(lines.length, 1)
+                assert.strictEqual(typeof lines[0].receivedAt, 'number')
+                assert.strictEqual(lines[0].report.errorReportVersion, 2)
+                assert.strictEqual(lines[0].report.errorsTracked[0].message,
+                                   'boom')
+                done()
+            })
+            .catch(done)
+    })
+})
+
+test('reports that are not valid are turned down', function(t, done) {
+    start(t, {}, function(port, directory) {
+        Promise.all([
+            request(port, {method: 'POST', path: '/'}, '{not json'),
+            request(port, {method: 'POST', path: '/'}, '{}')
+        ]).then(function(responses) {
+            responses.forEach(function(res) {
+                assert.strictEqual(JSON.parse(res.body).state, 'failure')
+            })
+            assert.match(JSON.parse(responses[0].body).reason, /JSON/)
+            assert.deepStrictEqual(stored(directory), [])
+            done()
+        }).catch(done)
+    })
+})
+
+test('reports larger than maxBodyBytes are turned down', function(t, done) {
+    start(t, {maxBodyBytes: 10}, function(port) {
+        request(port, {method: 'POST', path: '/'}, JSON.stringify(REPORT))
+            .then(function(res) {
+                assert.strictEqual(res.status, 413)
+                done()
+            })
+            .catch(done)
+    })
+})
+
+test('image requests get a pixel back', function(t, done) {
+    start(t, {}, function(port, directory) {
+        var query = '/?report=' + encodeURIComponent(JSON.stringify(REPORT))
+
+        request(port, {method: 'GET', path: query}).then(function(res) {
+            assert.strictEqual(res.status, 200)
+            assert.strictEqual(res.headers['content-type'], 'image/gif')
+            assert.strictEqual(stored(directory).length, 1)
+            done()
+        }).catch(done)
+    })
+})
+
+test('origins that are not allowed are turned away', function(t, done) {
+    start(t, {cors: ['https://app.example.com']}, function(port) {
+        var post = function(origin) {
+            return request(port, {
+                method:  'POST',
+                path:    '/',
+                headers: {Origin: origin}
+            }, JSON.stringify(REPORT))
+        }
+
+        Promise.all([post('https://app.example.com'),
+                     post('https://evil.example.net')])
+            .then(function(responses) {
+                assert.strictEqual(responses[0].status, 200)
+                assert.strictEqual(
+                    responses[0].headers['access-control-allow-origin'],
+                    'https://app.example.com')
+                assert.strictEqual(responses[1].status, 403)
+                done()
+            })
+            .catch(done)
+    })
+})
+
+test('a URL that cannot be parsed is answered with a 400', function(t, done) {
+    start(t, {}, function(port) {
+        var socket   = net.connect(port, '127.0.0.1')
+        var response = ''
+
+        socket.on('connect', function() {
+            socket.write('POST // HTTP/1.1\r\nHost: x\r\n' +
+                         'Content-Length: 0\r\nConnection: close\r\n\r\n')
+        })
+        socket.on('data', function(chunk) { response += chunk })
+        socket.on('end', function() {
+            assert.match(response, /^HTTP\/1\.1 400 /)
+            done()
+        })
+    })
+})
+
+test('a report that cannot be upgraded is answered with a 400',
+     function(t, done) {
+    var ErrorTrackerReport = require('../ErrorTrackerReport')
+
+    t.mock.method(ErrorTrackerReport, 'upgrade', function() {
+        throw new Error('upgrade failed')
+    })
+    start(t, {}, function(port, directory) {
+        request(port, {method: 'POST', path: '/'}, JSON.stringify(REPORT))
+            .then(function(res) {
+                assert.strictEqual(res.status, 400)
+                assert.strictEqual(JSON.parse(res.body).state, 'failure')
+                assert.deepStrictEqual(stored(directory), [])
+                done()
+            })
+            .catch(done)
+    })
+})
+
+test('the file is rotated once it grows too large', function(t, done) {
+    start(t, {maxFileBytes: 10}, function(port, directory) {
+        var post = function() {
+            return request(port, {method: 'POST', path: '/'},
+                           JSON.stringify(REPORT))
+        }
+
+        post().then(post).then(function() {
+            var names = fs.readdirSync(directory).sort()
+
+            assert.strictEqual(names.length, 2)
+            assert.match(names[0], /^errors-\d{8}-\d{6}\.ndjson$/)
+            assert.strictEqual(names[1], 'errors.ndjson')
+            done()
+        }).catch(done)
+    })
+})
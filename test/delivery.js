@@ -0,0 +1,294 @@
+/**
+ * @file Tests for sending errors to the server: acknowledging, batching and
+ *       retrying them.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+var xhr     = require('./support/xhr')
+
+var load = function(t, options) {
+    var requests
+    var window   = browser.load(t, {before: function(window) {
+        requests = xhr(window)
+    }})
+
+    window.ErrorTracker.configure(Object.assign({
+        endpoint: 'https://app.example.com/errors'
+    }, options))
+
+    return {window: window, ErrorTracker: window.ErrorTracker,
+            requests: requests}
+}
+
+var messages = function(errors) {
+    return browser.plain(errors.map(function(e) { return e.message }))
+}
+
+// the body of a Blob, parsed as JSON
+var read = function(window, blob) {
+    return new Promise(function(resolve) {
+        var reader = new window.FileReader()
+
+        reader.onload = function() { resolve(JSON.parse(reader.result)) }
+        reader.readAsText(blob)
+    })
+}
+
+var wait = function(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms) })
+}
+
+test('errors the server acknowledges are forgotten', function(t) {
+    var page = load(t)
+
+    page.ErrorTracker.saveError(new page.window.Error('delivered'))
+    page.ErrorTracker.sendErrors()
+
+    assert.strictEqual(page.requests.length, 1)
+    assert.deepStrictEqual(messages(page.requests[0].body.errorsTracked),
+                           ['delivered'])
+
+    page.requests[0].respond(200, {state: 'success'})
+    assert.deepStrictEqual(messages(page.ErrorTracker.trackedErrors()), [])
+})
+
+test('errors are kept, and not sent twice, while a send is waiting',
+     function(t) {
+    var page = load(t)
+
+    page.ErrorTracker.saveError(new page.window.Error('first'))
+    page.ErrorTracker.sendErrors()
+    page.ErrorTracker.saveError(new page.window.Error('second'))
+    page.ErrorTracker.sendErrors()
+
+    assert.strictEqual(page.requests.length, 2)
+    assert.deepStrictEqual(messages(page.requests[1].body.errorsTracked),
+                           ['second'])
+
+    page.requests[0].respond(200, {state: 'success'})
+    assert.deepStrictEqual(messages(page.ErrorTracker.trackedErrors()),
+                           ['second'])
+})
+
+test('no more than maxBatchSize errors are sent at once', function(t) {
+    var page = load(t, {maxBatchSize: 2})
+
+    ;['one', 'two', 'three'].forEach(function(message) {
+        page.ErrorTracker.saveError(new page.window.Error(message))
+    })
+    page.ErrorTracker.sendErrors()
+
+    assert.deepStrictEqual(messages(page.requests[0].body.errorsTracked),
+                           ['one', 'two'])
+})
+
+test('a burst of errors is sent in one request', async function(t) {
+    var page = load(t, {autoSendErrors: true, sendDebounce: 10})
+
+    page.ErrorTracker.receiveError(new page.window.Error('one'))
+    page.ErrorTracker.receiveError(new page.window.Error('two'))
+    assert.strictEqual(page.requests.length, 0)
+
+    await wait(30)
+    assert.strictEqual(page.requests.length, 1)
+    assert.deepStrictEqual(messages(page.requests[0].body.errorsTracked),
+                           ['one', 'two'])
+})
+
+test('failed sends are retried up to retryLimit times', async function(t) {
+    var page     = load(t, {retryLimit: 2, retryDelay: 10, retryMaxDelay: 15})
+    var delivery = page.ErrorTracker.__INTERNALS__.delivery
+    var answered = 0
+    var answer   = function() {
+        while (answered < page.requests.length) {
+            page.requests[answered++].respond(500, 'down for maintenance')
+        }
+    }
+
+    page.ErrorTracker.saveError(new page.window.Error('undelivered'))
+    page.ErrorTracker.sendErrors()
+    answer()
+    assert.strictEqual(delivery.attempts, 1)
+
+    await wait(40)
+    answer()
+    await wait(40)
+    answer()
+
+    // the first try, then one for each retry, and then it gives up
+    assert.strictEqual(page.requests.length, 3)
+    assert.strictEqual(delivery.retryTimer, undefined)
+    assert.strictEqual(delivery.attempts, 0)
+    assert.strictEqual(page.ErrorTracker.trackedErrors().length, 1)
+})
+
+test('retries wait about twice as long each time', function(t) {
+    var page   = load(t, {retryDelay: 1000, retryMaxDelay: 3000})
+    var delays = []
+
+    t.mock.method(page.window.Math, 'random', function() { return 1 })
+    t.mock.method(page.window, 'setTimeout', function(fn, delay) {
+        delays.push(delay)
+        return 1
+    })
+
+    ;[0, 1, 2].forEach(function() {
+        page.ErrorTracker.__INTERNALS__.delivery.retryTimer = undefined
+        page.ErrorTracker.__INTERNALS__.scheduleRetry()
+    })
+    assert.deepStrictEqual(delays, [1000, 2000, 3000])
+})
+
+test('leaving the page sends every error with sendBeacon', async function(t) {
+    var beacons = []
+    var page    = load(t, {autoSendErrors: true, sendDebounce: 0})
+    var bodies
+
+    page.window.navigator.sendBeacon = function(url, blob) {
+        beacons.push(blob)
+        return true
+    }
+    page.ErrorTracker.saveError(new page.window.Error('on its way'))
+    page.ErrorTracker.sendErrors()
+    page.ErrorTracker.saveError(new page.window.Error('waiting'))
+    page.window.dispatchEvent(new page.window.Event('pagehide'))
+
+    // the request already under way is cancelled with the page, so the
+    // error it carried goes along too
+    bodies = await Promise.all(beacons.map(function(blob) {
+        return read(page.window, blob)
+    }))
+    assert.deepStrictEqual(bodies.map(function(body) {
+        return messages(body.errorsTracked)
+    }), [['on its way', 'waiting']])
+    assert.deepStrictEqual(messages(page.ErrorTracker.trackedErrors()), [])
+})
+
+test('beacons are split to fit in beaconMaxBytes', async function(t) {
+    var beacons = []
+    var page    = load(t, {
+        flushOnUnload:      true,
+        beaconMaxBytes:     600,
+        environmentBrowser: false,
+        environmentScreen:  false,
+        environmentLocale:  false,
+        environmentNetwork: false
+    })
+    var bodies
+
+    page.window.navigator.sendBeacon = function(url, blob) {
+        beacons.push(blob)
+        return blob.size <= 600
+    }
+    ;['one', 'two', 'three', 'four', 'x'.repeat(600)].forEach(function(m) {
+        var e = new page.window.Error(m)
+
+        e.stack = undefined
+        page.ErrorTracker.saveError(e)
+    })
+    page.window.dispatchEvent(new page.window.Event('pagehide'))
+
+    bodies = await Promise.all(beacons.map(function(blob) {
+        return read(page.window, blob)
+    }))
+    assert.ok(bodies.length > 1)
+    assert.deepStrictEqual([].concat.apply([], bodies.map(function(body) {
+        return messages(body.errorsTracked)
+    })), ['one', 'two', 'three', 'four'])
+
+    // the error too large to send on its own is kept for later
+    assert.strictEqual(page.ErrorTracker.trackedErrors().length, 1)
+})
+
+test('nothing is sent on leaving with flushOnUnload off', function(t) {
+    var page = load(t, {autoSendErrors: true, flushOnUnload: false})
+    var sent = 0
+
+    page.window.navigator.sendBeacon = function() { return !!++sent }
+    page.ErrorTracker.saveError(new page.window.Error('kept'))
+    page.window.dispatchEvent(new page.window.Event('pagehide'))
+
+    assert.strictEqual(sent, 0)
+    assert.strictEqual(page.ErrorTracker.trackedErrors().length, 1)
+})
+
+test('a custom transport is given the payload to send', function(t) {
+    var payloads = []
+    var page     = load(t, {
+        transportHeaders: {'X-Api-Key': 'k'},
+        transport: {send: function(payload, callback) {
+            payloads.push(payload)
+            callback({state: 'success'})
+        }}
+    })
+
+    page.ErrorTracker.saveError(new page.window.Error('delivered'))
+    page.ErrorTracker.sendErrors()
+
+    assert.strictEqual(payloads.length, 1)
+    assert.strictEqual(payloads[0].url, 'https://app.example.com/errors')
+    assert.deepStrictEqual(browser.plain(payloads[0].headers), {
+        'Content-Type': 'application/json',
+        'X-Api-Key':    'k'
+    })
+    assert.deepStrictEqual(messages(JSON.parse(payloads[0].body)
+                                        .errorsTracked), ['delivered'])
+    assert.strictEqual(payloads[0].timeout, 30000)
+    assert.deepStrictEqual(messages(page.ErrorTracker.trackedErrors()), [])
+})
+
+test('a transport that throws is a failed send', function(t) {
+    var page    = load(t, {transport: {send: function() {
+        throw new Error('no network')
+    }}})
+    var answers = []
+
+    page.ErrorTracker.__INTERNALS__.ajax({}, 'https://x/', function(answer) {
+        answers.push(answer)
+    })
+    page.ErrorTracker.saveError(new page.window.Error('undelivered'))
+    page.ErrorTracker.sendErrors()
+
+    assert.strictEqual(answers.length, 1)
+    assert.strictEqual(answers[0].state, 'failure')
+    assert.match(answers[0].reason, /no network/)
+
+    // the transport's error isn't tracked, to fail to send in turn
+    assert.deepStrictEqual(messages(page.ErrorTracker.trackedErrors()),
+                           ['undelivered'])
+    assert.strictEqual(page.ErrorTracker.__INTERNALS__.delivery.attempts, 1)
+})
+
+test('a transport is only heard from once per send', function(t) {
+    var page = load(t, {transport: {send: function(payload, callback) {
+        callback({state: 'failure', reason: 'first'})
+        callback({state: 'success'})
+    }}})
+
+    page.ErrorTracker.saveError(new page.window.Error('undelivered'))
+    page.ErrorTracker.sendErrors()
+
+    assert.strictEqual(page.ErrorTracker.trackedErrors().length, 1)
+    assert.strictEqual(page.ErrorTracker.__INTERNALS__.delivery.attempts, 1)
+})
+
+test('a fetch that never finishes times out, once', async function(t) {
+    var page    = load(t)
+    var answers = []
+
+    page.window.fetch = function(url, init) {
+        return new Promise(function(resolve, reject) {
+            init.signal.addEventListener('abort', function() {
+                reject(new Error('aborted'))
+            })
+        })
+    }
+    page.ErrorTracker.__INTERNALS__.TRANSPORTS.fetch.send({
+        url: 'https://x/', body: '{}', headers: {}, timeout: 10
+    }, function(answer) { answers.push(answer) })
+
+    await wait(40)
+    assert.deepStrictEqual(browser.plain(answers),
+                           [{state: 'failure', reason: 'timed out'}])
+})
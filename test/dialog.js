@@ -0,0 +1,199 @@
+/**
+ * @file Tests for the dialog that asks the user about errors, and the feedback
+ *       it collects.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+// the dialog's shadow root, and whatever in it has the keyboard's focus
+var dialog = function(window) {
+    var root = window.document.getElementById('ErrorTracker_errorBox')
+                   .shadowRoot
+
+    return {
+        root:    root,
+        box:     root.querySelector('.box'),
+        focused: function() { return root.activeElement }
+    }
+}
+
+var press = function(window, element, key, shiftKey) {
+    var event = new window.KeyboardEvent('keydown', {
+        key:        key,
+        shiftKey:   !!shiftKey,
+        bubbles:    true,
+        cancelable: true,
+        composed:   true
+    })
+
+    element.dispatchEvent(event)
+    return event
+}
+
+test('the dialog is an alertdialog that takes the focus', function(t) {
+    var window = browser.load(t)
+    var opened
+
+    window.ErrorTracker.configure({endpoint: '/api/errors'})
+    window.ErrorTracker.displayWindow()
+    opened = dialog(window)
+
+    assert.strictEqual(opened.box.getAttribute('role'), 'alertdialog')
+    assert.strictEqual(opened.box.getAttribute('aria-modal'), 'true')
+    assert.strictEqual(
+        opened.root.getElementById(opened.box.getAttribute('aria-labelledby'))
+            .textContent,
+        'A scripting error occurred'
+    )
+    assert.strictEqual(opened.focused().className, 'send')
+})
+
+test('the focus goes round the dialog until it is closed', function(t) {
+    var window = browser.load(t)
+    var opened, check
+
+    window.ErrorTracker.configure({endpoint: '/api/errors'})
+    window.ErrorTracker.displayWindow()
+    opened = dialog(window)
+    check  = opened.root.querySelector('input')
+
+    assert.strictEqual(press(window, opened.focused(), 'Tab', true)
+                           .defaultPrevented, true)
+    assert.strictEqual(opened.focused(), check)
+
+    press(window, check, 'Tab')
+    assert.strictEqual(opened.focused().className, 'send')
+
+    // in between, Tab is left to the browser
+    assert.strictEqual(press(window, opened.focused(), 'Tab')
+                           .defaultPrevented, false)
+})
+
+test('Escape dismisses the dialog and gives the focus back', function(t) {
+    var window = browser.load(t)
+    var button = window.document.createElement('button')
+    var sent   = 0
+
+    window.document.body.appendChild(button)
+    button.focus()
+    window.ErrorTracker.configure({endpoint: '/api/errors'})
+    window.ErrorTracker.before('sendErrors', function() { sent++ })
+    window.ErrorTracker.displayWindow()
+
+    press(window, dialog(window).focused(), 'Escape')
+
+    assert.strictEqual(
+        window.document.getElementById('ErrorTracker_errorBox'), null
+    )
+    assert.strictEqual(window.document.activeElement, button)
+    assert.strictEqual(sent, 0)
+})
+
+test('there is nothing to submit to without an endpoint', function(t) {
+    var window = browser.load(t)
+    var opened
+
+    window.ErrorTracker.displayWindow()
+    opened = dialog(window)
+
+    assert.strictEqual(opened.root.querySelector('.send'), null)
+    assert.strictEqual(opened.focused().className, 'close')
+})
+
+test('feedback goes with the errors about to be sent, scrubbed',
+     function(t) {
+    var window  = browser.load(t)
+    var tracker = window.ErrorTracker
+    var saved   = tracker.saveError(new window.Error('Oops'))
+
+    tracker.__INTERNALS__.saveFeedback({
+        description: 'I clicked "Pay" twice',
+        contact:     'someone@example.com'
+    })
+
+    assert.strictEqual(tracker.trackedErrors().length, 1)
+    assert.strictEqual(saved.feedback.description, 'I clicked "Pay" twice')
+    assert.strictEqual(saved.feedback.contact, '[Filtered]')
+})
+
+test('feedback with no errors to go with is tracked on its own',
+     function(t) {
+    var window  = browser.load(t)
+    var tracker = window.ErrorTracker
+
+    tracker.configure({beforeSend: function(e) {
+        if (e.feedback.description == 'Never mind') return false
+    }})
+    tracker.__INTERNALS__.saveFeedback({description: 'Never mind'})
+    tracker.__INTERNALS__.saveFeedback({description: 'It looks odd'})
+
+    assert.deepStrictEqual(browser.plain(tracker.trackedErrors().map(
+        function(e) { return [e.type, e.message] }
+    )), [['feedback', 'It looks odd']])
+})
+
+test('the dialog speaks the page\'s language, or the browser\'s',
+     function(t) {
+    var window = browser.load(t, {before: function(window) {
+        Object.defineProperty(window.navigator, 'languages', {
+            value: ['sv-SE', 'de-AT', 'en']
+        })
+    }})
+    var tracker = window.ErrorTracker
+    var locale  = tracker.__INTERNALS__.dialogLocale
+
+    window.document.documentElement.lang = 'fr-CA'
+    assert.strictEqual(locale(), 'fr-CA')
+
+    // there's no Swedish, unless the application brings it
+    window.document.documentElement.lang = 'sv'
+    assert.strictEqual(locale(), 'de-AT')
+    tracker.configure({messageCatalogs: {SV: {errorCloseText: 'St\u00e4ng'}}})
+    assert.strictEqual(locale(), 'sv')
+
+    tracker.configure({locale: 'xx'})
+    assert.strictEqual(locale(), 'xx')
+})
+
+test('missing text comes from the language, then English', function(t) {
+    var window  = browser.load(t)
+    var tracker = window.ErrorTracker
+    var message = tracker.__INTERNALS__.message
+
+    tracker.configure({
+        locale:          'pt-BR',
+        messageCatalogs: {'pt-BR': {errorCloseText: 'Fechar janela'},
+                          'pt':    {errorSendText:  'Enviar'}},
+        errorTitleText:  'Oops'
+    })
+
+    assert.strictEqual(message('errorCloseText'), 'Fechar janela')
+    assert.strictEqual(message('errorSendText'), 'Enviar')
+    assert.strictEqual(message('errorNoMoreText'), 'Ignorar erros futuros')
+    assert.strictEqual(message('errorTitleText'), 'Oops')
+
+    tracker.configure({locale: 'xx'})
+    assert.strictEqual(message('errorCloseText'), 'Dismiss')
+})
+
+test('the dialog is laid out from right to left where it should be',
+     function(t) {
+    var window = browser.load(t)
+    var box
+
+    window.document.documentElement.lang = 'he'
+    window.ErrorTracker.displayWindow()
+    box = dialog(window).box
+
+    assert.strictEqual(box.getAttribute('lang'), 'he')
+    assert.strictEqual(box.getAttribute('dir'), 'rtl')
+    assert.strictEqual(box.querySelector('.close').textContent,
+                       '\u05e1\u05d2\u05d9\u05e8\u05d4')
+
+    window.ErrorTracker.dismissWindow()
+    window.document.documentElement.lang = 'de'
+    window.ErrorTracker.displayWindow()
+
+    assert.strictEqual(dialog(window).box.getAttribute('dir'), 'ltr')
+})
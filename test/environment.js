@@ -0,0 +1,113 @@
+/**
+ * @file Tests for describing the browser environment errors happened in.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+// each user agent, with the browser, operating system and device it names
+var AGENTS = [
+    ['Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+     '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+     'Chrome 120.0.0.0', 'Windows 10.0', 'desktop'],
+    ['Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
+     '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.61',
+     'Edge 120.0.2210.61', 'Windows 10.0', 'desktop'],
+    ['Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) ' +
+     'AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 ' +
+     'Mobile/15E148 Safari/604.1',
+     'Safari 17.1', 'iOS 17.1', 'mobile'],
+    ['Mozilla/5.0 (iPad; CPU OS 16_6 like Mac OS X) AppleWebKit/605.1.15 ' +
+     '(KHTML, like Gecko) CriOS/119.0.6045.169 Mobile/15E148 Safari/604.1',
+     'Chrome 119.0.6045.169', 'iOS 16.6', 'tablet'],
+    ['Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 ' +
+     '(KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+     'Chrome 120.0.0.0', 'Android 14', 'mobile'],
+    ['Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 ' +
+     '(KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 ' +
+     'Safari/537.36',
+     'Samsung Internet 23.0', 'Android 13', 'tablet'],
+    ['Mozilla/5.0 (Macintosh; Intel Mac OS X 14.1; rv:120.0) ' +
+     'Gecko/20100101 Firefox/120.0',
+     'Firefox 120.0', 'macOS 14.1', 'desktop'],
+    ['Mozilla/5.0 (Windows NT 6.1; WOW64; Trident/7.0; rv:11.0) like Gecko',
+     'Internet Explorer 11.0', 'Windows 6.1', 'desktop'],
+    ['Mozilla/5.0 (X11; CrOS x86_64 14541.0.0) AppleWebKit/537.36 ' +
+     '(KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+     'Chrome 120.0.0.0', 'Chrome OS null', 'desktop']
+]
+
+test('user agents are parsed', function(t) {
+    var window = browser.load(t)
+    var parse  = window.ErrorTracker.__INTERNALS__.parseUserAgent
+
+    AGENTS.forEach(function(agent) {
+        var parsed = parse(agent[0])
+
+        assert.deepStrictEqual([
+            parsed.browser.name + ' ' + parsed.browser.version,
+            parsed.os.name + ' ' + parsed.os.version,
+            parsed.device.family
+        ], agent.slice(1), agent[0])
+    })
+})
+
+test('unknown user agents are left null', function(t) {
+    var window = browser.load(t)
+    var parsed = window.ErrorTracker.__INTERNALS__.parseUserAgent('')
+
+    assert.deepStrictEqual(browser.plain(parsed), {
+        browser: {name: null, version: null},
+        os:      {name: null, version: null},
+        device:  {family: null}
+    })
+})
+
+test('errors are tracked with their environment', function(t) {
+    var window = browser.load(t)
+    var saved  = window.ErrorTracker.saveError(new window.Error('Oops'))
+
+    assert.strictEqual(saved.environment.userAgent,
+                       window.navigator.userAgent)
+    assert.strictEqual(saved.environment.online, true)
+    assert.ok(saved.environment.viewport)
+    assert.ok(saved.environment.language)
+})
+
+test('each group can be turned off', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({
+        environmentBrowser: false,
+        environmentScreen:  false,
+        environmentNetwork: false
+    })
+
+    assert.deepStrictEqual(Object.keys(window.ErrorTracker.saveError(
+        new window.Error('Oops')
+    ).environment).sort(), ['language', 'languages', 'timeZone',
+                            'timeZoneOffset'])
+})
+
+test('the environment most errors share is sent once', function(t) {
+    var window      = browser.load(t)
+    var buildReport = window.ErrorTracker.__INTERNALS__.buildReport
+    var report
+
+    // as if the last error had been restored from an older browser's tab
+    window.ErrorTracker.configure({beforeSend: function(e) {
+        if (e.message == 'restored') {
+            e.environment = {userAgent: 'an older browser'}
+        }
+    }})
+    window.ErrorTracker.saveError(new window.Error('first'))
+    window.ErrorTracker.saveError(new window.Error('second'))
+    window.ErrorTracker.saveError(new window.Error('restored'))
+    report = browser.plain(buildReport(window.ErrorTracker.trackedErrors()))
+
+    assert.strictEqual(report.environment.userAgent,
+                       window.navigator.userAgent)
+    assert.deepStrictEqual(report.errorsTracked.map(function(e) {
+        return e.environment
+    }), [undefined, undefined, {userAgent: 'an older browser'}])
+})
@@ -0,0 +1,107 @@
+/**
+ * @file Tests for filtering out ignored errors, and errors from denied (or
+ *       not allowed) URLs.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+// an error reported by the browser, from a given script
+var event = function(window, message, filename, stack) {
+    return new window.ErrorEvent('error', {
+        message:  message,
+        filename: filename,
+        lineno:   1,
+        colno:    1,
+        error:    stack ? {stack: stack} : null
+    })
+}
+
+var messages = function(window) {
+    return browser.plain(window.ErrorTracker.trackedErrors().map(
+        function(e) { return e.message }
+    ))
+}
+
+test('noise is filtered out by default', function(t) {
+    var window = browser.load(t)
+    var app    = 'https://app.example.com/app.js'
+
+    window.ErrorTracker.saveError(event(window, 'Script error.', ''))
+    window.ErrorTracker.saveError(event(window,
+        'ResizeObserver loop completed with undelivered notifications.', app))
+    window.ErrorTracker.saveError(event(window, 'extension broke',
+                                        'chrome-extension://abc/content.js'))
+    window.ErrorTracker.saveError(event(window, 'mine', app))
+
+    assert.deepStrictEqual(messages(window), ['mine'])
+    assert.strictEqual(window.ErrorTracker.droppedErrors().ignoreErrors, 2)
+    assert.strictEqual(window.ErrorTracker.droppedErrors().denyUrls, 1)
+})
+
+test('errors that passed through a denied script are denied', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.saveError(event(window, 'called back',
+        'https://app.example.com/app.js',
+        'Error: called back\n' +
+        '    at handler (https://app.example.com/app.js:1:1)\n' +
+        '    at listener (chrome-extension://abc/content.js:9:9)'))
+
+    assert.deepStrictEqual(messages(window), [])
+    assert.strictEqual(window.ErrorTracker.droppedErrors().denyUrls, 1)
+})
+
+test('allowUrls only keeps errors from the scripts given', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({allowUrls: ['app.example.com']})
+    window.ErrorTracker.saveError(event(window, 'ad',
+                                        'https://ads.example.net/ad.js'))
+    window.ErrorTracker.saveError(event(window, 'mine',
+                                        'https://app.example.com/app.js'))
+
+    assert.deepStrictEqual(messages(window), ['mine'])
+    assert.strictEqual(window.ErrorTracker.droppedErrors().allowUrls, 1)
+})
+
+test('allowUrls does not apply to failed resources', function(t) {
+    var window = browser.load(t)
+    var image  = window.document.createElement('img')
+
+    window.ErrorTracker.configure({
+        allowUrls:             ['app.example.com'],
+        captureResourceErrors: true
+    })
+    image.src = 'https://cdn.example.net/logo.png'
+    window.document.body.appendChild(image)
+    image.dispatchEvent(new window.Event('error'))
+
+    assert.strictEqual(window.ErrorTracker.trackedErrors().length, 1)
+})
+
+test('denyUrls applies to the URL of failed resources', function(t) {
+    var window = browser.load(t)
+    var image  = window.document.createElement('img')
+
+    window.ErrorTracker.configure({
+        denyUrls:              ['cdn.example.net'],
+        captureResourceErrors: true
+    })
+    image.src = 'https://cdn.example.net/logo.png'
+    window.document.body.appendChild(image)
+    image.dispatchEvent(new window.Event('error'))
+
+    assert.strictEqual(window.ErrorTracker.trackedErrors().length, 0)
+})
+
+test('the filters can be emptied', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({ignoreErrors: [], denyUrls: undefined})
+    window.ErrorTracker.saveError(event(window, 'Script error.', ''))
+    window.ErrorTracker.saveError(event(window, 'extension broke',
+                                        'chrome-extension://abc/content.js'))
+
+    assert.strictEqual(window.ErrorTracker.trackedErrors().length, 2)
+})
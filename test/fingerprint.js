@@ -0,0 +1,67 @@
+/**
+ * @file Tests for fingerprinting tracked errors and counting repeats.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+var xhr     = require('./support/xhr')
+
+var counts = function(window) {
+    return browser.plain(window.ErrorTracker.trackedErrors().map(
+        function(e) { return [e.message, e.count] }
+    ))
+}
+
+test('repeats of an error are counted, not tracked again', function(t) {
+    var window = browser.load(t)
+    var boom   = function() { return new window.Error('loop') }
+    var saved
+
+    for (var i = 0; i < 100; i++) window.ErrorTracker.saveError(boom())
+    window.ErrorTracker.saveError(new window.Error('other'))
+    saved = window.ErrorTracker.trackedErrors()
+
+    assert.deepStrictEqual(counts(window), [['loop', 100], ['other', 1]])
+    assert.notStrictEqual(saved[0].fingerprint, saved[1].fingerprint)
+    assert.ok(saved[0].lastSeen >= saved[0].firstSeen)
+})
+
+test('a fingerprint function decides what counts as a repeat', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({
+        fingerprint: function(e) { return e.message.charAt(0) }
+    })
+    window.ErrorTracker.saveError(new window.Error('apple'))
+    window.ErrorTracker.saveError(new window.Error('avocado'))
+    window.ErrorTracker.saveError(new window.Error('banana'))
+
+    assert.deepStrictEqual(counts(window), [['apple', 2], ['banana', 1]])
+})
+
+test('a fingerprint function that throws is passed over', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({
+        fingerprint: function() { throw new Error('broken') }
+    })
+    window.ErrorTracker.saveError(new window.Error('apple'))
+    window.ErrorTracker.saveError(new window.Error('avocado'))
+
+    assert.deepStrictEqual(counts(window), [['apple', 1], ['avocado', 1]])
+})
+
+test('errors on their way to the server are not counted into', function(t) {
+    var requests
+    var window   = browser.load(t, {before: function(window) {
+        requests = xhr(window)
+    }})
+
+    window.ErrorTracker.configure({endpoint: 'https://app.example.com/errors'})
+    window.ErrorTracker.saveError(new window.Error('again'))
+    window.ErrorTracker.sendErrors()
+    window.ErrorTracker.saveError(new window.Error('again'))
+
+    assert.deepStrictEqual(counts(window), [['again', 1], ['again', 1]])
+    assert.strictEqual(requests[0].body.errorsTracked[0].count, 1)
+})
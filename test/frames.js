@@ -0,0 +1,183 @@
+/**
+ * @file Tests for frames relaying their errors to the top-level page, and the
+ *       page pushing its settings down to them.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+var wait = function(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms) })
+}
+
+// jsdom has no MessageChannel; the ports made for the test `t` are closed
+// once it is over
+var channels = function(t, window) {
+    var made = []
+
+    t.after(function() {
+        made.forEach(function(channel) {
+            channel.port1.close()
+            channel.port2.close()
+        })
+    })
+    window.MessageChannel = function() {
+        var channel = new MessageChannel()
+        made.push(channel)
+        return channel
+    }
+}
+
+// jsdom's postMessage() leaves out the source, origin and ports of the
+// message, so it is dispatched by hand
+var message = function(window, data, init) {
+    var event = new window.Event('message')
+
+    Object.keys(init).forEach(function(key) {
+        Object.defineProperty(event, key, {value: init[key]})
+    })
+    Object.defineProperty(event, 'data', {value: data})
+    window.dispatchEvent(event)
+}
+
+// a page with a frame in it, with ErrorTracker loaded into both
+var framed = function(t) {
+    var window = browser.load(t)
+    var iframe = window.document.createElement('iframe')
+
+    window.document.body.appendChild(iframe)
+    iframe.contentWindow.eval(browser.source)
+
+    return {page: window, frame: iframe.contentWindow}
+}
+
+test('only the page\'s origin and frameOrigins are trusted', function(t) {
+    var window  = browser.load(t)
+    var trusted = window.ErrorTracker.__INTERNALS__.isTrustedOrigin
+
+    assert.strictEqual(trusted('https://app.example.com'), true)
+    assert.strictEqual(trusted('https://widgets.example.com'), false)
+    assert.strictEqual(trusted('null'), false)
+
+    window.ErrorTracker.configure({frameOrigins: [
+        'https://widgets.example.com', /^https:\/\/[a-z]+\.cdn\.example$/
+    ]})
+    assert.strictEqual(trusted('https://widgets.example.com'), true)
+    assert.strictEqual(trusted('https://widgets.example.com.evil.org'),
+                       false)
+    assert.strictEqual(trusted('https://eu.cdn.example'), true)
+    assert.strictEqual(trusted('https://app.example.com'), true)
+})
+
+test('the page takes the errors of a trusted frame', async function(t) {
+    var both   = framed(t)
+    var page   = both.page
+    var answer = []
+    var pushed = []
+    var heard  = 0
+    var saved
+
+    channels(t, page)
+    page.ErrorTracker.configure({
+        frameOrigins:       ['https://widgets.example.com'],
+        shareConfiguration: ['maxBreadcrumbs', 'frameOrigins'],
+        maxBreadcrumbs:     5
+    })
+    both.frame.postMessage = function(data, origin, ports) {
+        answer = [data, origin]
+        ports[0].onmessage = function(event) { pushed.push(event.data) }
+        ports[0].postMessage({
+            frame: {url: 'https://widgets.example.com/cart'},
+            error: {message: 'in the frame', breadcrumbs: [
+                {category: 'ui', message: 'clicked'}
+            ]}
+        })
+    }
+    page.addEventListener('message', function() { heard++ })
+    message(page, {errorTracker: 'frame'}, {
+        source: both.frame,
+        origin: 'https://widgets.example.com'
+    })
+    await wait(20)
+
+    // the page's own listeners never hear of it
+    assert.strictEqual(heard, 0)
+    assert.deepStrictEqual(browser.plain(answer), [
+        {errorTracker: 'parent'}, 'https://widgets.example.com'
+    ])
+    assert.deepStrictEqual(pushed, [{configuration: {maxBreadcrumbs: 5}}])
+
+    saved = page.ErrorTracker.trackedErrors()
+    assert.strictEqual(saved.length, 1)
+    assert.deepStrictEqual(browser.plain(saved[0].frameInfo), {
+        url: 'https://widgets.example.com/cart', path: [0]
+    })
+    assert.deepStrictEqual(browser.plain(saved[0].breadcrumbs), [
+        {category: 'ui', message: 'clicked'}
+    ])
+})
+
+test('frames from other origins are left alone', function(t) {
+    var both  = framed(t)
+    var heard = []
+
+    channels(t, both.page)
+    both.frame.postMessage = function() { heard.push('answered') }
+    both.page.addEventListener('message', function(event) {
+        heard.push(event.data.errorTracker)
+    })
+    message(both.page, {errorTracker: 'frame'}, {
+        source: both.frame,
+        origin: 'https://widgets.example.com'
+    })
+
+    assert.deepStrictEqual(heard, ['frame'])
+})
+
+test('a frame relays its errors once the page answers', async function(t) {
+    var both    = framed(t)
+    var frame   = both.frame
+    var channel = new MessageChannel()
+    var relayed = []
+
+    t.after(function() {
+        channel.port1.close()
+        channel.port2.close()
+    })
+    frame.ErrorTracker.configure({
+        relayErrors:  true,
+        frameOrigins: ['https://app.example.com']
+    })
+    frame.ErrorTracker.saveError(new frame.Error('before the answer'))
+    channel.port2.onmessage = function(event) { relayed.push(event.data) }
+
+    // only the top-level page is listened to
+    message(frame, {errorTracker: 'parent'}, {
+        source: frame,
+        origin: 'https://app.example.com',
+        ports:  [channel.port1]
+    })
+    assert.strictEqual(frame.ErrorTracker.trackedErrors().length, 1)
+
+    message(frame, {errorTracker: 'parent'}, {
+        source: both.page,
+        origin: 'https://app.example.com',
+        ports:  [channel.port1]
+    })
+    channel.port2.postMessage({configuration: {
+        maxBreadcrumbs: 5,
+        relayErrors:    false
+    }})
+    await wait(20)
+
+    assert.deepStrictEqual(relayed.map(function(data) {
+        return [data.frame.url, data.error.message]
+    }), [[frame.location.href, 'before the answer']])
+    assert.strictEqual(frame.ErrorTracker.trackedErrors().length, 0)
+    assert.strictEqual(
+        frame.ErrorTracker.getConfigurationValue('maxBreadcrumbs'), 5
+    )
+    assert.strictEqual(
+        frame.ErrorTracker.getConfigurationValue('relayErrors'), true
+    )
+})
@@ -0,0 +1,216 @@
+/**
+ * @file Tests for ErrorTracker in Node.js: listening to the process, ending
+ *       it after a crash, sending with `http`, and keeping requests apart.
+ */
+var test         = require('node:test')
+var assert       = require('node:assert')
+var http         = require('http')
+var path         = require('path')
+var childProcess = require('child_process')
+
+var ErrorTracker = require('../ErrorTracker')
+
+var create = function(t, options) {
+    var tracker = ErrorTracker.createTracker(options)
+
+    // the trackers here are tested one at a time, not left to catch what
+    // the test runner doesn't
+    tracker.unregisterReceiver()
+    t.after(function() {
+        var delivery = tracker.__INTERNALS__.delivery
+
+        clearTimeout(delivery.sendTimer)
+        clearTimeout(delivery.retryTimer)
+    })
+
+    return tracker
+}
+
+// run a script in a process of its own, with ErrorTracker as `ErrorTracker`
+var run = function(lines, options, callback) {
+    var script = 'var ErrorTracker = require(' +
+                 JSON.stringify(path.join(__dirname, '..', 'ErrorTracker')) +
+                 ')\n' + lines.join('\n')
+
+    childProcess.execFile(process.execPath,
+                          (options.execArgv || []).concat(['-e', script]),
+                          {env: options.env || process.env, timeout: 10000},
+                          callback)
+}
+
+test('requiring ErrorTracker hooks nothing until it is configured',
+     function(t, done) {
+    run([
+        'var warn = console.warn',
+        'var hooked = function() {',
+        '    return [process.listenerCount("uncaughtException"),',
+        '            process.listenerCount("unhandledRejection"),',
+        '            console.warn !== warn].join(" ")',
+        '}',
+        'console.log(hooked())',
+        'ErrorTracker.configure({})',
+        'console.log(hooked())'
+    ], {}, function(error, stdout) {
+        assert.strictEqual(error, null)
+        assert.strictEqual(stdout, '0 0 false\n1 1 true\n')
+        done()
+    })
+})
+
+test('a crash ends the process once, after every tracker sees it',
+     function(t, done) {
+    run([
+        'var other = ErrorTracker.createTracker({})',
+        'ErrorTracker.configure({})',
+        'process.on("exit", function() {',
+        '    console.log(ErrorTracker.trackedErrors().length,',
+        '                other.trackedErrors().length)',
+        '})',
+        'throw new Error("crashed")'
+    ], {}, function(error, stdout, stderr) {
+        assert.strictEqual(error.code, 1)
+        assert.strictEqual(stdout.trim(), '1 1')
+        assert.strictEqual(stderr.split('Error: crashed').length, 2)
+        done()
+    })
+})
+
+test('the process carries on if the application listens for crashes',
+     function(t, done) {
+    run([
+        'ErrorTracker.configure({})',
+        'process.on("uncaughtException", function() {})',
+        'process.on("exit", function() {',
+        '    console.log(ErrorTracker.trackedErrors().length)',
+        '})',
+        'setTimeout(function() { console.log("still running") }, 20)',
+        'throw new Error("crashed")'
+    ], {}, function(error, stdout, stderr) {
+        assert.strictEqual(error, null)
+        assert.strictEqual(stdout, 'still running\n1\n')
+        assert.strictEqual(stderr, '')
+        done()
+    })
+})
+
+// how the process ends after an unhandled rejection, by the
+// --unhandled-rejections mode it was started with
+;[
+    ['throw', {}, 1, ''],
+    ['strict', {execArgv: ['--unhandled-rejections=strict']}, 1, ''],
+    ['warn', {execArgv: ['--unhandled-rejections', 'warn']}, 0,
+     'still running\n'],
+    ['warn-with-error-code', {env: Object.assign({}, process.env, {
+        NODE_OPTIONS: '--unhandled-rejections=warn-with-error-code'
+    })}, 1, 'still running\n'],
+    ['none', {execArgv: ['--unhandled-rejections=none']}, 0,
+     'still running\n']
+].forEach(function(mode) {
+    test('unhandled rejections follow --unhandled-rejections=' + mode[0],
+         function(t, done) {
+        run([
+            'ErrorTracker.configure({})',
+            'process.on("exit", function() {',
+            '    console.log(ErrorTracker.trackedErrors().map(function(e) {',
+            '        return e.count',
+            '    }))',
+            '})',
+            'setTimeout(function() { console.log("still running") }, 20)',
+            'Promise.reject(new Error("rejected"))'
+        ], mode[1], function(error, stdout) {
+            // tracked once, whichever way Node.js raises it
+            assert.strictEqual(error ? error.code : 0, mode[2])
+            assert.strictEqual(stdout, mode[3] + '[ 1 ]\n')
+            done()
+        })
+    })
+})
+
+test('a crash waits for the errors already on their way', function(t, done) {
+    run([
+        'ErrorTracker.configure({',
+        '    endpoint:        "http://127.0.0.1/",',
+        '    flushOnUnload:   true,',
+        '    shutdownTimeout: 5000,',
+        '    transport:       {send: function(payload, callback) {',
+        '        var message = JSON.parse(payload.body)',
+        '                          .errorsTracked[0].message',
+        '        setTimeout(function() {',
+        '            console.log("sent " + message)',
+        '            callback({state: "success"})',
+        '        }, message == "first" ? 200 : 20)',
+        '    }}',
+        '})',
+        'var started = Date.now()',
+        'process.on("exit", function() {',
+        '    console.log(Date.now() - started < 2500)',
+        '})',
+        'ErrorTracker.saveError(new Error("first"))',
+        'ErrorTracker.sendErrors()',
+        'throw new Error("crashed")'
+    ], {}, function(error, stdout) {
+        // and no longer than it takes them to get there
+        assert.strictEqual(error.code, 1)
+        assert.strictEqual(stdout, 'sent crashed\nsent first\ntrue\n')
+        done()
+    })
+})
+
+test('waiting to send doesn\'t keep the process running', function(t) {
+    var tracker = create(t, {
+        endpoint:       'http://127.0.0.1/',
+        autoSendErrors: true
+    })
+
+    tracker.receiveError(new Error('Oops'))
+
+    assert.strictEqual(tracker.__INTERNALS__.delivery.sendTimer.hasRef(),
+                       false)
+})
+
+test('a server that never answers times out, once', function(t, done) {
+    var server = http.createServer(function() { })
+
+    t.after(function() { server.close() })
+    server.listen(0, '127.0.0.1', function() {
+        var tracker = create(t, {requestTimeout: 50})
+        var url     = 'http://127.0.0.1:' + server.address().port + '/'
+        var answers = []
+
+        tracker.__INTERNALS__.ajax({}, url, function(answer) {
+            answers.push(answer)
+        })
+        setTimeout(function() {
+            assert.deepStrictEqual(answers,
+                                   [{state: 'failure', reason: 'timed out'}])
+            server.closeAllConnections()
+            done()
+        }, 150)
+    })
+})
+
+test('requests each keep their own breadcrumbs', async function(t) {
+    var tracker = create(t)
+    var handle  = function(name, delay) {
+        return new Promise(function(resolve) {
+            tracker.withRequest({method: 'GET', url: '/' + name, headers: {}},
+                                function() {
+                tracker.addBreadcrumb('started ' + name)
+                setTimeout(function() {
+                    tracker.addBreadcrumb('finished ' + name)
+                    resolve(tracker.breadcrumbs().map(function(crumb) {
+                        return crumb.message
+                    }))
+                }, delay)
+            })
+        })
+    }
+
+    tracker.addBreadcrumb('outside of a request')
+    assert.deepStrictEqual(tracker.breadcrumbs(), [])
+
+    assert.deepStrictEqual(await Promise.all([handle('a', 20),
+                                              handle('b', 5)]),
+                           [['started a', 'finished a'],
+                            ['started b', 'finished b']])
+})
@@ -0,0 +1,82 @@
+/**
+ * @file Tests for tracking promise rejections that nothing handled.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+// the event the browser sends for a promise rejected with reason
+var rejection = function(window, type, promise, reason) {
+    var event = new window.Event(type)
+
+    event.promise = promise
+    event.reason  = reason
+    window.dispatchEvent(event)
+}
+
+test('an unhandled rejection is tracked like an error', function(t) {
+    var window = browser.load(t)
+    var error  = new window.Error('request failed')
+    var saved
+
+    error.stack = 'Error: request failed\n' +
+                  '    at load (https://app.example.com/app.js:4:2)'
+    rejection(window, 'unhandledrejection', {}, error)
+    saved = window.ErrorTracker.trackedErrors()[0]
+
+    assert.strictEqual(saved.type, 'unhandledrejection')
+    assert.strictEqual(saved.message, 'request failed')
+    assert.strictEqual(saved.frames[0]['function'], 'load')
+})
+
+test('rejections with things other than errors are described', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    rejection(window, 'unhandledrejection', {}, 'timed out')
+    rejection(window, 'unhandledrejection', {}, {code: 42})
+    rejection(window, 'unhandledrejection', {}, {message: 'no', code: 7})
+    saved = browser.plain(window.ErrorTracker.trackedErrors())
+
+    assert.deepStrictEqual(saved.map(function(e) { return e.message }),
+                           ['timed out', '{"code":42}', 'no'])
+    assert.deepStrictEqual(saved.map(function(e) { return e.reason }),
+                           [undefined, {code: 42}, {message: 'no', code: 7}])
+})
+
+test('a rejection handled later is taken back', function(t) {
+    var window  = browser.load(t)
+    var handled = {}
+
+    rejection(window, 'unhandledrejection', handled, 'handled later')
+    rejection(window, 'unhandledrejection', {}, 'never handled')
+    rejection(window, 'rejectionhandled', handled)
+
+    assert.deepStrictEqual(window.ErrorTracker.trackedErrors().map(
+        function(e) { return e.message }
+    ).join(), 'never handled')
+})
+
+test('a rejection already being sent is not taken back', function(t) {
+    var window  = browser.load(t)
+    var handled = {}
+
+    window.ErrorTracker.configure({
+        endpoint:  'https://app.example.com/errors',
+        transport: {send: function() { }}
+    })
+    rejection(window, 'unhandledrejection', handled, 'on its way')
+    window.ErrorTracker.sendErrors()
+    rejection(window, 'rejectionhandled', handled)
+
+    assert.strictEqual(window.ErrorTracker.trackedErrors().length, 1)
+})
+
+test('captureUnhandledRejections turns them off', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({captureUnhandledRejections: false})
+    rejection(window, 'unhandledrejection', {}, 'ignored')
+
+    assert.strictEqual(window.ErrorTracker.trackedErrors().length, 0)
+})
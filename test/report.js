@@ -0,0 +1,170 @@
+/**
+ * @file Tests for ErrorTrackerReport: checking reports against each version
+ *       of the format, and upgrading old ones.
+ */
+var test               = require('node:test')
+var assert             = require('node:assert')
+var ErrorTrackerReport = require('../ErrorTrackerReport')
+var browser            = require('./support/browser')
+
+var error = function(overrides) {
+    var e = {
+        type:        'exception',
+        message:     'x is not defined',
+        stack:       null,
+        frames:      [],
+        location:    null,
+        pageInfo:    null,
+        timeStamp:   1700000000000,
+        savedAt:     1700000000000,
+        fingerprint: 'abc123',
+        count:       1,
+        firstSeen:   1700000000000,
+        lastSeen:    1700000000000,
+        breadcrumbs: []
+    }
+    var key
+
+    for (key in overrides) e[key] = overrides[key]
+    return e
+}
+var report = function(errors) {
+    return {
+        errorTrackerVersion: '0.1.0',
+        errorReportVersion:  2,
+        errorsTracked:       errors
+    }
+}
+
+test('a report in the latest format is valid', function() {
+    var result = ErrorTrackerReport.validate(report([error()]))
+
+    assert.strictEqual(result.valid, true)
+    assert.deepStrictEqual(result.errors, [])
+})
+
+test('a report missing what it must have is described', function() {
+    var bad    = report([error({count: 0})])
+    var result
+
+    delete bad.errorTrackerVersion
+    result = ErrorTrackerReport.validate(bad)
+
+    assert.strictEqual(result.valid, false)
+    assert.match(result.errors[0], /errorTrackerVersion/)
+    assert.ok(result.errors.some(function(message) {
+        return /count/.test(message)
+    }))
+})
+
+test('anything that is not a report is invalid', function() {
+    [null, 'report', [], {errorReportVersion: 99}].forEach(function(value) {
+        assert.strictEqual(ErrorTrackerReport.validate(value).valid, false)
+    })
+})
+
+test('version 1 reports are upgraded to the latest version', function() {
+    var old = {
+        errorTrackerVersion: '0.0.9',
+        errorReportVersion:  1,
+        errorsTracked:       [
+            {
+                type:     'error',
+                message:  'boom',
+                filename: 'https://app.example.com/app.js',
+                lineno:   8,
+                colno:    2,
+                savedAt:  1600000000000
+            },
+            'saved as a string'
+        ]
+    }
+    var upgraded
+
+    assert.strictEqual(ErrorTrackerReport.validate(old).valid, true)
+    upgraded = ErrorTrackerReport.upgrade(old, 1700000000000)
+
+    assert.strictEqual(upgraded.errorReportVersion,
+                       ErrorTrackerReport.LATEST_VERSION)
+    assert.strictEqual(ErrorTrackerReport.validate(upgraded).valid, true)
+    assert.deepStrictEqual(upgraded.errorsTracked[0].location, {
+        file: 'https://app.example.com/app.js', line: 8, column: 2
+    })
+    assert.strictEqual(upgraded.errorsTracked[0].filename, undefined)
+    assert.strictEqual(upgraded.errorsTracked[1].type, 'custom')
+    assert.strictEqual(upgraded.errorsTracked[1].message, 'saved as a string')
+    assert.strictEqual(upgraded.errorsTracked[1].savedAt, 1700000000000)
+
+    // the original is left as it was
+    assert.strictEqual(old.errorsTracked[0].filename,
+                       'https://app.example.com/app.js')
+})
+
+test('reports in the latest version are copied as they are', function() {
+    var original = report([error()])
+    var upgraded = ErrorTrackerReport.upgrade(original)
+
+    assert.notStrictEqual(upgraded, original)
+    assert.deepStrictEqual(upgraded, original)
+})
+
+test('the reports ErrorTracker builds are valid', function(t) {
+    var window      = browser.load(t)
+    var buildReport = window.ErrorTracker.__INTERNALS__.buildReport
+
+    window.ErrorTracker.setUser({id: 42})
+    window.ErrorTracker.setTag('tenant', 'acme')
+    window.ErrorTracker.addBreadcrumb('clicked')
+    window.ErrorTracker.saveError(new window.Error('thrown'))
+    window.ErrorTracker.saveError(new window.ErrorEvent('error', {
+        message: 'reported', filename: 'https://app.example.com/app.js',
+        lineno:  3, colno: 7
+    }))
+    window.ErrorTracker.saveError({not: 'an error'})
+    window.ErrorTracker.saveError('a string')
+
+    assert.deepStrictEqual(ErrorTrackerReport.validate(browser.plain(
+        buildReport(window.ErrorTracker.trackedErrors())
+    )).errors, [])
+})
+
+test('whatever beforeSend returns is tracked in the format', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    window.ErrorTracker.configure({beforeSend: function() {
+        return 'replaced'
+    }})
+    saved = browser.plain(window.ErrorTracker.saveError(
+        new window.Error('Oops')
+    ))
+
+    assert.strictEqual(saved.type, 'custom')
+    assert.strictEqual(saved.message, 'replaced')
+    assert.strictEqual(ErrorTrackerReport.validate(report([saved])).valid,
+                       true)
+})
+
+test('reportVersion 1 sends errors the old way', function(t) {
+    var window      = browser.load(t)
+    var buildReport = window.ErrorTracker.__INTERNALS__.buildReport
+    var sent
+
+    window.ErrorTracker.configure({reportVersion: 1})
+    window.ErrorTracker.saveError(new window.ErrorEvent('error', {
+        message: 'reported', filename: 'https://app.example.com/app.js',
+        lineno:  3, colno: 7
+    }))
+    window.ErrorTracker.saveError(new window.Error('thrown'))
+    window.ErrorTracker.saveError('a string')
+    sent = browser.plain(buildReport(window.ErrorTracker.trackedErrors()))
+
+    assert.strictEqual(sent.errorReportVersion, 1)
+    assert.deepStrictEqual([sent.errorsTracked[0].filename,
+                            sent.errorsTracked[0].lineno,
+                            sent.errorsTracked[0].location],
+                           ['https://app.example.com/app.js', 3, undefined])
+    assert.strictEqual(sent.errorsTracked[1].type, undefined)
+    assert.strictEqual(sent.errorsTracked[2], 'a string')
+    assert.strictEqual(ErrorTrackerReport.validate(sent).valid, true)
+})
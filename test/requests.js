@@ -0,0 +1,102 @@
+/**
+ * @file Tests for tracking XMLHttpRequest and fetch calls that fail.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+var xhr     = require('./support/xhr')
+
+var load = function(t, options) {
+    var requests
+    var window   = browser.load(t, {before: function(window) {
+        requests = xhr(window)
+        window.fetch = function(url) {
+            return /missing/.test(url) ?
+                   window.Promise.resolve({status: 404}) :
+                   window.Promise.reject(new window.TypeError('offline'))
+        }
+    }})
+
+    window.ErrorTracker.configure(Object.assign({
+        endpoint:              'https://app.example.com/errors',
+        captureFailedRequests: true
+    }, options))
+
+    return {window: window, ErrorTracker: window.ErrorTracker,
+            requests: requests}
+}
+
+// make a request with XMLHttpRequest, and answer it with a status
+var get = function(page, url, status) {
+    var request = new page.window.XMLHttpRequest()
+
+    request.open('get', url)
+    request.send()
+    if (status) page.requests[page.requests.length - 1].respond(status, '')
+    else page.requests[page.requests.length - 1].fail()
+}
+
+test('failed requests are tracked as httperrors', function(t) {
+    var page = load(t)
+    var saved
+
+    get(page, '/api/items', 200)
+    get(page, '/api/items/7', 503)
+    get(page, '/api/down', 0)
+    saved = browser.plain(page.ErrorTracker.trackedErrors())
+
+    assert.deepStrictEqual(saved.map(function(e) { return e.message }), [
+        'GET /api/items/7 failed with status 503',
+        'GET /api/down failed without a response'
+    ])
+    assert.strictEqual(saved[0].type, 'httperror')
+    assert.strictEqual(saved[0].method, 'GET')
+    assert.strictEqual(saved[0].status, 503)
+    assert.strictEqual(typeof saved[0].duration, 'number')
+})
+
+test('failed fetch calls are tracked', async function(t) {
+    var page = load(t)
+    var saved
+
+    await page.window.fetch('/api/missing', {method: 'put'})
+    await page.window.fetch('/api/offline').catch(function() {})
+    saved = browser.plain(page.ErrorTracker.trackedErrors())
+
+    assert.deepStrictEqual(saved.map(function(e) { return e.message }), [
+        'PUT /api/missing failed with status 404',
+        'GET /api/offline failed without a response'
+    ])
+})
+
+test('the query string values are scrubbed', function(t) {
+    var page  = load(t)
+    var scrub = page.ErrorTracker.__INTERNALS__.scrubQuery
+
+    get(page, '/api/items?token=secret&id=3#top', 500)
+
+    assert.strictEqual(page.ErrorTracker.trackedErrors()[0].url,
+                       '/api/items?token=[Filtered]&id=[Filtered]')
+    assert.strictEqual(scrub('/api/items'), '/api/items')
+    assert.strictEqual(scrub('/api?flag&a=b?c'),
+                       '/api?flag=[Filtered]&a=[Filtered]')
+})
+
+test("ErrorTracker's own requests are never tracked", function(t) {
+    var page = load(t)
+
+    page.ErrorTracker.saveError(new page.window.Error('Oops'))
+    page.ErrorTracker.sendErrors()
+    page.requests[0].respond(500, '')
+
+    assert.deepStrictEqual(browser.plain(page.ErrorTracker.trackedErrors().map(
+        function(e) { return e.message }
+    )), ['Oops'])
+})
+
+test('failed requests are not tracked unless asked for', function(t) {
+    var page = load(t, {captureFailedRequests: false})
+
+    get(page, '/api/items/7', 503)
+    assert.strictEqual(page.ErrorTracker.trackedErrors().length, 0)
+})
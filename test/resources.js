@@ -0,0 +1,55 @@
+/**
+ * @file Tests for tracking scripts, stylesheets and images that fail to
+ *       load.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+// add an element to the page, and have it fail to load
+var fail = function(window, tagName, attribute, url) {
+    var element = window.document.createElement(tagName)
+
+    element.setAttribute(attribute, url)
+    window.document.body.appendChild(element)
+    element.dispatchEvent(new window.Event('error'))
+}
+
+test('elements that fail to load are tracked', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    window.ErrorTracker.configure({captureResourceErrors: true})
+    fail(window, 'img', 'src', 'https://cdn.example.net/logo.png')
+    saved = window.ErrorTracker.trackedErrors()
+
+    assert.strictEqual(saved.length, 1)
+    assert.strictEqual(saved[0].type, 'resourceerror')
+    assert.strictEqual(saved[0].tagName, 'img')
+    assert.strictEqual(saved[0].url, 'https://cdn.example.net/logo.png')
+    assert.strictEqual(saved[0].message,
+                       'Failed to load <img> https://cdn.example.net/logo.png')
+})
+
+test('resource errors are not tracked unless asked for', function(t) {
+    var window = browser.load(t)
+
+    fail(window, 'script', 'src', 'https://cdn.example.net/app.js')
+    assert.strictEqual(window.ErrorTracker.trackedErrors().length, 0)
+})
+
+test('resourceErrorUrls picks the URLs that are tracked', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({
+        captureResourceErrors: true,
+        resourceErrorUrls:     window.eval('[/\\.js$/, "styles"]')
+    })
+    fail(window, 'img', 'src', 'https://cdn.example.net/logo.png')
+    fail(window, 'script', 'src', 'https://cdn.example.net/app.js')
+    fail(window, 'link', 'href', 'https://cdn.example.net/styles.css')
+
+    assert.deepStrictEqual(window.ErrorTracker.trackedErrors().map(
+        function(e) { return e.tagName }
+    ).join(), 'script,link')
+})
@@ -0,0 +1,123 @@
+/**
+ * @file Tests for sampling, the per-page error cap and the send rate limit.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+// a window whose Math.random always returns the given number
+var load = function(t, roll) {
+    return browser.load(t, {before: function(window) {
+        window.Math.random = function() { return roll }
+    }})
+}
+
+test('pages outside the sampleRate track nothing', function(t) {
+    var window = load(t, 0.5)
+
+    window.ErrorTracker.configure({sampleRate: 0.25})
+    assert.strictEqual(window.ErrorTracker.__INTERNALS__.isSampled(), false)
+    assert.strictEqual(
+        window.ErrorTracker.receiveError(new window.Error('Oops')), undefined
+    )
+    assert.strictEqual(window.ErrorTracker.trackedErrors().length, 0)
+    assert.strictEqual(window.ErrorTracker.droppedErrors().sampled, 1)
+
+    // the same roll is compared against a new rate
+    window.ErrorTracker.configure({sampleRate: 0.75})
+    assert.strictEqual(window.ErrorTracker.__INTERNALS__.isSampled(), true)
+})
+
+test('a session-wide sample is kept in sessionStorage', function(t) {
+    var window = load(t, 0.9)
+    var key    = window.ErrorTracker.__INTERNALS__.SAMPLE_KEY
+
+    window.sessionStorage.setItem(key, '0.1')
+    window.ErrorTracker.configure({sampleRate: 0.5, sampleScope: 'session'})
+
+    assert.strictEqual(window.ErrorTracker.__INTERNALS__.isSampled(), true)
+})
+
+test('a roll is saved for the rest of the session', function(t) {
+    var window = load(t, 0.9)
+    var key    = window.ErrorTracker.__INTERNALS__.SAMPLE_KEY
+
+    window.ErrorTracker.configure({sampleRate: 0.5, sampleScope: 'session'})
+
+    assert.strictEqual(window.ErrorTracker.__INTERNALS__.isSampled(), false)
+    assert.strictEqual(window.sessionStorage.getItem(key), '0.9')
+})
+
+test('errors past maxErrorsPerPage are counted, not tracked', function(t) {
+    var window = browser.load(t)
+    var sent   = []
+    var names  = ['first', 'second', 'third', 'fourth', 'fifth', 'first']
+    var save   = function(message) {
+        window.ErrorTracker.saveError(new window.Error(message))
+    }
+
+    window.ErrorTracker.configure({
+        endpoint:         'https://app.example.com/errors',
+        maxErrorsPerPage: 2,
+        transport:        {send: function(payload, callback) {
+            sent.push(JSON.parse(payload.body))
+            callback({state: 'success'})
+        }}
+    })
+    // repeats (of the first, here) don't count towards the cap
+    names.forEach(save)
+
+    assert.strictEqual(window.ErrorTracker.trackedErrors().length, 2)
+    assert.deepStrictEqual(browser.plain(window.ErrorTracker.droppedErrors()), {
+        sampled: 0, ignoreErrors: 0, denyUrls: 0, allowUrls: 0, beforeSend: 0,
+        pageLimit: 3
+    })
+
+    // the server hears about them once
+    window.ErrorTracker.sendErrors()
+    window.ErrorTracker.setConfigurationValue('maxErrorsPerPage', 0)
+    window.ErrorTracker.saveError(new window.Error('later'))
+    window.ErrorTracker.sendErrors()
+
+    assert.deepStrictEqual(sent[0].droppedErrors, {pageLimit: 3})
+    assert.strictEqual(sent[1].droppedErrors, undefined)
+})
+
+test('sends are limited to bursts of sendBurst', function(t) {
+    var window        = browser.load(t)
+    var takeSendToken = window.ErrorTracker.__INTERNALS__.takeSendToken
+    var wait
+
+    window.ErrorTracker.configure({sendRate: 60, sendBurst: 2})
+
+    assert.strictEqual(takeSendToken(), 0)
+    assert.strictEqual(takeSendToken(), 0)
+    wait = takeSendToken()
+    assert.ok(wait > 0 && wait <= 1000, 'waits for the next token: ' + wait)
+
+    // a sendRate of 0 turns the limit off
+    window.ErrorTracker.configure({sendRate: 0})
+    assert.strictEqual(takeSendToken(), 0)
+})
+
+test('a send that has to wait is made later', function(t) {
+    var window = browser.load(t)
+    var sent   = 0
+
+    window.ErrorTracker.configure({
+        endpoint:  'https://app.example.com/errors',
+        sendRate:  60,
+        sendBurst: 1,
+        transport: {send: function(payload, callback) {
+            sent++
+            callback({state: 'success'})
+        }}
+    })
+    window.ErrorTracker.saveError(new window.Error('first'))
+    window.ErrorTracker.sendErrors()
+    window.ErrorTracker.saveError(new window.Error('second'))
+    window.ErrorTracker.sendErrors()
+
+    assert.strictEqual(sent, 1)
+    assert.ok(window.ErrorTracker.__INTERNALS__.delivery.sendTimer)
+})
@@ -0,0 +1,110 @@
+/**
+ * @file Tests for the user, tags, contexts and release tracked errors are
+ *       reported with, and withScope.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+// what an error was tracked with
+var scope = function(e) {
+    return browser.plain({
+        user:     e.user,
+        tags:     e.tags,
+        contexts: e.contexts,
+        release:  e.release
+    })
+}
+
+test('errors are tracked with a copy of the scope', function(t) {
+    var window = browser.load(t)
+    var cart   = {items: 3}
+    var saved
+
+    window.ErrorTracker.setUser({id: 42, username: 'jdoe'})
+    window.ErrorTracker.setTags({tenant: 'acme', variant: 2})
+    window.ErrorTracker.setContext('cart', cart)
+    window.ErrorTracker.setRelease('shop@1.2')
+    saved = window.ErrorTracker.saveError(new window.Error('Oops'))
+    cart.items = 4
+
+    assert.deepStrictEqual(scope(saved), {
+        user:     {id: 42, username: 'jdoe'},
+        tags:     {tenant: 'acme', variant: '2'},
+        contexts: {cart: {items: 3}},
+        release:  'shop@1.2'
+    })
+})
+
+test('tags and contexts can be removed, and the scope cleared', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    window.ErrorTracker.setUser({id: 42})
+    window.ErrorTracker.setTags({tenant: 'acme', variant: 'b'})
+    window.ErrorTracker.setContext('cart', {items: 3})
+    window.ErrorTracker.setRelease('shop@1.2')
+    window.ErrorTracker.setTag('tenant', null)
+    saved = window.ErrorTracker.saveError(new window.Error('first'))
+    assert.deepStrictEqual(scope(saved).tags, {variant: 'b'})
+
+    window.ErrorTracker.clearContext()
+    saved = window.ErrorTracker.saveError(new window.Error('second'))
+    assert.deepStrictEqual(scope(saved), {release: 'shop@1.2'})
+})
+
+test('withScope puts the scope back afterwards', function(t) {
+    var window = browser.load(t)
+    var inside, after
+
+    window.ErrorTracker.setUser({id: 42})
+    window.ErrorTracker.setTag('tenant', 'acme')
+    inside = window.ErrorTracker.withScope(function() {
+        window.ErrorTracker.setTag('job', 'import')
+        window.ErrorTracker.setUser(null)
+        return window.ErrorTracker.saveError(new window.Error('inside'))
+    })
+    after = window.ErrorTracker.saveError(new window.Error('after'))
+
+    assert.deepStrictEqual(scope(inside), {
+        tags: {tenant: 'acme', job: 'import'}
+    })
+    assert.deepStrictEqual(scope(after), {
+        user: {id: 42}, tags: {tenant: 'acme'}
+    })
+})
+
+test('errors thrown in withScope are tracked with its scope', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    window.ErrorTracker.withScope(function() {
+        window.ErrorTracker.setTag('job', 'import')
+        throw new window.Error('thrown')
+    })
+    saved = window.ErrorTracker.trackedErrors()
+
+    assert.strictEqual(saved.length, 1)
+    assert.deepStrictEqual(scope(saved[0]).tags, {job: 'import'})
+    assert.strictEqual(window.ErrorTracker.__INTERNALS__.scopes.length, 1)
+})
+
+test('the scope is exempt from scrubPatterns, not scrubKeys', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    window.ErrorTracker.setUser({id: 42, email: 'jdoe@example.com',
+                                 password: 'hunter2'})
+    window.ErrorTracker.setContext('support', {contact: 'help@example.com'})
+    saved = window.ErrorTracker.saveError(
+        new window.Error('failed for jdoe@example.com')
+    )
+
+    assert.strictEqual(saved.message, 'failed for [Filtered]')
+    assert.deepStrictEqual(scope(saved).user, {
+        id: 42, email: 'jdoe@example.com', password: '[Filtered]'
+    })
+    assert.deepStrictEqual(scope(saved).contexts, {
+        support: {contact: 'help@example.com'}
+    })
+})
@@ -0,0 +1,110 @@
+/**
+ * @file Tests for scrubbing sensitive values out of reports, and the
+ *       beforeSend callbacks.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+test('sensitive query parameters are scrubbed', function(t) {
+    var window = browser.load(t, {
+        url: 'https://app.example.com/page?token=abc&x=1&Password=hunter2'
+    })
+    var saved  = window.ErrorTracker.saveError(new window.Error(
+        'GET /api?access_token=abc&page=2 failed'
+    ))
+
+    assert.strictEqual(saved.pageInfo.queryString,
+                       '?token=[Filtered]&x=1&Password=[Filtered]')
+    assert.strictEqual(saved.message,
+                       'GET /api?access_token=[Filtered]&page=2 failed')
+})
+
+test('values under sensitive keys are scrubbed', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    window.ErrorTracker.addBreadcrumb({
+        message: 'login',
+        data:    {password: 'hunter2', apiKey: 'xyz', user: 'bob'}
+    })
+    saved = window.ErrorTracker.saveError(new window.Error('Oops'))
+
+    assert.deepStrictEqual(browser.plain(saved.breadcrumbs[0].data), {
+        password: '[Filtered]', apiKey: '[Filtered]', user: 'bob'
+    })
+})
+
+test('keys are matched by their whole name', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    window.ErrorTracker.addBreadcrumb({message: 'state', data: {
+        sessionId: 'abc', tokenCount: 3, cookieEnabled: true, session: 'abc'
+    }})
+    saved = window.ErrorTracker.saveError(new window.Error('Oops'))
+
+    assert.deepStrictEqual(browser.plain(saved.breadcrumbs[0].data), {
+        sessionId: 'abc', tokenCount: 3, cookieEnabled: true,
+        session: '[Filtered]'
+    })
+})
+
+test('scrubKeys can hold regular expressions', function(t) {
+    var window = browser.load(t)
+    var saved
+
+    window.ErrorTracker.configure({
+        scrubKeys: window.eval('[/^session/i, "pin"]')
+    })
+    window.ErrorTracker.addBreadcrumb({message: 'state', data: {
+        sessionId: 'abc', PIN: '1234', password: 'still here'
+    }})
+    saved = window.ErrorTracker.saveError(new window.Error('Oops'))
+
+    assert.deepStrictEqual(browser.plain(saved.breadcrumbs[0].data), {
+        sessionId: '[Filtered]', PIN: '[Filtered]', password: 'still here'
+    })
+})
+
+test('emails, card numbers and bearer tokens are scrubbed', function(t) {
+    var window = browser.load(t)
+    var saved  = window.ErrorTracker.saveError(new window.Error(
+        'failed for bob@example.com card 4111 1111 1111 1111 ' +
+        'at 1700000000000 with Bearer abc.def-ghi'
+    ))
+
+    assert.strictEqual(saved.message, 'failed for [Filtered] card [Filtered] ' +
+                       'at 1700000000000 with [Filtered]')
+})
+
+test('beforeSend callbacks can change or drop reports', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({beforeSend: [
+        function(e) { e.message += '!' },
+        function(e) { return /drop/.test(e.message) ? null : e }
+    ]})
+
+    assert.strictEqual(
+        window.ErrorTracker.saveError(new window.Error('please drop')),
+        undefined
+    )
+    assert.strictEqual(window.ErrorTracker.droppedErrors().beforeSend, 1)
+    assert.strictEqual(
+        window.ErrorTracker.saveError(new window.Error('keep')).message,
+        'keep!'
+    )
+})
+
+test('a beforeSend callback that throws is skipped', function(t) {
+    var window = browser.load(t)
+
+    window.ErrorTracker.configure({beforeSend: function() {
+        throw new window.Error('broken callback')
+    }})
+    window.ErrorTracker.saveError(new window.Error('Oops'))
+
+    assert.deepStrictEqual(browser.plain(window.ErrorTracker.trackedErrors()
+        .map(function(e) { return e.message })), ['broken callback', 'Oops'])
+})
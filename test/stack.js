@@ -0,0 +1,102 @@
+/**
+ * @file Tests for parsing each browser's stack traces into frames.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+var window     = browser.load(null)
+var parseStack = function(stack) {
+    return browser.plain(window.ErrorTracker.__INTERNALS__.parseStack(stack))
+}
+
+var frame = function(fn, file, line, column, inApp) {
+    return {'function': fn, file: file, line: line, column: column,
+            inApp: inApp}
+}
+
+test('V8 stacks are parsed', function() {
+    var frames = parseStack([
+        'TypeError: x is not a function',
+        '    at handleClick (https://app.example.com/app.js:10:5)',
+        '    at async Widget.load [as run] (https://cdn.example.net/w.js:1:2)',
+        '    at https://app.example.com/app.js:3:4',
+        '    at eval (eval at run (https://app.example.com/d.js:7:8), ' +
+            '<anonymous>:1:1)',
+        '    at Array.forEach (<anonymous>)'
+    ].join('\n'))
+
+    assert.deepStrictEqual(frames, [
+        frame('handleClick', 'https://app.example.com/app.js', 10, 5, true),
+        frame('Widget.load [as run]', 'https://cdn.example.net/w.js', 1, 2,
+              false),
+        frame(null, 'https://app.example.com/app.js', 3, 4, true),
+        frame('eval', 'https://app.example.com/d.js', 7, 8, true),
+        frame('Array.forEach', '<anonymous>', null, null, false)
+    ])
+})
+
+test('SpiderMonkey stacks are parsed', function() {
+    var frames = parseStack([
+        'handleClick@https://app.example.com/app.js:10:5',
+        '@https://app.example.com/app.js:40:1',
+        'run/<@https://app.example.com/app.js line 3 > eval:1:2',
+        ''
+    ].join('\n'))
+
+    assert.deepStrictEqual(frames, [
+        frame('handleClick', 'https://app.example.com/app.js', 10, 5, true),
+        frame(null, 'https://app.example.com/app.js', 40, 1, true),
+        frame('run/<', 'https://app.example.com/app.js', 3, null, true)
+    ])
+})
+
+test('JavaScriptCore stacks are parsed', function() {
+    var frames = parseStack([
+        'handleClick@https://app.example.com/app.js:10:5',
+        'global code@https://app.example.com/app.js:1:1',
+        'https://cdn.example.net/w.js:2:3',
+        '[native code]'
+    ].join('\n'))
+
+    assert.deepStrictEqual(frames, [
+        frame('handleClick', 'https://app.example.com/app.js', 10, 5, true),
+        frame('global code', 'https://app.example.com/app.js', 1, 1, true),
+        frame(null, 'https://cdn.example.net/w.js', 2, 3, false),
+        frame(null, '[native code]', null, null, false)
+    ])
+})
+
+test('missing and unknown stacks give no frames', function() {
+    assert.deepStrictEqual(parseStack(undefined), [])
+    assert.deepStrictEqual(parseStack('nothing to see here'), [])
+})
+
+test('inAppUrls picks the frames that belong to the app', function() {
+    var pattern = new window.RegExp('^https://cdn\\.example\\.')
+
+    window.ErrorTracker.configure({inAppUrls: pattern})
+    assert.deepStrictEqual(
+        parseStack('a@https://cdn.example.net/w.js:1:1\n' +
+                   'b@https://app.example.com/app.js:1:1')
+            .map(function(f) { return f.inApp }),
+        [true, false]
+    )
+    window.ErrorTracker.configure({inAppUrls: undefined})
+})
+
+test('saved errors carry their frames', function(t) {
+    var window       = browser.load(t)
+    var ErrorTracker = window.ErrorTracker
+    var error        = new window.Error('broken')
+    var saved
+
+    error.stack = 'Error: broken\n' +
+                  '    at run (https://app.example.com/app.js:2:3)'
+    ErrorTracker.saveError(error)
+    saved = ErrorTracker.trackedErrors()[0]
+
+    assert.deepStrictEqual(browser.plain(saved.frames), [
+        frame('run', 'https://app.example.com/app.js', 2, 3, true)
+    ])
+})
@@ -0,0 +1,86 @@
+/**
+ * @file Tests for keeping the tracked errors list in storage.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+var messages = function(ErrorTracker) {
+    return browser.plain(ErrorTracker.trackedErrors().map(function(e) {
+        return e.message
+    }))
+}
+
+test('errors are saved to localStorage and restored', function(t) {
+    var window       = browser.load(t)
+    var ErrorTracker = window.ErrorTracker
+    var stored
+
+    ErrorTracker.configure({storage: 'localStorage'})
+    ErrorTracker.saveError(new window.Error('first'))
+    stored = JSON.parse(window.localStorage
+                              .getItem('ErrorTracker_trackedErrors'))
+    assert.deepStrictEqual(stored.map(function(e) { return e.message }),
+                           ['first'])
+
+    window = browser.load(t, {before: function(window) {
+        window.localStorage.setItem('ErrorTracker_trackedErrors',
+                                    JSON.stringify(stored))
+    }})
+    ErrorTracker = window.ErrorTracker
+    ErrorTracker.saveError(new window.Error('second'))
+    ErrorTracker.configure({storage: 'localStorage'})
+    assert.deepStrictEqual(messages(ErrorTracker), ['first', 'second'])
+})
+
+test('storageMaxErrors keeps only the newest errors', function(t) {
+    var window       = browser.load(t)
+    var ErrorTracker = window.ErrorTracker
+    var stored
+
+    ErrorTracker.configure({storage: 'localStorage', storageMaxErrors: 2})
+    ErrorTracker.saveError(new window.Error('one'))
+    ErrorTracker.saveError(new window.Error('two'))
+    ErrorTracker.saveError(new window.Error('three'))
+    stored = JSON.parse(window.localStorage
+                              .getItem('ErrorTracker_trackedErrors'))
+
+    assert.deepStrictEqual(stored.map(function(e) { return e.message }),
+                           ['two', 'three'])
+})
+
+test('an unreadable stored list restores nothing', function(t) {
+    var window = browser.load(t, {before: function(window) {
+        window.localStorage.setItem('ErrorTracker_trackedErrors', '{"cut')
+    }})
+
+    window.ErrorTracker.configure({storage: 'localStorage'})
+    assert.deepStrictEqual(messages(window.ErrorTracker), [])
+})
+
+test('failing storage is not tracked as an error', function(t) {
+    var window       = browser.load(t)
+    var ErrorTracker = window.ErrorTracker
+    var saves        = 0
+
+    ErrorTracker.configure({storage: {
+        load: function() { throw new window.Error('load refused') },
+        save: function() { saves++; throw new window.Error('save refused') }
+    }})
+    ErrorTracker.saveError(new window.Error('kept'))
+
+    assert.strictEqual(saves, 1)
+    assert.deepStrictEqual(messages(ErrorTracker), ['kept'])
+})
+
+test('switching storage back restores nothing twice', function(t) {
+    var window       = browser.load(t)
+    var ErrorTracker = window.ErrorTracker
+
+    ErrorTracker.configure({storage: 'localStorage'})
+    ErrorTracker.saveError(new window.Error('only once'))
+    ErrorTracker.configure({storage: undefined})
+    ErrorTracker.configure({storage: 'localStorage'})
+
+    assert.deepStrictEqual(messages(ErrorTracker), ['only once'])
+})
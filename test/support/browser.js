@@ -0,0 +1,52 @@
+/**
+ * @file Load ErrorTracker.js into a fresh jsdom window, the way a page would
+ *       with a `<script>` tag.
+ */
+var fs    = require('fs')
+var path  = require('path')
+var jsdom = require('jsdom')
+
+var source = fs.readFileSync(path.join(__dirname, '..', '..',
+                                       'ErrorTracker.js'), 'utf8')
+
+// the script, for loading into frames the window has
+exports.source = source
+
+/**
+ * @summary Copy a value out of the window into this realm
+ * @desc Arrays and objects made inside the window have its prototypes, so
+ *       they never deep-equal ours; a JSON round trip gives plain copies.
+ * @arg {*} value - The value to copy
+ * @returns {*} The copy
+ */
+exports.plain = function(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value))
+}
+
+/**
+ * @summary Create a window with ErrorTracker loaded into it
+ * @desc The window is closed, and its timers stopped, once the test `t` is
+ *       over. Whatever the page logs to its console is thrown away.
+ * @arg {?TestContext} t - The test the window is for
+ * @arg {object} [options] - `url` for the page, and a `before` function that
+ *      is given the window before the script runs
+ * @returns {Window} The window, with `window.ErrorTracker` set up
+ */
+exports.load = function(t, options) {
+    var dom, window
+
+    options = options || {}
+    dom = new jsdom.JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url:               options.url || 'https://app.example.com/page',
+        runScripts:        'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole:    new jsdom.VirtualConsole()
+    })
+
+    window = dom.window
+    if (t) t.after(function() { window.close() })
+    if (options.before) options.before(window)
+    window.eval(source)
+
+    return window
+}
@@ -0,0 +1,72 @@
+/**
+ * @file Load ErrorTracker.js into a stand-in for a dedicated worker's global
+ *       scope, the way a worker would with `importScripts()`.
+ */
+var fs   = require('fs')
+var path = require('path')
+var vm   = require('vm')
+
+var source = fs.readFileSync(path.join(__dirname, '..', '..',
+                                       'ErrorTracker.js'), 'utf8')
+
+// workers have ErrorEvent, as pages do, but Node.js doesn't
+var ErrorEvent = function(type, init) {
+    var event = Reflect.construct(Event, [type, init], ErrorEvent)
+
+    init = init || {}
+    event.message  = init.message || ''
+    event.filename = init.filename || ''
+    event.lineno   = init.lineno || 0
+    event.colno    = init.colno || 0
+    event.error    = init.error === undefined ? null : init.error
+
+    return event
+}
+ErrorEvent.prototype = Object.create(Event.prototype)
+
+/**
+ * @summary Create a worker scope with ErrorTracker loaded into it
+ * @desc The scope has just enough of a worker's globals for ErrorTracker:
+ *       no `window`, `document` or `process`. Whatever it logs to its
+ *       console is thrown away.
+ * @arg {object} [options] - `url` for the worker's script
+ * @returns {object} The scope, with `scope.ErrorTracker` set up, and
+ *          `run(code)` to run more code in it
+ */
+exports.load = function(options) {
+    var scope  = {}
+    var events = new EventTarget()
+    var quiet  = function() {}
+
+    // what ErrorTracker looks for to tell that it's in a worker; the scope
+    // can't inherit from it, as code in the context sees its own global
+    // object in place of the scope
+    var WorkerGlobalScope = function() {}
+    Object.defineProperty(WorkerGlobalScope, Symbol.hasInstance, {
+        value: function(object) { return object === scope.run('this') }
+    })
+
+    options = options || {}
+    scope.WorkerGlobalScope   = WorkerGlobalScope
+    scope.addEventListener    = events.addEventListener.bind(events)
+    scope.removeEventListener = events.removeEventListener.bind(events)
+    scope.dispatchEvent       = events.dispatchEvent.bind(events)
+    scope.Event               = Event
+    scope.ErrorEvent          = ErrorEvent
+    scope.location            = new URL(options.url ||
+                                        'https://app.example.com/worker.js')
+    scope.navigator           = {userAgent: 'Worker', language: 'en',
+                                 onLine: true}
+    scope.console             = {log: quiet, info: quiet, warn: quiet,
+                                 error: quiet, debug: quiet}
+    scope.setTimeout          = setTimeout
+    scope.clearTimeout        = clearTimeout
+    scope.URL                 = URL
+
+    vm.createContext(scope)
+    scope.run = function(code) { return vm.runInContext(code, scope) }
+    scope.run('var self = this')
+    scope.run(source)
+
+    return scope
+}
@@ -0,0 +1,59 @@
+/**
+ * @file A stand-in for XMLHttpRequest, which holds on to each request until
+ *       the test answers it.
+ */
+
+/**
+ * @summary Replace a window's XMLHttpRequest with the stand-in
+ * @desc Call this from the `before` option of `browser.load`, so that the
+ *       page only ever sees the stand-in.
+ * @arg {Window} window - The window to replace it in
+ * @returns {Array} The requests the page sends, in order. Each one has the
+ *          `method`, `url`, `headers` and parsed `body` it was sent with,
+ *          and `respond(status, body)` and `fail()` methods to answer it.
+ */
+module.exports = function(window) {
+    var requests = []
+    var XHR      = function() {
+        this.headers   = {}
+        this.listeners = {}
+    }
+
+    XHR.prototype.open = function(method, url) {
+        this.method = method
+        this.url    = url
+    }
+    XHR.prototype.setRequestHeader = function(name, value) {
+        this.headers[name] = value
+    }
+    XHR.prototype.addEventListener = function(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener)
+    }
+    XHR.prototype.fire = function(type) {
+        var xhr = this
+
+        if (xhr['on' + type]) xhr['on' + type]()
+        ;(xhr.listeners[type] || []).forEach(function(fn) { fn.call(xhr) })
+    }
+    XHR.prototype.send = function(body) {
+        this.body = body ? JSON.parse(body) : body
+        requests.push(this)
+    }
+    XHR.prototype.respond = function(status, body) {
+        this.readyState   = 4
+        this.status       = status
+        this.responseText = typeof body == 'string' ? body :
+                            JSON.stringify(body)
+        this.fire('load')
+        this.fire('loadend')
+    }
+    XHR.prototype.fail = function() {
+        this.readyState = 4
+        this.status     = 0
+        this.fire('error')
+        this.fire('loadend')
+    }
+
+    window.XMLHttpRequest = XHR
+    return requests
+}
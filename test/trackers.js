@@ -0,0 +1,64 @@
+/**
+ * @file Tests for createTracker: trackers that share a page but nothing else.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+
+test('each tracker has its own settings and errors', function(t) {
+    var window = browser.load(t)
+    var first  = window.ErrorTracker
+    var second = first.createTracker({endpoint: '/widget/errors'})
+
+    first.configure({endpoint: '/app/errors', maxErrorsPerPage: 5})
+    first.saveError(new window.Error('in the app'))
+
+    assert.strictEqual(second.getConfigurationValue('endpoint'),
+                       '/widget/errors')
+    assert.notStrictEqual(
+        second.getConfigurationValue('maxErrorsPerPage'), 5
+    )
+    assert.strictEqual(first.trackedErrors().length, 1)
+    assert.strictEqual(second.trackedErrors().length, 0)
+    assert.strictEqual(typeof second.createTracker, 'function')
+})
+
+test('every tracker leaves breadcrumbs from one set of wrappers',
+     function(t) {
+    var window = browser.load(t)
+    var first  = window.ErrorTracker
+    var wrapped, second
+
+    first.configure({breadcrumbConsole: true})
+    wrapped = window.console.warn
+    second  = first.createTracker({breadcrumbConsole: true})
+    window.console.warn('careful')
+
+    assert.strictEqual(window.console.warn, wrapped)
+    assert.deepStrictEqual([first, second].map(function(tracker) {
+        return tracker.saveError(new window.Error('Oops')).breadcrumbs
+            .filter(function(crumb) { return crumb.category == 'console' })
+            .length
+    }), [1, 1])
+})
+
+test('no tracker takes another one\'s reports for the page\'s',
+     function(t) {
+    var window = browser.load(t, {before: function(window) {
+        window.fetch = function() {
+            return window.Promise.resolve({status: 500})
+        }
+    }})
+    var first  = window.ErrorTracker
+    var second = first.createTracker({endpoint: '/widget/errors'})
+
+    first.configure({captureFailedRequests: true})
+
+    return window.fetch('/widget/errors').then(function() {
+        assert.strictEqual(first.trackedErrors().length, 0)
+
+        return window.fetch('/api/cart')
+    }).then(function() {
+        assert.strictEqual(first.trackedErrors().length, 1)
+    })
+})
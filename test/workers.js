@@ -0,0 +1,121 @@
+/**
+ * @file Tests for tracking errors in workers, and forwarding them to the
+ *       pages that watch them.
+ */
+var test    = require('node:test')
+var assert  = require('node:assert')
+var browser = require('./support/browser')
+var worker  = require('./support/worker')
+
+var wait = function(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms) })
+}
+
+// a page whose MessageChannels are closed once the test `t` is over
+var page = function(t) {
+    var channels = []
+
+    t.after(function() {
+        channels.forEach(function(channel) {
+            channel.port1.close()
+            channel.port2.close()
+        })
+    })
+
+    return browser.load(t, {before: function(window) {
+        window.MessageChannel = function() {
+            var channel = new MessageChannel()
+            channels.push(channel)
+            return channel
+        }
+    }})
+}
+
+// what the page sees of the worker: posting to it reaches the worker's scope
+var handle = function(scope) {
+    return {
+        postMessage: function(data, ports) {
+            scope.dispatchEvent(new MessageEvent('message', {
+                data:  data,
+                ports: ports
+            }))
+        }
+    }
+}
+
+test('ErrorTracker knows when it is in a worker', function() {
+    var scope = worker.load()
+
+    assert.strictEqual(scope.ErrorTracker.RUNTIME, 'worker')
+    assert.strictEqual(
+        scope.ErrorTracker.getConfigurationValue('forwardErrors'), true
+    )
+})
+
+test('a watched worker forwards its errors to the page', async function(t) {
+    var window = page(t)
+    var scope  = worker.load()
+    var saved
+
+    scope.run('ErrorTracker.saveError(new Error("before watching"))')
+    assert.strictEqual(window.ErrorTracker.watchWorker(handle(scope)), true)
+    scope.dispatchEvent(new scope.ErrorEvent('error', {
+        message:  'after watching',
+        filename: 'https://app.example.com/worker.js',
+        lineno:   3
+    }))
+    await wait(20)
+
+    saved = window.ErrorTracker.trackedErrors()
+    assert.deepStrictEqual(
+        browser.plain(saved.map(function(e) { return e.message })),
+        ['before watching', 'after watching']
+    )
+    assert.deepStrictEqual(browser.plain(saved[0].workerInfo), {
+        type: 'dedicated', url: 'https://app.example.com/worker.js'
+    })
+    assert.strictEqual(saved[0].pageInfo.route, '/page')
+    assert.strictEqual(scope.ErrorTracker.trackedErrors().length, 0)
+})
+
+test('the page\'s message is kept from the worker\'s own listeners',
+     function(t) {
+    var window = page(t)
+    var scope  = worker.load()
+    var heard  = []
+
+    scope.addEventListener('message', function(event) {
+        heard.push(event.data)
+    })
+    window.ErrorTracker.watchWorker(handle(scope))
+    scope.dispatchEvent(new MessageEvent('message', {data: 'hello'}))
+
+    assert.deepStrictEqual(heard, ['hello'])
+})
+
+test('a worker keeps its errors with forwardErrors off', async function(t) {
+    var window = page(t)
+    var scope  = worker.load()
+
+    scope.ErrorTracker.configure({forwardErrors: false})
+    window.ErrorTracker.watchWorker(handle(scope))
+    scope.run('ErrorTracker.saveError(new Error("kept"))')
+    await wait(20)
+
+    assert.strictEqual(window.ErrorTracker.trackedErrors().length, 0)
+    assert.strictEqual(scope.ErrorTracker.trackedErrors().length, 1)
+})
+
+test('watching a worker twice changes nothing', async function(t) {
+    var window  = page(t)
+    var scope   = worker.load()
+    var watched = handle(scope)
+
+    window.ErrorTracker.watchWorker(watched)
+    window.ErrorTracker.watchWorker(watched)
+    scope.run('ErrorTracker.saveError(new Error("once"))')
+    await wait(20)
+
+    assert.strictEqual(window.ErrorTracker.trackedErrors()[0].count, 1)
+    assert.strictEqual(window.ErrorTracker.watchWorker({}), false)
+})